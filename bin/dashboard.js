@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Dashboard CLI
+ *
+ * Polls a server's Prometheus endpoint (see lib/metrics.js) and shows its
+ * memory, GC pauses, leak status and counters in a live terminal dashboard
+ * (see lib/dashboard.js).
+ *
+ * Usage:
+ *   npm run server                 # In one terminal
+ *   npm run dashboard              # In another: http://localhost:3000/metrics
+ *   node bin/dashboard.js http://staging:3000/metrics --interval 2000
+ */
+
+import { parseArgs } from 'util';
+import { Dashboard } from '../lib/dashboard.js';
+
+const USAGE = `Usage: dashboard [url] [options]
+
+  url                    Prometheus endpoint (default: http://localhost:3000/metrics)
+
+Options:
+  --interval <ms>        Time between readings (default: 1000)
+  -h, --help             Show this help
+
+To watch a leaky server from inside its own process instead:
+  node examples/leaky-server.js --dashboard`;
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        interval: { type: 'string', default: '1000' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [url = 'http://localhost:3000/metrics', ...extra] = positionals;
+  const interval = Number(values.interval);
+  if (extra.length > 0 || !(interval > 0) || !/^https?:\/\//.test(url)) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const dashboard = new Dashboard({ url, interval });
+  dashboard.start();
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      dashboard.stop();
+      process.exit(0);
+    });
+  }
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error('Dashboard failed:', err.message);
+  process.exit(1);
+}
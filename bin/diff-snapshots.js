@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Heap Snapshot Diff CLI
+ *
+ * Compares two .heapsnapshot files and prints which constructors grew and
+ * what is retaining the new objects - the Chrome DevTools Comparison view,
+ * without Chrome, so it can run in CI.
+ *
+ * Usage:
+ *   npm run diff-snapshots -- before.heapsnapshot after.heapsnapshot
+ *   node bin/diff-snapshots.js a.heapsnapshot b.heapsnapshot --top 20 --sort count
+ *   node bin/diff-snapshots.js a.heapsnapshot b.heapsnapshot --json > diff.json
+ */
+
+import { parseArgs } from 'util';
+import { diffSnapshots } from '../lib/snapshot-diff.js';
+
+const USAGE = `Usage: diff-snapshots <before.heapsnapshot> <after.heapsnapshot> [options]
+
+Options:
+  --top <n>        Number of constructors to show (default: 10)
+  --paths <n>      Retainer paths shown per constructor (default: 5)
+  --depth <n>      Hops of each retainer path to show (default: 6)
+  --sort <order>   Sort by "retained" or "count" delta (default: retained)
+  --json           Print the result as JSON
+  -h, --help       Show this help`;
+
+function formatBytes(bytes) {
+  const sign = bytes < 0 ? '-' : '+';
+  const abs = Math.abs(bytes);
+  if (abs >= 1024 * 1024) return `${sign}${(abs / 1024 / 1024).toFixed(1)} MB`;
+  if (abs >= 1024) return `${sign}${Math.round(abs / 1024)} KB`;
+  return `${sign}${abs} B`;
+}
+
+function formatCount(count) {
+  return count > 0 ? `+${count}` : `${count}`;
+}
+
+function printTable(classes) {
+  const header = ['Constructor', '# Before', '# After', '# Delta', 'Size Delta', 'Retained Delta'];
+  const rows = classes.map((row) => [
+    row.className.length > 40 ? row.className.slice(0, 37) + '...' : row.className,
+    String(row.countBefore),
+    String(row.countAfter),
+    formatCount(row.countDelta),
+    formatBytes(row.selfSizeDelta),
+    formatBytes(row.retainedSizeDelta)
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells
+    .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ');
+
+  console.log(line(header));
+  console.log(widths.map((width) => '─'.repeat(width)).join('  '));
+  for (const row of rows) {
+    console.log(line(row));
+  }
+}
+
+// --top 20 -> 20; anything but a positive whole number is a usage error
+function positiveInteger(values, name) {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    console.error(`--${name} must be a whole number above 0, got "${values[name]}"`);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  return value;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        top: { type: 'string', default: '10' },
+        paths: { type: 'string', default: '5' },
+        depth: { type: 'string', default: '6' },
+        sort: { type: 'string', default: 'retained' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 2) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const top = positiveInteger(values, 'top');
+  const paths = positiveInteger(values, 'paths');
+  const depth = positiveInteger(values, 'depth');
+  if (!['retained', 'count'].includes(values.sort)) {
+    console.error(`--sort must be retained or count, got "${values.sort}"`);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const [before, after] = positionals;
+  if (!values.json) {
+    console.log(`Comparing ${before} → ${after}...\n`);
+  }
+
+  const result = diffSnapshots(before, after, { top, paths, depth, sort: values.sort });
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(`Nodes: ${result.nodesBefore} → ${result.nodesAfter} (${formatCount(result.nodesAfter - result.nodesBefore)})\n`);
+  printTable(result.classes);
+
+  console.log('\nRetainers of new objects (shortest path from GC roots):');
+  for (const { className, paths } of result.retainers) {
+    console.log(`\n  ${className}`);
+    for (const { count, path } of paths) {
+      console.log(`    ${String(count).padStart(7)}×  ${path}`);
+    }
+  }
+  console.log();
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('Snapshot diff failed:', err.message);
+  process.exit(1);
+}
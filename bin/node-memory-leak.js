@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/**
+ * node-memory-leak CLI
+ *
+ * The `bin` entry of the package; the commands live in lib/cli.js.
+ *
+ * Usage:
+ *   node-memory-leak --help
+ *   npx node-memory-leak run closure --mode compare
+ */
+
+import { main } from '../lib/cli.js';
+
+process.exitCode = await main();
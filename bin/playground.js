@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Playground CLI
+ *
+ * Loads a leak scenario and drives it from an interactive prompt (see
+ * lib/playground.js): leak, fix, gc, snapshot and stats, while its memory
+ * responds.
+ *
+ * Usage:
+ *   npm run playground                     # The global scenario
+ *   npm run playground -- events
+ *   node --expose-gc bin/playground.js timer --snapshot-dir snapshots
+ */
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { SCENARIOS } from '../lib/cli.js';
+import { Playground } from '../lib/playground.js';
+import { Reporter } from '../lib/reporter.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PLAYABLE = Object.keys(SCENARIOS).filter((name) => SCENARIOS[name].playground);
+
+const USAGE = `Usage: playground [scenario] [options]
+
+Scenarios: ${PLAYABLE.join(', ')} (default: global)
+
+Options:
+  --snapshot-dir <dir>   Where the snapshot command writes files (default: .)
+  --interval <ms>        Background memory sampling interval (default: 1000)
+  -h, --help             Show this help
+
+Run node with --expose-gc (npm run playground does) for the gc command.`;
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        'snapshot-dir': { type: 'string', default: '.' },
+        interval: { type: 'string', default: '1000' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [name = 'global', ...extra] = positionals;
+  const interval = Number(values.interval);
+  if (!PLAYABLE.includes(name)) {
+    console.error(`Unknown scenario "${name}". Use one of: ${PLAYABLE.join(', ')}`);
+    process.exit(2);
+  }
+  if (extra.length > 0 || !(interval > 0)) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const scenario = await import(pathToFileURL(path.join(ROOT, SCENARIOS[name].file)));
+  const playground = new Playground(scenario, {
+    name,
+    reporter: new Reporter({ source: 'playground' }),
+    snapshotDirectory: values['snapshot-dir'],
+    interval
+  });
+  await playground.start();
+  // Leaked intervals and listeners would keep the process alive
+  process.exit(0);
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error('Playground failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * HTML Report CLI
+ *
+ * Renders collected data as a self-contained HTML report (see
+ * lib/html-report.js), e.g. to re-render a reproduce run, or to add a heap
+ * snapshot diff to it.
+ *
+ * Usage:
+ *   npm run report -- leak-runs/2024-05-01T10-00-00-000Z
+ *   node bin/report.js run.json --before a.heapsnapshot --after b.heapsnapshot -o incident-1234.html
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { writeReport } from '../lib/html-report.js';
+import { diffSnapshots } from '../lib/snapshot-diff.js';
+
+const USAGE = `Usage: report <run.json | run directory> [options]
+
+The input is a JSON object with any of: samples, gcEvents, analysis,
+stages, diff, meta, title (npm run reproduce writes one as run.json).
+
+Options:
+  --before <file>    Heap snapshot before, to include a snapshot diff
+  --after <file>     Heap snapshot after
+  --title <text>     Report title
+  -o, --out <file>   Output file (default: report.html next to the input)
+  -h, --help         Show this help`;
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        before: { type: 'string' },
+        after: { type: 'string' },
+        title: { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1 || Boolean(values.before) !== Boolean(values.after)) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  let input = positionals[0];
+  if (fs.statSync(input).isDirectory()) {
+    input = path.join(input, 'run.json');
+  }
+
+  const data = JSON.parse(fs.readFileSync(input, 'utf8'));
+  if (values.title) {
+    data.title = values.title;
+  }
+  if (values.before) {
+    console.log(`Comparing ${values.before} → ${values.after}...`);
+    data.diff = diffSnapshots(values.before, values.after);
+  }
+
+  const out = values.out ?? path.join(path.dirname(input), 'report.html');
+  await writeReport(out, data);
+  console.log(`Report written: ${out}`);
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error('Report failed:', err.message);
+  process.exit(1);
+}
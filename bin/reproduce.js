@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * Leak Reproduction Runner
+ *
+ * One command instead of two terminals: starts the server as a child
+ * process, waits for its health check, runs a load profile against it
+ * while sampling memory, optionally captures heap snapshots before and
+ * after the load, then shuts the server down and writes everything to an
+ * output directory, including a self-contained report.html.
+ *
+ * Works with any server entry file that listens on process.env.PORT and
+ * serves a health check. The server is started with lib/register.js
+ * preloaded, which samples its memory in-process and sends the samples
+ * over IPC, so it needs no /metrics endpoint. Snapshots and forced GC use
+ * the /debug/ routes from lib/debug-routes.js, reading the token from
+ * process.env.DEBUG_TOKEN.
+ *
+ * Usage:
+ *   npm run reproduce
+ *   node bin/reproduce.js examples/leaky-server.js --expose-gc --snapshots -- --leaks=sessions
+ *   node bin/reproduce.js src/app.js --health=/ready --profile=soak --heap-prof
+ */
+
+import { randomBytes } from 'crypto';
+import { spawn } from 'child_process';
+import { EventEmitter, once } from 'events';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { checkServer, runLoadTest } from '../examples/load-test.js';
+import { writeReport } from '../lib/html-report.js';
+import { loadProfile, resolveProfile } from '../lib/load-profile.js';
+import { MONITOR_MESSAGE } from '../lib/preload-monitor.js';
+import { FORMATS, Reporter } from '../lib/reporter.js';
+import { diffSnapshots } from '../lib/snapshot-diff.js';
+
+// Resolved against the package, so the installed bin finds it from any directory
+const DEFAULT_ENTRY = fileURLToPath(new URL('../examples/leaky-server.js', import.meta.url));
+const REGISTER = new URL('../lib/register.js', import.meta.url).href;
+
+const SAMPLING = {
+  interval: 250,          // How often the server's preloaded monitor samples (ms)
+  timeout: 2000           // A blocked server sends no samples at all
+};
+
+const USAGE = `Usage: reproduce [server-entry.js] [options] [-- server args]
+
+Starts the server, runs a load profile against it, and reports whether
+memory returns to baseline afterwards (exit code 1 on LEAK).
+
+Server:
+  [server-entry.js]       Server to start (default: examples/leaky-server.js
+                          from this package)
+  --port <n>              Port passed as PORT (default: a free port)
+  --health <path>         Health check path (default: /health)
+  --startup-timeout <s>   Seconds to wait for the health check (default: 30)
+  --expose-gc             Start the server with --expose-gc (precise verdict)
+  --heap-prof             Start the server with --heap-prof (written on exit)
+  -- <args>               Arguments passed to the server
+
+Load (see npm run loadtest -- --help):
+  --profile <name|file>   Load profile (default: default)
+  -c, --connections <n>   Concurrent connections
+  -d, --duration <s>      Seconds of load, for profiles without stages
+  -r, --rate <n>          Requests/second across all connections
+  --cooldown <s>          Seconds to keep measuring after the load stops
+
+Output:
+  --snapshots             Heap snapshots before and after the load
+  --out <dir>             Output directory (default: leak-runs/<timestamp>)
+  --format <pretty|json>  json writes samples, snapshots and the verdict as
+                          NDJSON records to stdout
+  -h, --help              Show this help`;
+
+function parseRunnerArgs() {
+  const { values, positionals, tokens } = parseArgs({
+    allowPositionals: true,
+    tokens: true,
+    options: {
+      port: { type: 'string' },
+      health: { type: 'string', default: '/health' },
+      'startup-timeout': { type: 'string', default: '30' },
+      'expose-gc': { type: 'boolean', default: false },
+      'heap-prof': { type: 'boolean', default: false },
+      profile: { type: 'string', default: 'default' },
+      connections: { type: 'string', short: 'c' },
+      duration: { type: 'string', short: 'd' },
+      rate: { type: 'string', short: 'r' },
+      cooldown: { type: 'string' },
+      snapshots: { type: 'boolean', default: false },
+      out: { type: 'string' },
+      format: { type: 'string', default: process.env.LOG_FORMAT ?? 'pretty' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  // Positionals after "--" belong to the server
+  const terminator = tokens.find((token) => token.kind === 'option-terminator');
+  const own = terminator
+    ? tokens.filter((token) => token.kind === 'positional' && token.index < terminator.index).map((token) => token.value)
+    : positionals;
+  if (own.length > 1) {
+    throw new Error(`Unexpected argument "${own[1]}". Pass server arguments after --`);
+  }
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+
+  const number = (name) => {
+    if (values[name] === undefined) return undefined;
+    const value = Number(values[name]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`--${name} must be a number, got "${values[name]}"`);
+    }
+    return value;
+  };
+
+  return {
+    help: values.help,
+    entry: own[0] ?? DEFAULT_ENTRY,
+    serverArgs: positionals.slice(own.length),
+    port: number('port'),
+    health: values.health,
+    startupTimeout: number('startup-timeout'),
+    exposeGc: values['expose-gc'],
+    heapProf: values['heap-prof'],
+    snapshots: values.snapshots,
+    out: values.out ?? path.join('leak-runs', new Date().toISOString().replace(/[:.]/g, '-')),
+    format: values.format,
+    profile: values.profile,
+    overrides: {
+      connections: number('connections'),
+      duration: number('duration'),
+      rate: number('rate'),
+      cooldown: number('cooldown')
+    }
+  };
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server entry file as a child process, with its output going
+ * to `logFile`. The returned child has an `exited` promise.
+ */
+function startServer({ entry, serverArgs, port, exposeGc, heapProf, out, debugToken, logFile }) {
+  const nodeArgs = [];
+  if (exposeGc) nodeArgs.push('--expose-gc');
+  if (heapProf) nodeArgs.push('--heap-prof', `--heap-prof-dir=${out}`);
+  nodeArgs.push('--import', REGISTER);
+
+  const log = fs.openSync(logFile, 'a');
+  const child = spawn(process.execPath, [...nodeArgs, entry, ...serverArgs], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DEBUG_TOKEN: debugToken,
+      MEMORY_LEAK_OUTPUT: 'ipc',
+      MEMORY_LEAK_INTERVAL: String(SAMPLING.interval)
+    },
+    stdio: ['ignore', log, log, 'ipc']
+  });
+  fs.closeSync(log);
+
+  child.exited = new Promise((resolve) => {
+    child.on('exit', (code, signal) => resolve({ code, signal }));
+  });
+  return child;
+}
+
+/**
+ * Read the server's memory from the samples its preloaded monitor sends
+ * over IPC. Each call resolves with the next sample rather than the last
+ * one, so a reading after a forced GC reflects the GC.
+ */
+function serverMemory(child) {
+  const samples = new EventEmitter();
+  child.on('message', (message) => {
+    if (message?.type === MONITOR_MESSAGE && message.event === 'sample') {
+      samples.emit('sample', message.data);
+    }
+  });
+
+  return async () => {
+    try {
+      const [sample] = await once(samples, 'sample', { signal: AbortSignal.timeout(SAMPLING.timeout) });
+      return sample;
+    } catch {
+      throw new Error(`The server sent no memory sample within ${SAMPLING.timeout / 1000} seconds`);
+    }
+  };
+}
+
+async function waitForHealth(child, url, healthPath, timeout) {
+  const deadline = Date.now() + timeout * 1000;
+  let exited = null;
+  child.exited.then((status) => exited = status);
+
+  while (Date.now() < deadline) {
+    if (exited) {
+      throw new Error(`Server exited before it was healthy (code ${exited.code}, signal ${exited.signal})`);
+    }
+    try {
+      return await checkServer(url, healthPath);
+    } catch {
+      await sleep(250);
+    }
+  }
+  throw new Error(`Server was not healthy after ${timeout} seconds (GET ${url}${healthPath})`);
+}
+
+// Stop the server with SIGTERM, and SIGKILL if it hasn't exited after `timeout` ms
+async function stopServer(child, reporter, timeout = 10 * 1000) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return child.exited;
+  }
+
+  child.kill('SIGTERM');
+  const status = await Promise.race([child.exited, sleep(timeout, null, { ref: false })]);
+  if (status) return status;
+
+  reporter.log(`Server did not exit ${timeout / 1000} seconds after SIGTERM, sending SIGKILL`);
+  child.kill('SIGKILL');
+  return child.exited;
+}
+
+// Download a heap snapshot from POST /debug/heapsnapshot into `file`
+function downloadSnapshot(url, debugToken, file) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${url}/debug/heapsnapshot`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${debugToken}` }
+    }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`POST /debug/heapsnapshot returned ${res.statusCode}`));
+        return;
+      }
+      pipeline(res, fs.createWriteStream(file)).then(() => resolve(file), reject);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// The end of the server log, or V8's fatal error line when it crashed
+function tail(file, lines = 15) {
+  const log = fs.readFileSync(file, 'utf8').trimEnd().split('\n');
+  const fatal = log.find((line) => line.startsWith('FATAL ERROR'));
+  return fatal ?? log.slice(-lines).join('\n');
+}
+
+async function main() {
+  let options;
+  let profile;
+  try {
+    options = parseRunnerArgs();
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    options.port ??= await findFreePort();
+    profile = resolveProfile(await loadProfile(options.profile), {
+      ...options.overrides,
+      url: `http://localhost:${options.port}`
+    });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (!fs.existsSync(options.entry)) {
+    console.error(`Server entry file not found: ${options.entry}`);
+    process.exit(2);
+  }
+
+  const reporter = new Reporter({ format: options.format, source: 'reproduce' });
+  fs.mkdirSync(options.out, { recursive: true });
+  const debugToken = randomBytes(16).toString('hex');
+  const logFile = path.join(options.out, 'server.log');
+
+  reporter.log('╔════════════════════════════════════════════════════════════╗');
+  reporter.log('║  Leak Reproduction Runner                                  ║');
+  reporter.log('╚════════════════════════════════════════════════════════════╝');
+  reporter.log();
+  reporter.log(`Server: node ${[options.exposeGc && '--expose-gc', options.heapProf && '--heap-prof',
+    options.entry, ...options.serverArgs].filter(Boolean).join(' ')}`);
+  reporter.log(`Port: ${options.port}`);
+  reporter.log(`Output: ${options.out}`);
+  reporter.log();
+
+  const child = startServer({ ...options, debugToken, logFile });
+  let crashed = null;
+  child.exited.then((status) => {
+    crashed = status;
+  });
+
+  // Don't leave the server running if the runner is interrupted
+  const interrupt = async () => {
+    reporter.log('\nInterrupted, stopping the server...');
+    await stopServer(child, reporter);
+    process.exit(130);
+  };
+  process.once('SIGINT', interrupt);
+
+  const run = { entry: options.entry, serverArgs: options.serverArgs, profile, snapshots: {} };
+  try {
+    reporter.log('Waiting for the server to become healthy...');
+    await waitForHealth(child, profile.url, options.health, options.startupTimeout);
+    reporter.log('✓ Server is running\n');
+
+    if (options.snapshots) {
+      try {
+        run.snapshots.before = await downloadSnapshot(profile.url, debugToken, path.join(options.out, 'before.heapsnapshot'));
+        reporter.event('snapshot', { path: run.snapshots.before, reason: 'before' },
+          `Heap snapshot written: ${run.snapshots.before}\n`);
+      } catch (err) {
+        reporter.log(`Heap snapshots unavailable (${err.message}); the server needs the /debug/ routes\n`);
+      }
+    }
+
+    Object.assign(run, await runLoadTest(profile, { debugToken, reporter, getMemory: serverMemory(child) }));
+
+    if (run.snapshots.before && !crashed) {
+      run.snapshots.after = await downloadSnapshot(profile.url, debugToken, path.join(options.out, 'after.heapsnapshot'));
+      reporter.event('snapshot', { path: run.snapshots.after, reason: 'after' },
+        `Heap snapshot written: ${run.snapshots.after}`);
+    }
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    run.verdict = 'ERROR';
+    run.reason = err.message;
+  } finally {
+    process.off('SIGINT', interrupt);
+  }
+
+  // An exit before we stop the server is a crash (often out of memory)
+  const crashedDuringRun = crashed;
+  run.server = { ...(crashedDuringRun ?? await stopServer(child, reporter)), crashed: Boolean(crashedDuringRun) };
+
+  if (crashedDuringRun) {
+    reporter.log(`Server exited during the run (code ${crashedDuringRun.code}, signal ${crashedDuringRun.signal}). Last output:`);
+    reporter.log(tail(logFile));
+    reporter.log();
+  }
+
+  if (run.snapshots.after) {
+    reporter.log('Comparing heap snapshots...');
+    try {
+      run.diff = diffSnapshots(run.snapshots.before, run.snapshots.after);
+    } catch (err) {
+      reporter.log(`Snapshot diff failed: ${err.message}`);
+    }
+  }
+
+  // run.json has the shape writeReport() takes, so npm run report can re-render it
+  const { results, ...rest } = run;
+  const report = {
+    ...rest,
+    title: `Leak reproduction: ${options.entry}`,
+    meta: {
+      Command: `node ${process.argv.slice(1).map((arg) => path.relative('.', arg) || arg).join(' ')}`,
+      Server: [options.exposeGc && '--expose-gc', options.heapProf && '--heap-prof', options.entry, ...options.serverArgs]
+        .filter(Boolean).join(' '),
+      'Load profile': options.profile,
+      Verdict: run.reason === 'unresponsive' ? 'LEAK (the server stopped responding)' : run.verdict,
+      'Server exit': run.server.crashed
+        ? `Crashed during the run (code ${run.server.code}, signal ${run.server.signal})`
+        : `code ${run.server.code}, signal ${run.server.signal}`,
+      Node: process.version
+    },
+    stages: results?.map(({ stage, result }) => ({
+      stage: stage.name,
+      duration: stage.duration,
+      connections: stage.connections,
+      rate: stage.rate,
+      requests: result.requests.total,
+      errors: result.errors,
+      latencyP99: result.latency.p99
+    }))
+  };
+  fs.writeFileSync(path.join(options.out, 'run.json'), JSON.stringify(report, null, 2));
+  await writeReport(path.join(options.out, 'report.html'), report);
+
+  reporter.log('Output:');
+  for (const file of fs.readdirSync(options.out).sort()) {
+    reporter.log(`  ${path.join(options.out, file)}`);
+  }
+  reporter.log();
+  reporter.log(`Open the report: ${path.join(options.out, 'report.html')}`);
+  if (run.snapshots.after) {
+    reporter.log('Compare the snapshots in detail with:');
+    reporter.log(`  npm run diff-snapshots -- ${run.snapshots.before} ${run.snapshots.after}`);
+  }
+  reporter.log();
+  reporter.event('run', { out: options.out, verdict: run.verdict, report: path.join(options.out, 'report.html') }, null);
+
+  if (run.verdict !== 'PASS') {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
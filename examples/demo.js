@@ -6,40 +6,40 @@
  * 2. --inspect flag - Use Chrome DevTools for profiling
  * 3. --heap-prof flag - Generate heap snapshots
  * 4. --expose-gc flag - Manually trigger garbage collection for testing
+ *
+ * Pass --report=<file> to also write the monitor's samples and GC pauses
+ * as an HTML report (see lib/html-report.js), and --format=json to get
+ * every reading as an NDJSON record on stdout (see lib/reporter.js).
  */
 
-console.log('=== Node.js Memory Leak Detection Tools Demo ===\n');
+import { parseArgs } from 'util';
+import { getFormat, MemoryMonitor, Reporter, writeReport } from '../index.js';
+
+const { values: args } = parseArgs({ strict: false, options: { report: { type: 'string' } } });
+const reporter = new Reporter({ format: getFormat(), source: 'demo' });
+
+reporter.log('=== Node.js Memory Leak Detection Tools Demo ===\n');
 
 // Tool 1: process.memoryUsage() - Built-in memory monitoring
-console.log('1. PROCESS.MEMORYUSAGE() - Real-time Memory Monitoring');
-console.log('   This API provides instant memory usage information:\n');
-
-function displayMemoryUsage() {
-  const usage = process.memoryUsage();
-  return {
-    rss: `${Math.round(usage.rss / 1024 / 1024)} MB`, // Resident Set Size
-    heapTotal: `${Math.round(usage.heapTotal / 1024 / 1024)} MB`, // Total heap allocated
-    heapUsed: `${Math.round(usage.heapUsed / 1024 / 1024)} MB`, // Heap actually used
-    external: `${Math.round(usage.external / 1024 / 1024)} MB`, // C++ objects bound to JS
-    arrayBuffers: `${Math.round(usage.arrayBuffers / 1024 / 1024)} MB` // ArrayBuffers and SharedArrayBuffers
-  };
-}
+reporter.log('1. PROCESS.MEMORYUSAGE() - Real-time Memory Monitoring');
+reporter.log('   This API provides instant memory usage information:\n');
 
-console.log('   Initial memory:', displayMemoryUsage());
-console.log();
+// rss: Resident Set Size, heapTotal: total heap allocated, heapUsed: heap
+// actually used, external: C++ objects bound to JS, arrayBuffers: ArrayBuffers
+// and SharedArrayBuffers. The reporter prints them in MB, or as raw bytes.
+reporter.memory('Initial memory');
 
 // Simulate some memory allocation
 const data = new Array(1000000).fill('test');
-console.log('   After allocating ~10MB:', displayMemoryUsage());
-console.log();
+reporter.memory('After allocating ~10MB');
 
 // Tool 2: Manual Garbage Collection (requires --expose-gc flag)
-console.log('2. MANUAL GARBAGE COLLECTION - Testing Memory Release');
-console.log('   Run with: node --expose-gc examples/demo.js\n');
+reporter.log('2. MANUAL GARBAGE COLLECTION - Testing Memory Release');
+reporter.log('   Run with: node --expose-gc examples/demo.js\n');
 
 if (global.gc) {
-  console.log('   ✓ Garbage collection is available');
-  console.log('   Before GC:', displayMemoryUsage());
+  reporter.log('   ✓ Garbage collection is available');
+  reporter.memory('Before GC');
   
   // Clear the data reference
   data.length = 0;
@@ -47,90 +47,56 @@ if (global.gc) {
   // Force garbage collection
   global.gc();
   
-  console.log('   After GC:', displayMemoryUsage());
-  console.log();
+  reporter.memory('After GC');
 } else {
-  console.log('   ✗ Garbage collection not available');
-  console.log('   Run with: node --expose-gc examples/demo.js');
-  console.log();
+  reporter.log('   ✗ Garbage collection not available');
+  reporter.log('   Run with: node --expose-gc examples/demo.js');
+  reporter.log();
 }
 
 // Tool 3: Chrome DevTools Integration
-console.log('3. CHROME DEVTOOLS - Visual Memory Profiling');
-console.log('   Run with: node --inspect examples/demo.js');
-console.log('   Then open Chrome and go to: chrome://inspect');
-console.log();
-console.log('   Features available:');
-console.log('   • Take heap snapshots');
-console.log('   • Compare snapshots to find leaks');
-console.log('   • Record allocation timeline');
-console.log('   • See memory allocation by function');
-console.log();
+reporter.log('3. CHROME DEVTOOLS - Visual Memory Profiling');
+reporter.log('   Run with: node --inspect examples/demo.js');
+reporter.log('   Then open Chrome and go to: chrome://inspect');
+reporter.log();
+reporter.log('   Features available:');
+reporter.log('   • Take heap snapshots');
+reporter.log('   • Compare snapshots to find leaks');
+reporter.log('   • Record allocation timeline');
+reporter.log('   • See memory allocation by function');
+reporter.log();
 
 // Tool 4: Heap Profiling
-console.log('4. HEAP PROFILING - Automated Heap Snapshots');
-console.log('   Run with: node --heap-prof examples/demo.js');
-console.log('   This generates a .heapprofile file you can analyze in Chrome DevTools');
-console.log();
+reporter.log('4. HEAP PROFILING - Automated Heap Snapshots');
+reporter.log('   Run with: node --heap-prof examples/demo.js');
+reporter.log('   This generates a .heapprofile file you can analyze in Chrome DevTools');
+reporter.log();
 
 // Tool 5: Memory Leak Detection Pattern
-console.log('5. MEMORY LEAK DETECTION PATTERN');
-console.log('   Here\'s a pattern to detect leaks in your application:\n');
-
-class MemoryMonitor {
-  constructor(interval = 1000) {
-    this.interval = interval;
-    this.measurements = [];
-    this.timerId = null;
-  }
-  
-  start() {
-    console.log('   Starting memory monitor...');
-    this.timerId = setInterval(() => {
-      const usage = process.memoryUsage();
-      this.measurements.push({
-        timestamp: Date.now(),
-        heapUsed: usage.heapUsed,
-        rss: usage.rss
-      });
-      
-      // Keep only last 10 measurements
-      if (this.measurements.length > 10) {
-        this.measurements.shift();
-      }
-      
-      // Check for consistent growth (potential leak)
-      if (this.measurements.length >= 5) {
-        const trend = this.analyzeTrend();
-        if (trend.isGrowing) {
-          console.log(`   ⚠️  Potential leak detected! Heap growing: ${trend.growthRate}%`);
-        }
-      }
-    }, this.interval);
-  }
-  
-  stop() {
-    if (this.timerId) {
-      clearInterval(this.timerId);
-      console.log('   Stopped memory monitor');
-    }
-  }
-  
-  analyzeTrend() {
-    const recent = this.measurements.slice(-5);
-    const first = recent[0].heapUsed;
-    const last = recent[recent.length - 1].heapUsed;
-    const growthRate = ((last - first) / first * 100).toFixed(2);
-    
-    return {
-      isGrowing: last > first * 1.1, // 10% growth threshold
-      growthRate
-    };
-  }
-}
+reporter.log('5. MEMORY LEAK DETECTION PATTERN');
+reporter.log('   Here\'s a pattern to detect leaks in your application:\n');
+
+// MemoryMonitor lives in lib/memory-monitor.js and is exported from index.js,
+// so your own services can import it instead of copying this pattern.
+// The default 'linear' strategy fits a least-squares line through the window;
+// try strategy: 'floor' or 'ewma' to compare.
+// The reporter prints every sample and the 'leak-suspected' and 'recovered'
+// events; listen to them yourself with monitor.on() to react to a leak.
+// To run this monitor in a script without editing it, preload it instead:
+// node --import node-memory-leak/register app.js (see lib/register.js).
+const monitor = new MemoryMonitor({
+  interval: 500,
+  windowSize: 10,
+  minSamples: 5,
+  trackGC: Boolean(args.report),
+  reporter
+});
+const samples = [];
+const gcEvents = [];
+monitor.on('sample', (sample) => samples.push(sample));
+monitor.on('gc', (event) => gcEvents.push(event));
 
-// Demo the memory monitor
-const monitor = new MemoryMonitor(500);
+reporter.log('   Starting memory monitor...');
 monitor.start();
 
 // Simulate a memory leak
@@ -140,29 +106,38 @@ const leakInterval = setInterval(() => {
 }, 600);
 
 // Stop after 5 seconds
-setTimeout(() => {
+setTimeout(async () => {
   clearInterval(leakInterval);
   monitor.stop();
+  reporter.log('   Stopped memory monitor');
+
+  if (args.report) {
+    await writeReport(args.report, { title: 'Memory Leak Detection Demo', samples, gcEvents });
+    reporter.log(`   Report written: ${args.report}`);
+  }
   
-  console.log('\n6. SUMMARY - Best Practices for Memory Leak Prevention:');
-  console.log('   • Always remove event listeners when done');
-  console.log('   • Clear intervals and timeouts');
-  console.log('   • Avoid global variables for temporary data');
-  console.log('   • Be careful with closures capturing large objects');
-  console.log('   • Use WeakMap/WeakSet for caches that shouldn\'t prevent GC');
-  console.log('   • Monitor memory usage in production');
-  console.log('   • Profile regularly during development');
-  console.log('\n7. NEXT STEPS:');
-  console.log('   • Run individual leak examples:');
-  console.log('     npm run leak:global');
-  console.log('     npm run leak:closure');
-  console.log('     npm run leak:events');
-  console.log('     npm run leak:timer');
-  console.log('   • Profile with Chrome DevTools:');
-  console.log('     npm run inspect');
-  console.log('   • Generate heap profile:');
-  console.log('     npm run heap-prof');
-  console.log();
-  
-  process.exit(0);
+  reporter.log('\n6. SUMMARY - Best Practices for Memory Leak Prevention:');
+  reporter.log('   • Always remove event listeners when done');
+  reporter.log('   • Clear intervals and timeouts');
+  reporter.log('   • Avoid global variables for temporary data');
+  reporter.log('   • Be careful with closures capturing large objects');
+  reporter.log('   • Bound caches by size and age, or use WeakMap/WeakSet when entries belong to an object');
+  reporter.log('   • Monitor memory usage in production');
+  reporter.log('   • Profile regularly during development');
+  reporter.log('\n7. NEXT STEPS:');
+  reporter.log('   • Run individual leak examples:');
+  reporter.log('     npm run leak:global');
+  reporter.log('     npm run leak:closure');
+  reporter.log('     npm run leak:events');
+  reporter.log('     npm run leak:timer');
+  reporter.log('     npm run leak:cache');
+  reporter.log('   • Profile with Chrome DevTools:');
+  reporter.log('     npm run inspect');
+  reporter.log('   • Generate heap profile:');
+  reporter.log('     npm run heap-prof');
+  reporter.log('   • Save this run as an HTML report:');
+  reporter.log('     npm run demo -- --report=demo-report.html');
+  reporter.log('   • Get every reading as NDJSON:');
+  reporter.log('     npm run demo -- --format=json | jq .heapUsed');
+  reporter.log();
 }, 5000);
@@ -0,0 +1,203 @@
+/**
+ * Example: Promise and Async Memory Leaks
+ *
+ * This demonstrates three async leaks that keep objects alive through code
+ * that is waiting rather than through a data structure:
+ *   1. Promises that never settle, holding the suspended async functions
+ *      (and their locals) that await them
+ *   2. AbortSignal listeners that are added for every job and never removed
+ *   3. Async iterators abandoned mid-stream, whose finally block never runs
+ *
+ * Usage:
+ *   node examples/leak-async.js                  # Leaky version (default)
+ *   node examples/leak-async.js --mode=fixed     # Fixed version
+ *   node examples/leak-async.js --mode=compare   # Measure both side by side
+ *   node examples/leak-async.js --format=json    # Readings as NDJSON records
+ */
+
+import { getEventListeners, setMaxListeners } from 'events';
+import { compareModes, getMode, isMain, measureHeap, reportResult, reportSurvivors } from '../lib/scenario.js';
+import { track } from '../lib/lifetime-tracker.js';
+import { PromiseTracker } from '../lib/promise-tracker.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+
+const REPLY_TIMEOUT = 200;
+const WORK = 20;  // Requests, jobs and queries per run
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 1. Requests waiting for a reply, matched by id. The replies never arrive.
+export const inflight = new Map();  // id -> resolve
+
+export function waitForReply(id) {
+  return new Promise((resolve) => inflight.set(id, resolve));
+}
+
+export function waitForReplyWithTimeout(id, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      inflight.delete(id);
+      reject(new Error(`No reply to request ${id} after ${ms}ms`));
+    }, ms);
+    inflight.set(id, (reply) => {
+      clearTimeout(timer);
+      inflight.delete(id);
+      resolve(reply);
+    });
+  });
+}
+
+export async function sendRequestLeaky(id) {
+  const request = track({ id, body: new Array(50000).fill(id) }, 'request'); // ~400KB
+  // Nothing ever settles this promise: the suspended function, and request, wait forever
+  const reply = await waitForReply(id);
+  return reply.length + request.body.length;
+}
+
+export async function sendRequest(id) {
+  const request = track({ id, body: new Array(50000).fill(id) }, 'request');
+  try {
+    const reply = await waitForReplyWithTimeout(id, REPLY_TIMEOUT);
+    return reply.length + request.body.length;
+  } catch {
+    return null;  // Timed out: give up, and let request go
+  }
+}
+
+// 2. Jobs that stop early when the process shuts down
+export const shutdown = new AbortController();
+// A listener per leaked job is what the leaky run shows, so Node's
+// MaxListenersExceededWarning would only repeat it (past WORK, it still fires)
+setMaxListeners(WORK, shutdown.signal);
+
+class Job {
+  constructor(id) {
+    this.id = id;
+    this.results = new Array(50000).fill(id);
+    this.cancelled = false;
+    track(this, 'Job');
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  run() {
+    return sleep(1);
+  }
+}
+
+export async function runJobLeaky(id) {
+  const job = new Job(id);
+  // The listener (and job) stays on the long-lived signal after the job is done
+  shutdown.signal.addEventListener('abort', () => job.cancel());
+  await job.run();
+}
+
+export async function runJob(id) {
+  const job = new Job(id);
+  const onAbort = () => job.cancel();
+  shutdown.signal.addEventListener('abort', onAbort);
+  try {
+    await job.run();
+  } finally {
+    shutdown.signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// 3. Query results streamed from a cursor, which is closed in finally
+export const openCursors = new Set();
+
+export async function* queryRows(id) {
+  const cursor = track({ id, rows: new Array(50000).fill(id) }, 'cursor');
+  openCursors.add(cursor);
+  try {
+    for (const row of cursor.rows) {
+      yield row;
+    }
+  } finally {
+    openCursors.delete(cursor);
+  }
+}
+
+export async function firstRowLeaky(id) {
+  const rows = queryRows(id);
+  const { value } = await rows.next();
+  // Abandoned after one row: the generator stays suspended at its yield, and finally never runs
+  return value;
+}
+
+export async function firstRow(id) {
+  // Leaving for await (return, break or throw) calls rows.return(), which runs finally
+  for await (const row of queryRows(id)) {
+    return row;
+  }
+}
+
+function counters() {
+  return {
+    inflight: inflight.size,
+    abortListeners: getEventListeners(shutdown.signal, 'abort').length,
+    openCursors: openCursors.size
+  };
+}
+
+// Not inlined in run(): the request promises never settle in leaky mode
+function sendRequests(mode, count) {
+  for (let i = 0; i < count; i++) {
+    (mode === 'leaky' ? sendRequestLeaky : sendRequest)(i);
+  }
+}
+
+async function run(mode, reporter) {
+  reporter.log(`=== Promise and Async Memory Leak Example (${mode}) ===\n`);
+  const tracker = new PromiseTracker({ maxAge: 2 * REPLY_TIMEOUT });
+  reporter.attach(tracker);
+  const heapBefore = measureHeap().heapUsed;
+  reporter.memory('Initial state', counters());
+
+  reporter.log(`Sending ${WORK} requests, running ${WORK} jobs and reading the first row of ${WORK} queries...\n`);
+  tracker.start();
+  sendRequests(mode, WORK);
+  for (let i = 0; i < WORK; i++) {
+    await (mode === 'leaky' ? runJobLeaky : runJob)(i);
+    await (mode === 'leaky' ? firstRowLeaky : firstRow)(i);
+  }
+  reporter.memory('After the work', counters());
+
+  reporter.log(`Waiting ${(3 * REPLY_TIMEOUT) / 1000}s for replies that never come...\n`);
+  await sleep(3 * REPLY_TIMEOUT);
+  tracker.check();
+  tracker.stop();
+
+  if (global.gc) {
+    global.gc();
+    reporter.log('Forced garbage collection\n');
+  }
+
+  const survivors = await reportSurvivors(reporter);
+  const heapAfter = measureHeap().heapUsed;
+  reporter.memory('After waiting', counters());
+
+  if (mode === 'leaky') {
+    reporter.log('Notice: Memory is NOT freed. Nothing references the requests, jobs or cursors directly:');
+    reporter.log('a pending promise, a listener on a long-lived signal and a suspended generator do.');
+    reporter.log('Fix: Time out what you await, remove abort listeners when the work is done, and');
+    reporter.log('consume async iterators with for await (or call return()) so their finally blocks run.');
+    reporter.log('Run with --mode=fixed to see the fix, or --mode=compare to measure both.');
+  } else {
+    reporter.log('Notice: Every request timed out, every listener was removed and every cursor was closed.');
+  }
+
+  await reportResult({ mode, heapBefore, heapAfter, survivors });
+}
+
+if (isMain(import.meta.url)) {
+  const mode = getMode();
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-async' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Promise and Async Memory Leak', reporter);
+  } else {
+    await run(mode, reporter);
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Example: Off-Heap Memory Leaks (Buffers, ArrayBuffers and Streams)
+ *
+ * Buffers keep their bytes outside the V8 heap, so these leaks barely move
+ * heapUsed: they grow `external`, `arrayBuffers` and RSS instead.
+ *   1. Buffers taken from a pool and never returned to it
+ *   2. Small slices of large messages, each pinning the message's whole ArrayBuffer
+ *   3. Streams that are never destroyed, holding the data buffered in them
+ * A heap-only monitor misses all three, so this one also watches off-heap memory.
+ *
+ * Usage:
+ *   node examples/leak-buffers.js                  # Leaky version (default)
+ *   node examples/leak-buffers.js --mode=fixed     # Fixed version
+ *   node examples/leak-buffers.js --mode=compare   # Measure both side by side
+ *   node examples/leak-buffers.js --format=json    # Readings as NDJSON records
+ */
+
+import { PassThrough } from 'stream';
+import { compareModes, getMode, isMain, measureHeap, reportResult } from '../lib/scenario.js';
+import { MemoryMonitor } from '../lib/memory-monitor.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+
+const ROUNDS = 20;
+const WARMUP_ROUNDS = 10;
+const MESSAGES_PER_ROUND = 4;
+const MESSAGE_SIZE = 256 * 1024;
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+// 1. A pool of fixed-size Buffers, reused between requests
+export class BufferPool {
+  constructor(size, maxFree = 16) {
+    this.size = size;
+    this.maxFree = maxFree;
+    this.free = [];
+    this.inUse = new Set();
+  }
+
+  acquire() {
+    const buffer = this.free.pop() ?? Buffer.allocUnsafeSlow(this.size);
+    this.inUse.add(buffer);
+    return buffer;
+  }
+
+  release(buffer) {
+    this.inUse.delete(buffer);
+    if (this.free.length < this.maxFree) {
+      this.free.push(buffer);
+    }
+  }
+}
+
+export function encodeLeaky(pool, text) {
+  const buffer = pool.acquire();
+  const length = buffer.write(text);
+  // Forgot pool.release(buffer): the pool's inUse set keeps every Buffer
+  return buffer.toString('base64', 0, length);
+}
+
+export function encode(pool, text) {
+  const buffer = pool.acquire();
+  try {
+    return buffer.toString('base64', 0, buffer.write(text));
+  } finally {
+    pool.release(buffer);
+  }
+}
+
+// 2. Message headers kept for an audit log
+export const headers = [];
+
+function receiveMessage(id) {
+  return Buffer.alloc(MESSAGE_SIZE, id % 256);
+}
+
+export function logHeaderLeaky(message) {
+  // subarray() is a view: 16 bytes that keep the whole 256KB message alive
+  headers.push(message.subarray(0, 16));
+}
+
+export function logHeader(message) {
+  // Copy the 16 bytes, so the message can be collected
+  headers.push(Buffer.from(message.subarray(0, 16)));
+}
+
+// 3. Downloads in progress, removed from the map when their stream closes
+export const downloads = new Map();
+
+export function startDownload(id) {
+  const stream = new PassThrough();
+  downloads.set(id, stream);
+  stream.on('close', () => downloads.delete(id));
+  stream.write(Buffer.alloc(STREAM_CHUNK_SIZE));  // Buffered until someone reads it
+  return stream;
+}
+
+export function abortDownloadLeaky(id) {
+  // The client went away, but the stream is only ended: with nobody reading,
+  // it never finishes, never closes and stays in the map with its buffered data
+  downloads.get(id).end();
+}
+
+export function abortDownload(id) {
+  downloads.get(id).destroy();
+}
+
+// Counted rather than track()ed: a WeakRef keeps its young target alive through
+// scavenges, which would hold every garbage message until a full GC
+function countSurvivors(pool) {
+  return [
+    { label: 'pooled Buffer', count: pool.inUse.size },
+    { label: 'pinned message', count: headers.filter((header) => header.buffer.byteLength >= MESSAGE_SIZE).length },
+    { label: 'download stream', count: downloads.size }
+  ].filter(({ count }) => count > 0);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let processed = 0;
+
+// Not inlined in run(): a local there would stay reachable while run() awaits
+function handleRound(mode, pool, round) {
+  for (let i = 0; i < MESSAGES_PER_ROUND; i++) {
+    const id = round * MESSAGES_PER_ROUND + i;
+    const message = receiveMessage(id);
+    processed += message.toString('latin1', 16, 64 * 1024).length;
+    if (mode === 'leaky') {
+      encodeLeaky(pool, `reply-${id}`);
+      logHeaderLeaky(message);
+      startDownload(id);
+      abortDownloadLeaky(id);
+    } else {
+      encode(pool, `reply-${id}`);
+      logHeader(message);
+      startDownload(id);
+      abortDownload(id);
+    }
+  }
+}
+
+async function run(mode, reporter) {
+  reporter.log(`=== Off-Heap Memory Leak Example (${mode}) ===\n`);
+  const monitor = new MemoryMonitor({ interval: 100, offHeap: true });
+  monitor.on('leak-suspected', reporter.onSuspected);
+  monitor.on('off-heap-suspected', reporter.onOffHeapSuspected);
+
+  const pool = new BufferPool(16 * 1024);
+  const counters = () => ({ pooledInUse: pool.inUse.size, headers: headers.length, downloads: downloads.size });
+  const before = measureHeap();
+  reporter.memory('Initial state', counters());
+
+  reporter.log(`Handling ${ROUNDS * MESSAGES_PER_ROUND} messages of ${MESSAGE_SIZE / 1024}KB over ${ROUNDS / 10} seconds, ` +
+               `monitoring after the first ${WARMUP_ROUNDS / 10}...\n`);
+  for (let round = 0; round < ROUNDS; round++) {
+    if (round === WARMUP_ROUNDS) {
+      // RSS grows while the allocator and the heap warm up, leak or not
+      monitor.start();
+    }
+    handleRound(mode, pool, round);
+    await sleep(100);
+  }
+  monitor.stop();
+
+  reporter.log();
+  if (global.gc) {
+    global.gc();
+    reporter.log('Forced garbage collection\n');
+  }
+  await sleep(100);  // Let destroyed streams close
+
+  const survivors = countSurvivors(pool);
+  const after = measureHeap();
+  reporter.memory('After handling every message', counters());
+
+  if (mode === 'leaky') {
+    reporter.log('Notice: heapUsed barely moved, but external memory grew by ' +
+                 `${((after.external - before.external) / 1024 / 1024).toFixed(1)} MB.`);
+    reporter.log('Fix: Release pooled Buffers in a finally block, copy slices you keep (Buffer.from()), ' +
+                 'and destroy() streams nobody will read.');
+    reporter.log('Run with --mode=fixed to see the fix, or --mode=compare to measure both.');
+  } else {
+    reporter.log('Notice: Every Buffer went back to the pool, every message could be collected, and every stream closed.');
+  }
+
+  await reportResult({
+    mode,
+    heapBefore: before.heapUsed,
+    heapAfter: after.heapUsed,
+    externalBefore: before.external,
+    externalAfter: after.external,
+    survivors
+  });
+}
+
+if (isMain(import.meta.url)) {
+  const mode = getMode();
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-buffers' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Off-Heap Memory Leak', reporter);
+  } else {
+    await run(mode, reporter);
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Example: Cache Memory Leaks
+ *
+ * This runs the same workload (rendering user profiles, 80% of them for 40
+ * signed-in users and 20% for one-off guests) through four caches:
+ *   1. leaky    A Map keyed by user id, which keeps every profile forever
+ *   2. weakmap  A WeakMap keyed by the user object: a profile lives as long
+ *               as its user, but you need an object to key it by
+ *   3. weakref  A Map of WeakRefs, cleaned up by a FinalizationRegistry:
+ *               the garbage collector decides what stays cached
+ *   4. fixed    An LRUCache bounded by size and TTL (lib/lru-cache.js)
+ * and reports the memory each one keeps and its hit rate.
+ *
+ * Usage:
+ *   node examples/leak-cache.js                  # Unbounded Map (default)
+ *   node examples/leak-cache.js --mode=weakmap   # WeakMap keyed by user
+ *   node examples/leak-cache.js --mode=weakref   # WeakRef + FinalizationRegistry
+ *   node examples/leak-cache.js --mode=fixed     # Bounded LRU
+ *   node examples/leak-cache.js --mode=compare   # Measure all four side by side
+ *   node examples/leak-cache.js --format=json    # Readings as NDJSON records
+ */
+
+import { compareModes, getMode, isMain, measureHeap, reportResult, reportSurvivors } from '../lib/scenario.js';
+import { track } from '../lib/lifetime-tracker.js';
+import { LRUCache } from '../lib/lru-cache.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+
+export const CACHE_MODES = ['leaky', 'weakmap', 'weakref', 'fixed', 'compare'];
+
+const REQUESTS = 1000;
+const REPORT_EVERY = 250;
+
+// 1. Leaky: nothing is ever removed, so every guest's profile stays
+export class MapCache {
+  constructor() {
+    this.map = new Map();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  get(user) {
+    return this.map.get(user.id);
+  }
+
+  set(user, profile) {
+    this.map.set(user.id, profile);
+  }
+}
+
+// 2. Entries are collected with their key object. WeakMaps can't be
+// iterated or counted, and a string id can't be a key.
+export class WeakMapCache {
+  constructor() {
+    this.map = new WeakMap();
+  }
+
+  get size() {
+    return null;
+  }
+
+  get(user) {
+    return this.map.get(user);
+  }
+
+  set(user, profile) {
+    this.map.set(user, profile);
+  }
+}
+
+// 3. Values are held weakly: any full GC can empty the cache, hot entries
+// included. The registry removes the Map entries of collected profiles.
+export class WeakRefCache {
+  constructor() {
+    this.refs = new Map();  // user id -> WeakRef(profile)
+    this.registry = new FinalizationRegistry((id) => {
+      // The id may have been cached again since this profile was collected
+      if (this.refs.get(id)?.deref() === undefined) {
+        this.refs.delete(id);
+      }
+    });
+  }
+
+  get size() {
+    return this.refs.size;
+  }
+
+  get(user) {
+    return this.refs.get(user.id)?.deref();
+  }
+
+  set(user, profile) {
+    this.refs.set(user.id, new WeakRef(profile));
+    this.registry.register(profile, user.id);
+  }
+}
+
+// 4. Fixed: bounded by size, and by age for data that goes stale
+export class BoundedCache {
+  constructor({ maxSize = 100, ttl = 60 * 1000 } = {}) {
+    this.lru = new LRUCache({ maxSize, ttl });
+  }
+
+  get size() {
+    return this.lru.size;
+  }
+
+  get(user) {
+    return this.lru.get(user.id);
+  }
+
+  set(user, profile) {
+    this.lru.set(user.id, profile);
+  }
+}
+
+const CACHES = { leaky: MapCache, weakmap: WeakMapCache, weakref: WeakRefCache, fixed: BoundedCache };
+
+export function createCache(mode) {
+  return new CACHES[mode]();
+}
+
+// Signed-in users stay referenced for the whole run; guests are dropped after their request
+export const activeUsers = new Map();
+
+export function userFor(request) {
+  if (request % 5 === 0) {
+    return { id: `guest-${request}` };
+  }
+  const id = `user-${request % 50}`;
+  if (!activeUsers.has(id)) {
+    activeUsers.set(id, { id });
+  }
+  return activeUsers.get(id);
+}
+
+export function renderProfile(user) {
+  return track({ userId: user.id, html: new Array(12500).fill(user.id) }, 'profile'); // ~100KB
+}
+
+export function getProfile(cache, user, stats) {
+  let profile = cache.get(user);
+  if (profile === undefined) {
+    stats.misses++;
+    profile = renderProfile(user);
+    cache.set(user, profile);
+  } else {
+    stats.hits++;
+  }
+  return profile.html.length;
+}
+
+function counters(cache, stats) {
+  const lookups = stats.hits + stats.misses;
+  return {
+    entries: cache.size ?? 'uncountable',
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups === 0 ? '-' : `${((stats.hits / lookups) * 100).toFixed(1)}%`
+  };
+}
+
+async function run(mode, reporter) {
+  reporter.log(`=== Cache Memory Leak Example (${mode}) ===\n`);
+  const cache = createCache(mode);
+  const stats = { hits: 0, misses: 0 };
+  const heapBefore = measureHeap().heapUsed;
+  reporter.memory('Initial state', counters(cache, stats));
+
+  reporter.log(`Serving ${REQUESTS} profile requests, one in five from a guest...\n`);
+  for (let i = 1; i <= REQUESTS; i++) {
+    getProfile(cache, userFor(i), stats);
+
+    if (i % REPORT_EVERY === 0) {
+      // Let finalizers run; measureHeap() forces a full GC, as time passing would
+      await new Promise((resolve) => setImmediate(resolve));
+      const usage = measureHeap();
+      reporter.memory(`After ${i} requests`, counters(cache, stats), usage);
+    }
+  }
+
+  reporter.log('Signing every user out...');
+  activeUsers.clear();
+
+  if (global.gc) {
+    global.gc();
+    reporter.log('Forced garbage collection\n');
+  }
+
+  const survivors = await reportSurvivors(reporter);
+  const heapAfter = measureHeap().heapUsed;
+  reporter.memory('After signing out', counters(cache, stats));
+
+  if (mode === 'leaky') {
+    reporter.log('Notice: Memory is NOT freed. The Map keeps the profile of every guest who ever visited,');
+    reporter.log('and of every user after they signed out.');
+    reporter.log('Fix: Bound the cache (--mode=fixed), or tie entries to the lifetime of an object');
+    reporter.log('(--mode=weakmap) or to GC pressure (--mode=weakref). --mode=compare measures all four.');
+  } else if (mode === 'weakmap') {
+    reporter.log('Notice: Profiles were freed with their users: the hit rate of a Map, without the leak,');
+    reporter.log('as long as there is an object whose lifetime matches the entry\'s.');
+  } else if (mode === 'weakref') {
+    reporter.log('Notice: Nothing is retained, but every full GC emptied the cache, hot users included,');
+    reporter.log('so the hit rate depends on when the GC runs rather than on what is used.');
+  } else {
+    reporter.log('Notice: The LRU keeps its most recently used entries, up to maxSize, until they expire:');
+    reporter.log('bounded memory and a predictable hit rate, at the cost of what it keeps.');
+  }
+
+  const lookups = stats.hits + stats.misses;
+  await reportResult({ mode, heapBefore, heapAfter, survivors, entries: cache.size, hitRate: stats.hits / lookups });
+}
+
+if (isMain(import.meta.url)) {
+  const mode = getMode(process.argv.slice(2), CACHE_MODES);
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-cache' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Cache Memory Leak', reporter, CACHE_MODES.slice(0, -1));
+  } else {
+    await run(mode, reporter);
+  }
+}
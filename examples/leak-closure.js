@@ -1,50 +1,97 @@
 /**
  * Example: Closure Memory Leak
- * 
+ *
  * This demonstrates how closures can inadvertently hold references
  * to large objects, preventing garbage collection.
+ *
+ * Usage:
+ *   node examples/leak-closure.js                  # Leaky version (default)
+ *   node examples/leak-closure.js --mode=fixed     # Fixed version
+ *   node examples/leak-closure.js --mode=compare   # Measure both side by side
+ *   node examples/leak-closure.js --format=json    # Readings as NDJSON records
+ *   npm run playground -- closure                  # Leak, fix and gc interactively
  */
 
-function createLeakyClosure() {
-  const largeData = new Array(1000000).fill('*'); // ~1MB
-  
+import { compareModes, getMode, isMain, measureHeap, reportResult, reportSurvivors } from '../lib/scenario.js';
+import { track } from '../lib/lifetime-tracker.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+
+export function createLeakyClosure() {
+  const largeData = track(new Array(1000000).fill('*'), 'largeData'); // ~1MB
+
   // This closure captures largeData in its scope
   return function smallFunction() {
     return largeData.length;
   };
 }
 
-const leakyClosures = [];
+export function createNonLeakyClosure() {
+  const largeData = track(new Array(1000000).fill('*'), 'largeData');
+  const length = largeData.length; // Extract only what we need
 
-function logMemoryUsage(label) {
-  const used = process.memoryUsage();
-  console.log(`${label}:`);
-  console.log(`  Heap Used: ${Math.round(used.heapUsed / 1024 / 1024)} MB`);
-  console.log(`  Closures Stored: ${leakyClosures.length}\n`);
+  return function smallFunction() {
+    return length; // Only captures 'length', not 'largeData'
+  };
 }
 
-console.log('=== Closure Memory Leak Example ===\n');
-logMemoryUsage('Initial state');
+const closures = [];
 
-console.log('Creating 50 closures, each capturing ~1MB of data...\n');
-for (let i = 0; i < 50; i++) {
-  leakyClosures.push(createLeakyClosure());
-  
-  if ((i + 1) % 10 === 0) {
-    logMemoryUsage(`After ${i + 1} closures`);
+// Playground hooks (see lib/playground.js): each leak is one closure over ~8MB
+export function leak(count) {
+  for (let i = 0; i < count; i++) {
+    closures.push(createLeakyClosure());
   }
 }
 
-console.log('Notice: Each closure keeps the large array in memory even though we only need its length.');
-console.log('Fix: Only capture what you need in closures, or explicitly null out references.');
-console.log('\nExample fix:');
-console.log(`
-function createNonLeakyClosure() {
-  const largeData = new Array(1000000).fill('*');
-  const length = largeData.length; // Extract only what we need
-  
-  return function smallFunction() {
-    return length; // Only captures 'length', not 'largeData'
-  };
+// Keep the closures, but only what createNonLeakyClosure() would capture
+export function release() {
+  for (let i = 0; i < closures.length; i++) {
+    const length = closures[i]();
+    closures[i] = () => length;
+  }
+}
+
+export function stats() {
+  return { closuresStored: closures.length };
+}
+
+async function run(mode, reporter) {
+  const createClosure = mode === 'leaky' ? createLeakyClosure : createNonLeakyClosure;
+
+  reporter.log(`=== Closure Memory Leak Example (${mode}) ===\n`);
+  const heapBefore = measureHeap().heapUsed;
+  reporter.memory('Initial state', { closuresStored: closures.length });
+
+  reporter.log('Creating 50 closures, each working on ~1MB of data...\n');
+  for (let i = 0; i < 50; i++) {
+    closures.push(createClosure());
+
+    if ((i + 1) % 10 === 0) {
+      reporter.memory(`After ${i + 1} closures`, { closuresStored: closures.length });
+    }
+  }
+
+  // Before measuring: track()'s WeakRefs keep their objects alive until the current job ends
+  const survivors = await reportSurvivors(reporter);
+  const heapAfter = measureHeap().heapUsed;
+
+  if (mode === 'leaky') {
+    reporter.log('Notice: Each closure keeps the large array in memory even though we only need its length.');
+    reporter.log('Fix: Only capture what you need in closures, or explicitly null out references.');
+    reporter.log('Run with --mode=fixed to see the fix, or --mode=compare to measure both.');
+  } else {
+    reporter.log('Notice: Each closure only captures the length, so the large arrays are collected.');
+  }
+
+  await reportResult({ mode, heapBefore, heapAfter, survivors, closures: closures.length });
+}
+
+if (isMain(import.meta.url)) {
+  const mode = getMode();
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-closure' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Closure Memory Leak', reporter);
+  } else {
+    await run(mode, reporter);
+  }
 }
-`);
@@ -1,87 +1,143 @@
 /**
  * Example: Event Listener Memory Leak
- * 
+ *
  * This demonstrates how forgotten event listeners can cause memory leaks
  * by keeping objects alive that should be garbage collected.
+ *
+ * Usage:
+ *   node examples/leak-events.js                  # Leaky version (default)
+ *   node examples/leak-events.js --mode=fixed     # Fixed version
+ *   node examples/leak-events.js --mode=compare   # Measure both side by side
+ *   node examples/leak-events.js --format=json    # Readings as NDJSON records
+ *   npm run playground -- events                  # Leak, fix and gc interactively
  */
 
 import { EventEmitter } from 'events';
+import { compareModes, getMode, isMain, measureHeap, reportResult, reportSurvivors } from '../lib/scenario.js';
+import { track } from '../lib/lifetime-tracker.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
 
-class DataProcessor extends EventEmitter {
+export class DataProcessor extends EventEmitter {
   constructor(id) {
     super();
     this.id = id;
     this.data = new Array(100000).fill(`processor-${id}`); // ~1MB
+    track(this, 'DataProcessor');
   }
 }
 
-const globalEmitter = new EventEmitter();
+const PROCESSORS = 30;
+
+export const globalEmitter = new EventEmitter();
+// A listener per live processor is this demo's normal load, not a leak; past
+// it (e.g. leak in the playground) Node's MaxListenersExceededWarning fires
+globalEmitter.setMaxListeners(PROCESSORS);
 const processors = [];
 
-function createLeakyProcessor(id) {
+export function createLeakyProcessor(id) {
   const processor = new DataProcessor(id);
-  
+
   // Add event listener but never remove it
   globalEmitter.on('process', () => {
     processor.data.push('new-data');
   });
-  
+
   // We keep a reference to processor via the listener
   return processor;
 }
 
-function logMemoryUsage(label) {
-  const used = process.memoryUsage();
-  console.log(`${label}:`);
-  console.log(`  Heap Used: ${Math.round(used.heapUsed / 1024 / 1024)} MB`);
-  console.log(`  Event Listeners: ${globalEmitter.listenerCount('process')}`);
-  console.log(`  Processors: ${processors.length}\n`);
-}
-
-console.log('=== Event Listener Memory Leak Example ===\n');
-logMemoryUsage('Initial state');
-
-console.log('Creating 30 processors with event listeners...\n');
-for (let i = 0; i < 30; i++) {
-  const processor = createLeakyProcessor(i);
-  processors.push(processor);
-  
-  if ((i + 1) % 10 === 0) {
-    logMemoryUsage(`After ${i + 1} processors`);
-  }
-}
-
-console.log('Attempting to clear processors array...');
-processors.length = 0;
-
-// Force garbage collection if available
-if (global.gc) {
-  global.gc();
-  console.log('Forced garbage collection\n');
-}
-
-setTimeout(() => {
-  logMemoryUsage('After clearing processors array');
-  
-  console.log('Notice: Memory is NOT freed because event listeners still reference the processors.');
-  console.log('Fix: Always remove event listeners when objects are no longer needed.');
-  console.log('\nExample fix:');
-  console.log(`
-function createNonLeakyProcessor(id) {
+export function createNonLeakyProcessor(id) {
   const processor = new DataProcessor(id);
-  
+
   const handler = () => {
     processor.data.push('new-data');
   };
-  
+
   globalEmitter.on('process', handler);
-  
+
   // Provide cleanup method
   processor.cleanup = () => {
     globalEmitter.off('process', handler);
   };
-  
+
   return processor;
 }
-`);
-}, 100);
+
+function counters() {
+  return { eventListeners: globalEmitter.listenerCount('process'), processors: processors.length };
+}
+
+// Playground hooks (see lib/playground.js): each leak is one ~1MB processor,
+// referenced only by its listener
+let leakedProcessors = 0;
+
+export function leak(count) {
+  for (let i = 0; i < count; i++) {
+    createLeakyProcessor(leakedProcessors++);
+  }
+}
+
+export function release() {
+  globalEmitter.removeAllListeners('process');
+}
+
+export function stats() {
+  return { eventListeners: globalEmitter.listenerCount('process') };
+}
+
+async function run(mode, reporter) {
+  const createProcessor = mode === 'leaky' ? createLeakyProcessor : createNonLeakyProcessor;
+
+  reporter.log(`=== Event Listener Memory Leak Example (${mode}) ===\n`);
+  const heapBefore = measureHeap().heapUsed;
+  reporter.memory('Initial state', counters());
+
+  reporter.log(`Creating ${PROCESSORS} processors with event listeners...\n`);
+  for (let i = 0; i < PROCESSORS; i++) {
+    processors.push(createProcessor(i));
+
+    if ((i + 1) % 10 === 0) {
+      reporter.memory(`After ${i + 1} processors`, counters());
+    }
+  }
+
+  if (mode === 'fixed') {
+    reporter.log('Calling cleanup() on every processor...');
+    processors.forEach((processor) => processor.cleanup());
+  }
+
+  reporter.log('Attempting to clear processors array...');
+  processors.length = 0;
+
+  // Force garbage collection if available
+  if (global.gc) {
+    global.gc();
+    reporter.log('Forced garbage collection\n');
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  const survivors = await reportSurvivors(reporter);
+  const heapAfter = measureHeap().heapUsed;
+  reporter.memory('After clearing processors array', counters());
+
+  if (mode === 'leaky') {
+    reporter.log('Notice: Memory is NOT freed because event listeners still reference the processors.');
+    reporter.log('Fix: Always remove event listeners when objects are no longer needed.');
+    reporter.log('Run with --mode=fixed to see the fix, or --mode=compare to measure both.');
+  } else {
+    reporter.log('Notice: Memory is freed because every listener was removed before dropping the processors.');
+  }
+
+  await reportResult({ mode, heapBefore, heapAfter, survivors, listeners: globalEmitter.listenerCount('process') });
+}
+
+if (isMain(import.meta.url)) {
+  const mode = getMode();
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-events' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Event Listener Memory Leak', reporter);
+  } else {
+    await run(mode, reporter);
+  }
+}
@@ -1,43 +1,102 @@
 /**
  * Example: Global Variable Memory Leak
- * 
+ *
  * This demonstrates how global variables can cause memory leaks
  * by accumulating data that never gets garbage collected.
+ *
+ * Usage:
+ *   node examples/leak-global.js                  # Leaky version (default)
+ *   node examples/leak-global.js --mode=fixed     # Fixed version
+ *   node examples/leak-global.js --mode=compare   # Measure both side by side
+ *   node examples/leak-global.js --format=json    # Readings as NDJSON records
+ *   npm run playground -- global                  # Leak, fix and gc interactively
  */
 
-const leakyData = [];
+import { compareModes, getMode, isMain, measureHeap, reportResult, reportSurvivors } from '../lib/scenario.js';
+import { track } from '../lib/lifetime-tracker.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
 
-function createLeak() {
+export const leakyData = [];
+
+function createRecord(i) {
+  return track({
+    data: new Array(10000).fill('*'),
+    timestamp: new Date(),
+    id: i
+  }, 'record');
+}
+
+export function createLeak() {
   // Adding data to a global variable prevents garbage collection
   for (let i = 0; i < 1000; i++) {
-    leakyData.push({
-      data: new Array(10000).fill('*'),
-      timestamp: new Date(),
-      id: i
-    });
+    leakyData.push(createRecord(i));
+  }
+}
+
+// Fix: keep temporary data local so it can be collected once we return
+export function processWithoutLeak() {
+  const batch = [];
+  for (let i = 0; i < 1000; i++) {
+    batch.push(createRecord(i));
+  }
+  return batch.length;
+}
+
+// Playground hooks (see lib/playground.js): each leak is a batch of 100 records (~8MB)
+export function leak(count) {
+  for (let i = 0; i < count * 100; i++) {
+    leakyData.push(createRecord(leakyData.length));
   }
 }
 
-function logMemoryUsage() {
-  const used = process.memoryUsage();
-  console.log('Memory Usage:');
-  console.log(`  RSS: ${Math.round(used.rss / 1024 / 1024)} MB`);
-  console.log(`  Heap Used: ${Math.round(used.heapUsed / 1024 / 1024)} MB`);
-  console.log(`  Heap Total: ${Math.round(used.heapTotal / 1024 / 1024)} MB`);
-  console.log(`  External: ${Math.round(used.external / 1024 / 1024)} MB`);
-  console.log(`  Array Size: ${leakyData.length} items\n`);
+export function release() {
+  leakyData.length = 0;
 }
 
-console.log('=== Global Variable Memory Leak Example ===\n');
-console.log('Initial state:');
-logMemoryUsage();
+export function stats() {
+  return { arraySize: leakyData.length };
+}
+
+async function run(mode, reporter) {
+  reporter.log(`=== Global Variable Memory Leak Example (${mode}) ===\n`);
+  const heapBefore = measureHeap().heapUsed;
+  let processed = 0;
+
+  const counters = () => ({ arraySize: leakyData.length, processed });
+  reporter.memory('Initial state', counters());
+
+  reporter.log('Creating records (5 iterations)...\n');
+  for (let iteration = 0; iteration < 5; iteration++) {
+    if (mode === 'leaky') {
+      createLeak();
+      processed += 1000;
+    } else {
+      processed += processWithoutLeak();
+    }
+    reporter.memory(`After iteration ${iteration + 1}`, counters());
+  }
 
-console.log('Creating leak (5 iterations)...\n');
-for (let iteration = 0; iteration < 5; iteration++) {
-  createLeak();
-  console.log(`After iteration ${iteration + 1}:`);
-  logMemoryUsage();
+  // Before measuring: track()'s WeakRefs keep their objects alive until the current job ends
+  const survivors = await reportSurvivors(reporter);
+  const heapAfter = measureHeap().heapUsed;
+
+  if (mode === 'leaky') {
+    reporter.log('Notice: Memory usage keeps growing because data is stored in a global variable.');
+    reporter.log('Fix: Use local variables, clear arrays when done, or use proper data structures with cleanup.');
+    reporter.log('Run with --mode=fixed to see the fix, or --mode=compare to measure both.');
+  } else {
+    reporter.log('Notice: Each batch lives in a local variable and is collected after the function returns.');
+  }
+
+  await reportResult({ mode, heapBefore, heapAfter, survivors, retainedItems: leakyData.length });
 }
 
-console.log('Notice: Memory usage keeps growing because data is stored in a global variable.');
-console.log('Fix: Use local variables, clear arrays when done, or use proper data structures with cleanup.');
+if (isMain(import.meta.url)) {
+  const mode = getMode();
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-global' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Global Variable Memory Leak', reporter);
+  } else {
+    await run(mode, reporter);
+  }
+}
@@ -1,17 +1,30 @@
 /**
  * Example: Timer/Interval Memory Leak
- * 
+ *
  * This demonstrates how forgotten timers and intervals can cause memory leaks
  * by keeping callbacks and their closures alive indefinitely.
+ *
+ * Usage:
+ *   node examples/leak-timer.js                  # Leaky version (default)
+ *   node examples/leak-timer.js --mode=fixed     # Fixed version
+ *   node examples/leak-timer.js --mode=compare   # Measure both side by side
+ *   node examples/leak-timer.js --format=json    # Readings as NDJSON records
+ *   npm run playground -- timer                  # Leak, fix and gc interactively
  */
 
-class DataCache {
+import { compareModes, getMode, isMain, measureHeap, reportResult, reportSurvivors } from '../lib/scenario.js';
+import { track } from '../lib/lifetime-tracker.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+
+export class DataCache {
   constructor(id) {
     this.id = id;
     this.cache = new Array(100000).fill(`cache-${id}`); // ~1MB
     this.updateCount = 0;
+    this.interval = null;
+    track(this, 'DataCache');
   }
-  
+
   startLeakyTimer() {
     // Timer keeps the entire object alive even if we're done with it
     this.interval = setInterval(() => {
@@ -19,73 +32,118 @@ class DataCache {
       this.cache.push(`update-${this.updateCount}`);
     }, 100);
   }
-  
+
   // Forgot to add cleanup method!
 }
 
+export class FixedDataCache extends DataCache {
+  startTimer() {
+    this.interval = setInterval(() => {
+      this.updateCount++;
+      this.cache.push(`update-${this.updateCount}`);
+    }, 100);
+  }
+
+  cleanup() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
 const caches = [];
 
-function logMemoryUsage(label) {
-  const used = process.memoryUsage();
-  console.log(`${label}:`);
-  console.log(`  Heap Used: ${Math.round(used.heapUsed / 1024 / 1024)} MB`);
-  console.log(`  Active Caches: ${caches.length}\n`);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Not inlined in run(): a local there would stay reachable while run() awaits
+function startCache(mode, id) {
+  if (mode === 'leaky') {
+    const cache = new DataCache(id);
+    cache.startLeakyTimer();
+    return cache;
+  }
+  const cache = new FixedDataCache(id);
+  cache.startTimer();
+  return cache;
+}
+
+// Playground hooks (see lib/playground.js): each leak is one ~1MB cache whose
+// interval keeps it alive. Only the interval handles are kept, to clear them.
+const leakedIntervals = [];
+
+export function leak(count) {
+  for (let i = 0; i < count; i++) {
+    leakedIntervals.push(startCache('leaky', leakedIntervals.length).interval);
+  }
 }
 
-console.log('=== Timer/Interval Memory Leak Example ===\n');
-logMemoryUsage('Initial state');
+export function release() {
+  leakedIntervals.forEach(clearInterval);
+  leakedIntervals.length = 0;
+}
 
-console.log('Creating 20 caches with intervals...\n');
-for (let i = 0; i < 20; i++) {
-  const cache = new DataCache(i);
-  cache.startLeakyTimer();
-  caches.push(cache);
+export function stats() {
+  return { activeIntervals: leakedIntervals.length };
 }
 
-logMemoryUsage('After creating caches');
+async function run(mode, reporter) {
+  reporter.log(`=== Timer/Interval Memory Leak Example (${mode}) ===\n`);
+  const heapBefore = measureHeap().heapUsed;
+  reporter.memory('Initial state', { activeCaches: caches.length });
 
-console.log('Waiting 2 seconds for timers to run...\n');
-setTimeout(() => {
-  logMemoryUsage('After 2 seconds');
-  
-  console.log('Attempting to clear caches array...');
+  reporter.log('Creating 20 caches with intervals...\n');
+  for (let i = 0; i < 20; i++) {
+    caches.push(startCache(mode, i));
+  }
+
+  reporter.memory('After creating caches', { activeCaches: caches.length });
+
+  reporter.log('Waiting 2 seconds for timers to run...\n');
+  await sleep(2000);
+  reporter.memory('After 2 seconds', { activeCaches: caches.length });
+
+  if (mode === 'fixed') {
+    reporter.log('Calling cleanup() on every cache...');
+    caches.forEach((cache) => cache.cleanup());
+  }
+
+  reporter.log('Attempting to clear caches array...');
   caches.length = 0;
-  
+
   if (global.gc) {
     global.gc();
-    console.log('Forced garbage collection\n');
+    reporter.log('Forced garbage collection\n');
   }
-  
-  setTimeout(() => {
-    logMemoryUsage('After clearing caches array');
-    
-    console.log('Notice: Memory continues to grow! Intervals keep running and prevent garbage collection.');
-    console.log('Fix: Always clear timers/intervals when objects are no longer needed.');
-    console.log('\nExample fix:');
-    console.log(`
-class DataCache {
-  startTimer() {
-    this.interval = setInterval(() => {
-      this.updateCount++;
-    }, 100);
+
+  await sleep(1000);
+
+  const survivors = await reportSurvivors(reporter);
+  const heapAfter = measureHeap().heapUsed;
+  reporter.memory('After clearing caches array', { activeCaches: caches.length });
+
+  if (mode === 'leaky') {
+    reporter.log('Notice: Memory continues to grow! Intervals keep running and prevent garbage collection.');
+    reporter.log('Fix: Always clear timers/intervals when objects are no longer needed.');
+    reporter.log('Run with --mode=fixed to see the fix, or --mode=compare to measure both.');
+  } else {
+    reporter.log('Notice: Every interval was cleared, so the caches are collected and the process exits on its own.');
   }
-  
-  cleanup() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
-    }
+
+  await reportResult({ mode, heapBefore, heapAfter, survivors });
+
+  if (mode === 'leaky') {
+    // The leaked intervals would keep the process alive forever
+    process.exit(0);
   }
 }
 
-// Usage:
-const cache = new DataCache(1);
-cache.startTimer();
-// When done:
-cache.cleanup();
-`);
-    
-    // Clean up for demo purposes
-    process.exit(0);
-  }, 1000);
-}, 2000);
+if (isMain(import.meta.url)) {
+  const mode = getMode();
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-timer' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Timer/Interval Memory Leak', reporter);
+  } else {
+    await run(mode, reporter);
+  }
+}
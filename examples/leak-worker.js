@@ -0,0 +1,167 @@
+/**
+ * Example: Worker Thread Memory Leak
+ *
+ * This demonstrates a leak the main thread's process.memoryUsage() can't see.
+ * Each batch of reports gets a fresh worker that is never terminated, and the
+ * worker keeps every report it rendered. Worker heaps live in their own V8
+ * isolates, so only the per-worker stats from WorkerMonitor show them.
+ *
+ * Usage:
+ *   node examples/leak-worker.js                  # Leaky version (default)
+ *   node examples/leak-worker.js --mode=fixed     # Fixed version
+ *   node examples/leak-worker.js --mode=compare   # Measure both side by side
+ *   node examples/leak-worker.js --format=json    # Readings as NDJSON records
+ */
+
+import { isMainThread, parentPort, Worker, workerData } from 'worker_threads';
+import { compareModes, getMode, isMain, measureHeap, reportResult } from '../lib/scenario.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+import { reportWorkerHeap, WorkerMonitor } from '../lib/worker-monitor.js';
+
+const BATCHES = 5;
+const TASKS_PER_BATCH = 10;
+// A worker that leaks into its own heap dies with ERR_WORKER_OUT_OF_MEMORY
+// at this limit instead of taking the whole process down
+const RESOURCE_LIMITS = { maxOldGenerationSizeMb: 64 };
+
+// Worker side: renders a report for every task it receives
+const rendered = [];
+
+function startWorker({ leaky }) {
+  reportWorkerHeap({ interval: 100 });
+  parentPort.on('message', (task) => {
+    const report = { id: task.id, rows: new Array(50000).fill(`row-${task.id}`) }; // ~400KB
+    if (leaky) {
+      rendered.push(report);  // "Kept for debugging", never cleared
+    }
+    parentPort.postMessage({ id: task.id, rows: report.rows.length });
+  });
+}
+
+function runTask(worker, task) {
+  return new Promise((resolve, reject) => {
+    const onMessage = (message) => {
+      if (message?.id === task.id) {
+        worker.off('message', onMessage);
+        worker.off('error', reject);
+        resolve(message);
+      }
+    };
+    worker.on('message', onMessage);
+    worker.once('error', reject);
+    worker.postMessage(task);
+  });
+}
+
+export class LeakyReportPool {
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.batches = 0;
+  }
+
+  async runBatch(tasks) {
+    const worker = this.monitor.add(new Worker(new URL(import.meta.url), {
+      workerData: { leaky: true },
+      resourceLimits: RESOURCE_LIMITS
+    }), `batch-${++this.batches}`);
+    for (const task of tasks) {
+      await runTask(worker, task);
+    }
+    // Forgot worker.terminate(): the thread, and everything it rendered, lives on
+  }
+
+  close() {}
+}
+
+export class ReportPool {
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.worker = null;
+  }
+
+  async runBatch(tasks) {
+    // One worker for every batch, which doesn't keep what it rendered
+    this.worker ??= this.monitor.add(new Worker(new URL(import.meta.url), {
+      workerData: { leaky: false },
+      resourceLimits: RESOURCE_LIMITS
+    }), 'reports');
+    for (const task of tasks) {
+      await runTask(this.worker, task);
+    }
+  }
+
+  async close() {
+    await this.worker?.terminate();
+    this.worker = null;
+  }
+}
+
+const toMB = (bytes) => bytes === null ? '-' : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+function reportThreads(reporter, threads) {
+  const lines = threads.map(({ name, heapUsed, heapLimit, age }) =>
+    `  ${name.padEnd(10)} ${toMB(heapUsed).padStart(9)} of ${toMB(heapLimit).padStart(10)}` +
+    (age === null ? '' : `   running for ${(age / 1000).toFixed(1)}s`));
+  reporter.event('threads', { threads }, `Heap per thread:\n${lines.join('\n')}\n`);
+}
+
+async function run(mode, reporter) {
+  reporter.log(`=== Worker Thread Memory Leak Example (${mode}) ===\n`);
+  const monitor = new WorkerMonitor({ interval: 250, idleTimeout: 1000 }).start();
+  monitor.on('worker-idle', ({ worker, idle }) => reporter.event('worker-idle', { worker, idle },
+    `⚠️  Worker ${worker} has been idle for ${(idle / 1000).toFixed(1)}s but was never terminated`));
+  monitor.on('worker-exit', ({ worker, code }) => reporter.event('worker-exit', { worker, code },
+    `Worker ${worker} exited with code ${code}`));
+
+  const pool = mode === 'leaky' ? new LeakyReportPool(monitor) : new ReportPool(monitor);
+  const heapBefore = measureHeap().heapUsed;
+  reporter.memory('Initial state', { workers: monitor.workers.size });
+
+  reporter.log(`Rendering ${BATCHES} batches of ${TASKS_PER_BATCH} reports...\n`);
+  for (let batch = 0; batch < BATCHES; batch++) {
+    const tasks = Array.from({ length: TASKS_PER_BATCH }, (_, i) => ({ id: batch * TASKS_PER_BATCH + i }));
+    await pool.runBatch(tasks);
+  }
+
+  reporter.memory('After rendering', { workers: monitor.workers.size });
+  reporter.log('Notice: The main thread heap barely moved. The reports were rendered in the workers.\n');
+  reportThreads(reporter, await monitor.measureWorkers());
+
+  reporter.log('Closing the pool, then waiting 1.5 seconds...\n');
+  await pool.close();
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+
+  const threads = await monitor.measureWorkers();
+  monitor.stop();
+  const heapAfter = threads.reduce((total, { heapUsed }) => total + (heapUsed ?? 0), 0);
+  reporter.memory('After closing the pool', { workers: monitor.workers.size });
+
+  if (mode === 'leaky') {
+    reporter.log(`Notice: ${monitor.workers.size} workers still hold ${toMB(heapAfter - threads[0].heapUsed)} of heap between them.`);
+    reporter.log('Fix: Terminate workers you are done with (or reuse one), and don\'t keep results in the worker.');
+    reporter.log('Run with --mode=fixed to see the fix, or --mode=compare to measure both.');
+  } else {
+    reporter.log('Notice: The single worker was terminated, so its whole heap is gone and the process exits on its own.');
+  }
+
+  // Heap across all threads, with the live workers as what survived
+  const survivors = monitor.workers.size > 0 ? [{ label: 'Worker', count: monitor.workers.size }] : [];
+  await reportResult({ mode, heapBefore, heapAfter, survivors });
+
+  if (mode === 'leaky') {
+    // The workers that were never terminated would keep the process alive forever
+    process.exit(0);
+  }
+}
+
+if (!isMainThread) {
+  startWorker(workerData);
+} else if (isMain(import.meta.url)) {
+  const mode = getMode();
+  const reporter = new Reporter({ format: getFormat(), source: 'leak-worker' });
+  if (mode === 'compare') {
+    await compareModes(import.meta.url, 'Worker Thread Memory Leak', reporter);
+  } else {
+    await run(mode, reporter);
+  }
+}
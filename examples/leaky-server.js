@@ -1,150 +1,461 @@
 /**
  * Leaky HTTP Server Example
- * 
+ *
  * This demonstrates how to reproduce production memory leaks locally
  * using a simple HTTP server with intentional leaks.
- * 
+ *
  * Usage:
  * 1. Start server: npm run server
  * 2. In another terminal, run load test: npm run loadtest
  * 3. For debugging with Chrome DevTools: npm run server:inspect
  *    Then open chrome://inspect and watch memory grow
+ * 4. To capture heap snapshots automatically when a leak is suspected:
+ *    HEAP_SNAPSHOT_DIR=./snapshots npm run server
+ * 5. To capture diagnostics on demand, without restarting:
+ *    DEBUG_TOKEN=secret node --expose-gc examples/leaky-server.js
+ *    curl -X POST -H 'Authorization: Bearer secret' -o server.heapsnapshot \
+ *      http://localhost:3000/debug/heapsnapshot
+ * 6. To ship the memory log to a log pipeline as NDJSON:
+ *    node examples/leaky-server.js --format=json   # or LOG_FORMAT=json
+ * 7. To list the requests and sessions that survive garbage collection
+ *    (tracked with lib/lifetime-tracker.js; /stats has the live counts):
+ *    DEBUG_TOKEN=secret node --expose-gc examples/leaky-server.js --lifetimes
+ *    curl -X POST -H 'Authorization: Bearer secret' http://localhost:3000/debug/survivors
+ * 8. To watch memory and the counters in a live terminal dashboard instead
+ *    of the memory log (lib/dashboard.js):
+ *    node examples/leaky-server.js --dashboard   # or DASHBOARD=1
+ *
+ * Each leak can be switched to its fixed implementation, so you can
+ * reproduce one leak at a time (or none, with npm run server:fixed):
+ *   node examples/leaky-server.js --leaks=cache,sessions   # Only these two leak
+ *   node examples/leaky-server.js --leaks=none             # Everything fixed
+ *   LEAKS=connections npm run server                       # Same, via env var
+ *
+ *   Leak          Leaky                         Fixed
+ *   cache         Array that grows forever      LRU cache bounded to --cache-size
+ *   sessions      Map entries never expire      TTL (--session-ttl ms) with a sweeper,
+ *                                               at most --max-sessions kept
+ *   connections   New connection per request    Acquire/release pool of --pool-size
  */
 
 import http from 'http';
+import { parseArgs } from 'util';
+import { MemoryMonitor } from '../index.js';
+import { Dashboard } from '../lib/dashboard.js';
+import { createDebugHandler } from '../lib/debug-routes.js';
+import { LifetimeTracker } from '../lib/lifetime-tracker.js';
+import { LRUCache } from '../lib/lru-cache.js';
+import { CONTENT_TYPE, MetricsCollector } from '../lib/metrics.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+import { isMain } from '../lib/scenario.js';
 
-// Global cache that grows indefinitely (memory leak!)
-const requestCache = [];
-const userSessions = new Map();
-let requestCount = 0;
+export const LEAK_NAMES = ['cache', 'sessions', 'connections'];
+
+export const DEFAULT_SERVER_OPTIONS = {
+  leaks: { cache: true, sessions: true, connections: true },
+  cacheSize: 1000,          // Fixed cache: maximum cached requests
+  sessionTTL: 30 * 1000,    // Fixed sessions: milliseconds until a session expires
+  maxSessions: 1000,        // Fixed sessions: maximum sessions kept (~50KB each)
+  sweepInterval: 5 * 1000,  // Fixed sessions: how often expired sessions are removed
+  poolSize: 10,             // Fixed pool: maximum open connections
+  debugToken: undefined,    // Enables the /debug/ routes (see lib/debug-routes.js)
+  trackLifetimes: false,    // Track requests and sessions for /debug/survivors and /stats
+  lifetimes: undefined      // LifetimeTracker to track them with (default: a new one with trackLifetimes)
+};
+
+function createConnection(id) {
+  return {
+    id,
+    data: new Array(10000).fill('connection-data'), // ~100KB per connection
+    createdAt: new Date()
+  };
+}
 
 // Simulate a database connection pool that leaks
-class ConnectionPool {
+export class ConnectionPool {
   constructor() {
     this.connections = [];
   }
-  
+
   getConnection() {
     // Leak: creating new connections without cleanup
-    const connection = {
-      id: this.connections.length,
-      data: new Array(10000).fill('connection-data'), // ~100KB per connection
-      createdAt: new Date()
-    };
+    const connection = createConnection(this.connections.length);
     this.connections.push(connection);
     return connection;
   }
-  
+
   // This cleanup method is never called! (Intentional leak)
   cleanup() {
     this.connections = [];
   }
 }
 
-const pool = new ConnectionPool();
-
-const server = http.createServer((req, res) => {
-  requestCount++;
-  
-  // Leak 1: Caching every request in memory
-  requestCache.push({
-    url: req.url,
-    method: req.method,
-    timestamp: new Date(),
-    headers: req.headers,
-    data: new Array(1000).fill('request-data') // ~10KB per request
+// Fix: a real pool that reuses at most maxSize connections
+export class BoundedConnectionPool {
+  constructor({ maxSize = 10 } = {}) {
+    this.maxSize = maxSize;
+    this.connections = [];  // Every connection ever opened (at most maxSize)
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  acquire() {
+    if (this.idle.length > 0) {
+      return Promise.resolve(this.idle.pop());
+    }
+    if (this.connections.length < this.maxSize) {
+      const connection = createConnection(this.connections.length);
+      this.connections.push(connection);
+      return Promise.resolve(connection);
+    }
+    // Pool exhausted: wait for a release
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  release(connection) {
+    const next = this.waiting.shift();
+    if (next) {
+      next(connection);
+    } else {
+      this.idle.push(connection);
+    }
+  }
+}
+
+// Fix: sessions expire after `ttl` ms and a sweeper removes them. The TTL
+// alone doesn't bound memory (under enough load, more sessions start within
+// a TTL than fit in the heap), so at most maxSize are kept: the least
+// recently used is evicted first.
+export class SessionStore {
+  constructor({ ttl = 30 * 1000, maxSize = 1000, sweepInterval = 5 * 1000 } = {}) {
+    this.sessions = new LRUCache({ maxSize, ttl });
+    this.sweeper = setInterval(() => this.sweep(), sweepInterval);
+    this.sweeper.unref();
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  set(id, session) {
+    this.sessions.set(id, session);
+    return this;
+  }
+
+  sweep(now = Date.now()) {
+    return this.sessions.prune(now);
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+/**
+ * Parse `--leaks` / LEAKS ("all", "none" or a comma-separated list of
+ * LEAK_NAMES) into { cache, sessions, connections } booleans.
+ */
+export function parseLeaks(value = 'all') {
+  const names = value === 'all' ? LEAK_NAMES
+    : value === 'none' || value === '' ? []
+      : value.split(',').map((name) => name.trim());
+
+  for (const name of names) {
+    if (!LEAK_NAMES.includes(name)) {
+      throw new Error(`Unknown leak "${name}". Use all, none or a list of: ${LEAK_NAMES.join(', ')}`);
+    }
+  }
+
+  return Object.fromEntries(LEAK_NAMES.map((name) => [name, names.includes(name)]));
+}
+
+/**
+ * Create the server without starting it, so tests can drive it.
+ * `state` exposes the (possibly) leaking structures.
+ *
+ * @param {object} [options] - See DEFAULT_SERVER_OPTIONS
+ */
+export function createLeakyServer(options = {}) {
+  const opts = { ...DEFAULT_SERVER_OPTIONS, ...options };
+  const leaks = { ...DEFAULT_SERVER_OPTIONS.leaks, ...options.leaks };
+
+  // Leaky versions grow indefinitely (memory leak!); fixed versions are bounded
+  const requestCache = leaks.cache ? [] : new LRUCache({ maxSize: opts.cacheSize });
+  const userSessions = leaks.sessions
+    ? new Map()
+    : new SessionStore({ ttl: opts.sessionTTL, maxSize: opts.maxSessions, sweepInterval: opts.sweepInterval });
+  const pool = leaks.connections
+    ? new ConnectionPool()
+    : new BoundedConnectionPool({ maxSize: opts.poolSize });
+
+  // Tracking adds a WeakRef and a registry entry per object to every heap
+  // snapshot, enough to crowd the real leaks out of a snapshot diff, so it
+  // is off unless asked for
+  const lifetimes = opts.lifetimes ?? (opts.trackLifetimes ? new LifetimeTracker() : null);
+  const track = (value, label) => (lifetimes ? lifetimes.track(value, label) : value);
+
+  const state = {
+    leaks,
+    requestCount: 0,
+    requestCache,
+    userSessions,
+    pool,
+    lifetimes,
+    counters() {
+      return {
+        requests: state.requestCount,
+        cachedRequests: leaks.cache ? requestCache.length : requestCache.size,
+        activeSessions: userSessions.size,
+        connections: pool.connections.length
+      };
+    }
+  };
+
+  const metrics = new MetricsCollector({
+    metrics: () => {
+      const counters = state.counters();
+      return [
+        { name: 'leaky_server_requests_total', type: 'counter', help: 'Requests handled by the server.', value: counters.requests },
+        { name: 'leaky_server_cached_requests', type: 'gauge', help: 'Entries in requestCache.', value: counters.cachedRequests },
+        { name: 'leaky_server_active_sessions', type: 'gauge', help: 'Entries in userSessions.', value: counters.activeSessions },
+        { name: 'leaky_server_pool_connections', type: 'gauge', help: 'Connections opened by the pool.', value: counters.connections },
+        {
+          name: 'leaky_server_leak_enabled',
+          type: 'gauge',
+          help: 'Whether each leak is enabled (1) or replaced by its fix (0).',
+          samples: LEAK_NAMES.map((name) => ({ labels: { leak: name }, value: leaks[name] ? 1 : 0 }))
+        }
+      ];
+    }
   });
-  
-  // Leak 2: Creating session objects that never expire
-  const sessionId = `session-${requestCount}`;
-  userSessions.set(sessionId, {
-    id: sessionId,
-    data: new Array(5000).fill('session-data'), // ~50KB per session
-    createdAt: new Date()
+
+  const handleDebug = createDebugHandler({ token: opts.debugToken, lifetimes });
+
+  async function handleRequest(req, res) {
+    // Diagnostics are not application traffic, so they don't leak either
+    if (await handleDebug(req, res)) {
+      return;
+    }
+
+    state.requestCount++;
+    const requestCount = state.requestCount;
+    const entry = track({
+      url: req.url,
+      method: req.method,
+      timestamp: new Date(),
+      headers: req.headers,
+      data: new Array(1000).fill('request-data') // ~10KB per request
+    }, 'request');
+
+    // Leak 1: Caching every request in memory
+    if (leaks.cache) {
+      requestCache.push(entry);
+    } else {
+      requestCache.set(requestCount, entry);
+    }
+
+    // Leak 2: Creating session objects that never expire
+    const sessionId = `session-${requestCount}`;
+    userSessions.set(sessionId, track({
+      id: sessionId,
+      data: new Array(5000).fill('session-data'), // ~50KB per session
+      createdAt: new Date()
+    }, 'session'));
+
+    // Leak 3: Getting connections without returning them to pool
+    if (leaks.connections) {
+      pool.getConnection();
+    } else {
+      const conn = await pool.acquire();
+      res.on('close', () => pool.release(conn));
+    }
+
+    // Handle different routes
+    if (req.url === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('Memory Leak Demo Server\n');
+    } else if (req.url === '/stats') {
+      const usage = process.memoryUsage();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ...state.counters(),
+        leaks,
+        ...(lifetimes && { objects: lifetimes.stats() }),
+        memory: {
+          rss: Math.round(usage.rss / 1024 / 1024) + ' MB',
+          heapUsed: Math.round(usage.heapUsed / 1024 / 1024) + ' MB',
+          heapTotal: Math.round(usage.heapTotal / 1024 / 1024) + ' MB'
+        }
+      }, null, 2));
+    } else if (req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(metrics.render());
+    } else if (req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('OK\n');
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found\n');
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handleRequest(req, res);
+    } catch (err) {
+      // Unhandled, the rejection would end the process (and every other request)
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Internal Server Error\n');
+      }
+    }
   });
-  
-  // Leak 3: Getting connections without returning them to pool
-  const conn = pool.getConnection();
-  
-  // Handle different routes
-  if (req.url === '/') {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('Memory Leak Demo Server\n');
-  } else if (req.url === '/stats') {
-    const usage = process.memoryUsage();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      requests: requestCount,
-      cachedRequests: requestCache.length,
-      activeSessions: userSessions.size,
-      connections: pool.connections.length,
-      memory: {
-        rss: Math.round(usage.rss / 1024 / 1024) + ' MB',
-        heapUsed: Math.round(usage.heapUsed / 1024 / 1024) + ' MB',
-        heapTotal: Math.round(usage.heapTotal / 1024 / 1024) + ' MB'
+
+  server.on('listening', () => metrics.start());
+  server.on('close', () => {
+    metrics.stop();
+    if (!leaks.sessions) {
+      userSessions.close();
+    }
+  });
+
+  return { server, state };
+}
+
+function parseServerArgs() {
+  const { values } = parseArgs({
+    strict: false,
+    options: {
+      leaks: { type: 'string', default: process.env.LEAKS ?? 'all' },
+      'cache-size': { type: 'string', default: process.env.CACHE_SIZE },
+      'session-ttl': { type: 'string', default: process.env.SESSION_TTL },
+      'max-sessions': { type: 'string', default: process.env.MAX_SESSIONS },
+      'pool-size': { type: 'string', default: process.env.POOL_SIZE },
+      dashboard: { type: 'boolean', default: process.env.DASHBOARD === '1' },
+      lifetimes: { type: 'boolean', default: process.env.TRACK_LIFETIMES === '1' }
+    }
+  });
+
+  const options = { leaks: parseLeaks(values.leaks), debugToken: process.env.DEBUG_TOKEN };
+  if (values['cache-size']) options.cacheSize = Number(values['cache-size']);
+  if (values['session-ttl']) options.sessionTTL = Number(values['session-ttl']);
+  if (values['max-sessions']) options.maxSessions = Number(values['max-sessions']);
+  if (values['pool-size']) options.poolSize = Number(values['pool-size']);
+  options.dashboard = values.dashboard === true;
+  options.trackLifetimes = values.lifetimes === true;
+  return options;
+}
+
+function startServer() {
+  const PORT = process.env.PORT || 3000;
+
+  let options;
+  try {
+    options = parseServerArgs();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  const reporter = new Reporter({ format: getFormat(), source: 'leaky-server', timestamps: true });
+
+  // Optional: write a heap snapshot on first leak suspicion and after every
+  // further 50 MB of growth, giving you the before/after pair to compare.
+  if (process.env.HEAP_SNAPSHOT_DIR) {
+    const monitor = new MemoryMonitor({
+      interval: 2000,
+      heapSnapshots: {
+        directory: process.env.HEAP_SNAPSHOT_DIR,
+        growthStep: 50 * 1024 * 1024,
+        cooldown: 30 * 1000,
+        maxFiles: 4
+      }
+    });
+    monitor.on('snapshot', ({ path, reason }) => {
+      reporter.event('snapshot', { path, reason }, `Heap snapshot written (${reason}): ${path}`);
+    });
+    monitor.on('snapshot-failed', (err) => {
+      reporter.event('snapshot-failed', { error: err.message }, `Heap snapshot failed: ${err.message}`);
+    });
+    monitor.start();
+  }
+
+  const { server, state } = createLeakyServer(options);
+  const { leaks } = state;
+  const leakLabel = (name, leaky, fixed) => (leaks[name] ? leaky : `${fixed} (fixed)`);
+  const dashboard = options.dashboard
+    ? new Dashboard({ title: `Leaky HTTP Server on port ${PORT}`, counters: () => state.counters() })
+    : null;
+
+  server.listen(PORT, () => {
+    reporter.log('╔════════════════════════════════════════════════════════════╗');
+    reporter.log('║  Leaky HTTP Server Started                                 ║');
+    reporter.log('╚════════════════════════════════════════════════════════════╝');
+    reporter.log();
+    reporter.log(`Server running at http://localhost:${PORT}/`);
+    reporter.log();
+    reporter.log('Endpoints:');
+    reporter.log('  GET /        - Hello message');
+    reporter.log('  GET /stats   - Memory statistics');
+    reporter.log('  GET /metrics - Prometheus metrics');
+    reporter.log('  GET /health  - Health check');
+    if (options.debugToken) {
+      reporter.log('  POST /debug/heapsnapshot           - Download a heap snapshot');
+      reporter.log('  POST /debug/heap-profile?seconds=N - Sample allocations for N seconds');
+      reporter.log('  POST /debug/gc                     - Force garbage collection');
+      if (state.lifetimes) {
+        reporter.log('  POST /debug/survivors?gcs=N        - Requests and sessions alive after N GCs');
       }
-    }, null, 2));
-  } else if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('OK\n');
-  } else {
-    res.writeHead(404, { 'Content-Type': 'text/plain' });
-    res.end('Not Found\n');
-  }
-});
-
-const PORT = process.env.PORT || 3000;
-
-server.listen(PORT, () => {
-  console.log('╔════════════════════════════════════════════════════════════╗');
-  console.log('║  Leaky HTTP Server Started                                 ║');
-  console.log('╚════════════════════════════════════════════════════════════╝');
-  console.log();
-  console.log(`Server running at http://localhost:${PORT}/`);
-  console.log();
-  console.log('Endpoints:');
-  console.log('  GET /        - Hello message');
-  console.log('  GET /stats   - Memory statistics');
-  console.log('  GET /health  - Health check');
-  console.log();
-  console.log('Memory Leaks (intentional):');
-  console.log('  1. Request cache grows indefinitely');
-  console.log('  2. User sessions never expire');
-  console.log('  3. Database connections never returned to pool');
-  console.log();
-  console.log('To reproduce production issues:');
-  console.log('  1. Run load test: npm run loadtest');
-  console.log('  2. Watch /stats endpoint for growing memory');
-  console.log('  3. Debug with: npm run server:inspect');
-  console.log('     Then open chrome://inspect in Chrome');
-  console.log();
-  console.log('Memory monitoring:');
-  
-  // Log memory usage every 5 seconds
-  setInterval(() => {
-    const usage = process.memoryUsage();
-    console.log(`[${new Date().toISOString()}] Requests: ${requestCount} | ` +
-                `Heap: ${Math.round(usage.heapUsed / 1024 / 1024)}MB | ` +
-                `RSS: ${Math.round(usage.rss / 1024 / 1024)}MB | ` +
-                `Cache: ${requestCache.length} | ` +
-                `Sessions: ${userSessions.size} | ` +
-                `Connections: ${pool.connections.length}`);
-  }, 5000);
-});
-
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('\nSIGTERM received. Shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+    }
+    reporter.log();
+    reporter.log('Memory Leaks (toggle with --leaks or LEAKS):');
+    reporter.log(`  1. ${leakLabel('cache', 'Request cache grows indefinitely', 'Request cache is an LRU')}`);
+    reporter.log(`  2. ${leakLabel('sessions', 'User sessions never expire', 'User sessions expire')}`);
+    reporter.log(`  3. ${leakLabel('connections', 'Database connections never returned to pool',
+      'Database connections are acquired and released')}`);
+    reporter.log();
+    reporter.log('To reproduce production issues:');
+    reporter.log('  1. Run load test: npm run loadtest');
+    reporter.log('  2. Watch /stats endpoint for growing memory');
+    reporter.log('  3. Debug with: npm run server:inspect');
+    reporter.log('     Then open chrome://inspect in Chrome');
+    reporter.log();
+    if (dashboard) {
+      // Redraws in the terminal's alternate screen; this banner is back on exit
+      dashboard.start();
+      return;
+    }
+    reporter.log('Memory monitoring:');
+
+    // Log memory usage every 5 seconds
+    setInterval(() => reporter.memory('Memory', state.counters()), 5000);
   });
-});
 
-process.on('SIGINT', () => {
-  console.log('\nSIGINT received. Shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => {
+    dashboard?.stop();
+    reporter.log('\nSIGTERM received. Shutting down gracefully...');
+    server.close(() => {
+      reporter.log('Server closed');
+      process.exit(0);
+    });
   });
-});
+
+  process.on('SIGINT', () => {
+    dashboard?.stop();
+    reporter.log('\nSIGINT received. Shutting down gracefully...');
+    server.close(() => {
+      reporter.log('Server closed');
+      process.exit(0);
+    });
+  });
+}
+
+if (isMain(import.meta.url)) {
+  startServer();
+}
@@ -0,0 +1,40 @@
+/**
+ * Daily Cycle Load Profile
+ *
+ * A JS profile can compute what a JSON profile would have to spell out.
+ * This one compresses a day of traffic (quiet night, morning ramp, busy
+ * afternoon, evening decline) into HOURS x MINUTES_PER_HOUR minutes, so a
+ * leak that needs hours of moderate traffic shows up in a coffee break.
+ *
+ * Usage:
+ *   npm run loadtest -- --profile=examples/load-profiles/daily-cycle.js
+ *   MINUTES_PER_HOUR=5 npm run loadtest -- --profile=examples/load-profiles/daily-cycle.js
+ */
+
+const MINUTES_PER_HOUR = Number(process.env.MINUTES_PER_HOUR ?? 1);
+const PEAK_RATE = 100; // Requests per second at the busiest hour
+
+// Relative traffic per hour of the day, 0..1
+const HOURLY_TRAFFIC = [
+  0.1, 0.05, 0.05, 0.05, 0.1, 0.2, 0.4, 0.6, 0.8, 0.9, 1, 1,
+  0.9, 1, 1, 0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2, 0.1
+];
+
+export default function dailyCycle() {
+  return {
+    description: `A day of traffic peaking at ${PEAK_RATE} req/s, ${MINUTES_PER_HOUR} min per hour`,
+    connections: 5,
+    cooldown: 60,
+    requests: [
+      { path: '/', weight: 4 },
+      { path: '/health', weight: 1 }
+    ],
+    stages: HOURLY_TRAFFIC.map((traffic, hour) => ({
+      name: `${String(hour).padStart(2, '0')}:00`,
+      duration: MINUTES_PER_HOUR * 60,
+      rate: Math.max(1, Math.round(PEAK_RATE * traffic)),
+      ramp: true,
+      steps: 2
+    }))
+  };
+}
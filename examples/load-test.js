@@ -1,14 +1,41 @@
 /**
  * Load Testing with Autocannon
- * 
+ *
  * This script uses autocannon to generate load on the leaky server
  * to help reproduce production-like memory leak scenarios.
- * 
+ *
  * Prerequisites:
  * 1. Install dependencies: npm install
  * 2. Start the server: npm run server (in another terminal)
  * 3. Run this script: npm run loadtest
- * 
+ *
+ * Options (they override the profile):
+ *   --profile=NAME|FILE   default, ramp-up, spike, soak, or a .json/.js profile
+ *                         file (see lib/load-profile.js for the format)
+ *   --url=URL             Target server (default http://localhost:3000)
+ *   -c, --connections=N   Concurrent connections
+ *   -d, --duration=S      Seconds of load, for profiles without stages
+ *   -r, --rate=N          Requests/second across all connections
+ *   --cooldown=S          Seconds to keep measuring after the load stops
+ *   --format=pretty|json  json writes every sample and the verdict as NDJSON
+ *                         records to stdout (see lib/reporter.js)
+ *
+ *   npm run loadtest -- --profile=soak --rate=20
+ *   npm run loadtest -- --profile=examples/load-profiles/mixed-traffic.json
+ *
+ * While the load runs, and for a cooldown period after it stops, the
+ * server's memory is polled from its /metrics endpoint. Memory that does
+ * not return to its baseline once the load is gone is reported as a LEAK,
+ * and the script exits with code 1, so it can gate CI.
+ *
+ * For a precise verdict, let the load test force garbage collection on
+ * the server before measuring (see the /debug/ routes):
+ *   DEBUG_TOKEN=secret node --expose-gc examples/leaky-server.js
+ *   DEBUG_TOKEN=secret npm run loadtest
+ *
+ * To have the server started and stopped for you, use npm run reproduce
+ * (bin/reproduce.js), which calls runLoadTest() from this module.
+ *
  * For debugging:
  * - Start server with inspect: npm run server:inspect
  * - Open chrome://inspect in Chrome
@@ -18,183 +45,477 @@
 
 import autocannon from 'autocannon';
 import http from 'http';
+import { parseArgs } from 'util';
+import { analyzeLoadTest } from '../lib/load-analysis.js';
+import { loadProfile, PROFILES, resolveProfile } from '../lib/load-profile.js';
+import { parseMetrics } from '../lib/metrics.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+import { isMain } from '../lib/scenario.js';
 
-const SERVER_URL = 'http://localhost:3000';
+const MONITORING = {
+  sampleInterval: 1000,   // Poll /metrics every second
+  baselineSamples: 3,     // Samples taken before the load starts
+  requestTimeout: 2000    // An overloaded server may not answer at all
+};
 
-// Check if server is running
-function checkServer() {
-  return new Promise((resolve, reject) => {
-    http.get(SERVER_URL + '/health', (res) => {
-      if (res.statusCode === 200) {
-        resolve(true);
-      } else {
-        reject(new Error(`Server returned status ${res.statusCode}`));
-      }
-    }).on('error', (err) => {
-      reject(err);
+const USAGE = `Usage: node examples/load-test.js [options]
+
+Options:
+  --profile=NAME|FILE   Load profile (default: default)
+  --url=URL             Target server (default: http://localhost:3000)
+  -c, --connections=N   Concurrent connections
+  -d, --duration=S      Seconds of load, for profiles without stages
+  -r, --rate=N          Requests/second across all connections
+  --cooldown=S          Seconds to keep measuring after the load stops
+  --format=pretty|json  Output format; json writes NDJSON records to stdout
+  -h, --help            Show this help
+
+Profiles:
+${Object.entries(PROFILES).map(([name, { description }]) => `  ${name.padEnd(20)}  ${description}`).join('\n')}
+  FILE.json / FILE.js   Your own profile (see lib/load-profile.js)
+`;
+
+/**
+ * Talks to the server under test: health, /stats, /metrics and /debug/gc.
+ */
+class ServerClient {
+  constructor(url, debugToken) {
+    this.url = url;
+    this.debugToken = debugToken;
+  }
+
+  // Send a request and resolve with { status, body }
+  request(path, { method = 'GET', headers } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(this.url + path, { method, headers, timeout: MONITORING.requestTimeout }, (res) => {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      });
+      req.on('timeout', () => req.destroy(new Error(`${path} timed out`)));
+      req.on('error', reject);
+      req.end();
     });
-  });
-}
+  }
 
-// Get current memory stats from server
-async function getStats() {
-  return new Promise((resolve, reject) => {
-    http.get(SERVER_URL + '/stats', (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(e);
-        }
+  // Get current memory stats from server
+  async getStats() {
+    return JSON.parse((await this.request('/stats')).body);
+  }
+
+  // Read raw memory usage (bytes) from the server's Prometheus metrics
+  async getMemory() {
+    const { status, body } = await this.request('/metrics');
+    const metrics = status === 200 ? parseMetrics(body) : new Map();
+    if (!['nodejs_heap_size_used_bytes', 'process_resident_memory_bytes'].every((name) => Number.isFinite(metrics.get(name)))) {
+      throw new Error(`The server does not expose memory metrics: GET /metrics returned ${status} ` +
+                      'without nodejs_heap_size_used_bytes and process_resident_memory_bytes (see lib/metrics.js)');
+    }
+
+    // Cumulative GC count and pause (ms) per kind, from the GC histogram
+    const gc = {};
+    for (const [sample, value] of metrics) {
+      const match = /^nodejs_gc_duration_seconds_(sum|count)\{kind="(\w+)"\}$/.exec(sample);
+      if (match) {
+        const kind = gc[match[2]] ??= { count: 0, pause: 0 };
+        if (match[1] === 'count') kind.count = value;
+        else kind.pause = value * 1000;
+      }
+    }
+
+    return {
+      heapUsed: metrics.get('nodejs_heap_size_used_bytes'),
+      heapTotal: metrics.get('nodejs_heap_size_total_bytes'),
+      rss: metrics.get('process_resident_memory_bytes'),
+      external: metrics.get('nodejs_external_memory_bytes'),
+      arrayBuffers: metrics.get('nodejs_array_buffers_bytes'),
+      gc
+    };
+  }
+
+  // Force a full GC on the server, if it allows it. Returns true on success.
+  async forceGc() {
+    if (!this.debugToken) return false;
+
+    try {
+      const { status } = await this.request('/debug/gc', {
+        method: 'POST',
+        headers: { authorization: `Bearer ${this.debugToken}` }
       });
-    }).on('error', reject);
+      return status === 200;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Check if the server is running: resolves when GET `healthPath` returns 200.
+ */
+export async function checkServer(url, healthPath = '/health') {
+  const { status } = await new ServerClient(url).request(healthPath);
+  if (status !== 200) {
+    throw new Error(`Server returned status ${status}`);
+  }
+  return true;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const toMB = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+/**
+ * Polls server memory into a series of samples tagged with the current
+ * phase and the number of requests completed so far.
+ */
+class MemorySampler {
+  constructor(getMemory, reporter) {
+    this.getMemory = getMemory;
+    this.reporter = reporter;
+    this.samples = [];
+    this.failures = 0;
+    this.phase = 'baseline';
+    this.stage = 'baseline';
+    this.requests = 0;
+    this.start = Date.now();
+    this.timer = null;
+  }
+
+  async sample() {
+    // Tagged with the phase it was taken in, even if the reply arrives after the next
+    const { phase } = this;
+    const stage = phase === 'load' ? this.stage : phase;
+    try {
+      const memory = await this.getMemory();
+      const sample = {
+        timestamp: Date.now(),
+        phase,
+        stage,
+        requests: this.requests,
+        ...memory
+      };
+      this.samples.push(sample);
+      // The pretty format prints the samples as a table at the end instead
+      if (this.reporter.json) {
+        this.reporter.memory(sample.stage, { requests: sample.requests }, sample);
+      }
+    } catch {
+      this.failures++;
+    }
+  }
+
+  startPolling() {
+    this.timer = setInterval(() => this.sample(), MONITORING.sampleInterval);
+  }
+
+  stopPolling() {
+    clearInterval(this.timer);
+  }
+}
+
+function printSamples(samples, start, reporter) {
+  reporter.log('Memory Over Time:');
+  reporter.log('  Time     Stage          Requests    Heap Used   RSS');
+  // Keep the table short: a row every 5 seconds, or about 30 rows for long runs
+  const rowInterval = Math.max(5000, (samples.at(-1).timestamp - start) / 30);
+  let lastPrinted = -Infinity;
+  samples.forEach((sample, i) => {
+    const isStageChange = i > 0 && samples[i - 1].stage !== sample.stage;
+    if (sample.timestamp - lastPrinted < rowInterval && !isStageChange && i !== samples.length - 1) return;
+    lastPrinted = sample.timestamp;
+
+    const time = Math.round((sample.timestamp - start) / 1000);
+    reporter.log(`  ${String(time).padStart(5)}s  ` +
+                `${sample.stage.padEnd(12)}  ${String(sample.requests).padStart(9)}    ` +
+                `${toMB(sample.heapUsed).padStart(8)}    ${toMB(sample.rss).padStart(8)}`);
   });
+  reporter.log();
 }
 
-async function runLoadTest() {
-  console.log('╔════════════════════════════════════════════════════════════╗');
-  console.log('║  Autocannon Load Test - Memory Leak Reproduction          ║');
-  console.log('╚════════════════════════════════════════════════════════════╝');
-  console.log();
-  
-  // Check if server is running
-  console.log('Checking if server is running...');
-  try {
-    await checkServer();
-    console.log('✓ Server is running\n');
-  } catch (err) {
-    console.error('✗ Server is not running!');
-    console.error('  Start the server with: npm run server');
-    console.error('  Or with inspect: npm run server:inspect\n');
-    process.exit(1);
+function printNextSteps(reporter) {
+  reporter.log('Next Steps for Debugging:');
+  reporter.log('1. Run server with inspect: npm run server:inspect');
+  reporter.log('2. Open Chrome and go to: chrome://inspect');
+  reporter.log('3. Click "inspect" under your Node.js process');
+  reporter.log('4. Go to Memory tab > Take Heap Snapshot (before load)');
+  reporter.log('5. Run this load test again: npm run loadtest');
+  reporter.log('6. Take another Heap Snapshot (after load)');
+  reporter.log('7. Compare snapshots to identify what\'s growing');
+  reporter.log('   (or without Chrome: npm run diff-snapshots -- before.heapsnapshot after.heapsnapshot)');
+  reporter.log('8. Look for: requestCache, userSessions, connections');
+  reporter.log('Tip: start the server with HEAP_SNAPSHOT_DIR=./snapshots to have');
+  reporter.log('     the snapshots written automatically when a leak is suspected.');
+  reporter.log();
+}
+
+function parseNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`--${name} must be a number, got "${value}"`);
   }
-  
-  // Get initial stats
-  console.log('Getting initial memory stats...');
-  const initialStats = await getStats();
-  console.log('Initial state:', {
-    requests: initialStats.requests,
-    memory: initialStats.memory
+  return number;
+}
+
+async function parseLoadTestArgs() {
+  const { values } = parseArgs({
+    options: {
+      profile: { type: 'string', default: 'default' },
+      url: { type: 'string' },
+      connections: { type: 'string', short: 'c' },
+      duration: { type: 'string', short: 'd' },
+      rate: { type: 'string', short: 'r' },
+      cooldown: { type: 'string' },
+      format: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
   });
-  console.log();
-  
-  // Configure load test
-  const loadTestConfig = {
-    url: SERVER_URL,
-    connections: 10,        // Number of concurrent connections
-    duration: 30,           // Test duration in seconds
-    pipelining: 1,          // Requests per connection
-    requests: [
-      {
-        method: 'GET',
-        path: '/'
-      },
-      {
-        method: 'GET',
-        path: '/health'
-      }
-    ]
-  };
-  
-  console.log('Load Test Configuration:');
-  console.log(`  Connections: ${loadTestConfig.connections}`);
-  console.log(`  Duration: ${loadTestConfig.duration} seconds`);
-  console.log(`  Target: ${loadTestConfig.url}`);
-  console.log();
-  console.log('Starting load test...\n');
-  
-  // Run the load test
-  const result = await new Promise((resolve, reject) => {
-    const instance = autocannon(loadTestConfig, (err, result) => {
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  return resolveProfile(await loadProfile(values.profile), {
+    url: values.url?.replace(/\/$/, ''),
+    connections: parseNumber(values.connections, 'connections'),
+    duration: parseNumber(values.duration, 'duration'),
+    rate: parseNumber(values.rate, 'rate'),
+    cooldown: parseNumber(values.cooldown, 'cooldown')
+  });
+}
+
+// Run one stage with autocannon, counting completed requests on the sampler
+function runStage(url, stage, sampler) {
+  return new Promise((resolve, reject) => {
+    const instance = autocannon({
+      url,
+      connections: stage.connections,
+      duration: stage.duration,
+      overallRate: stage.rate ?? undefined,
+      pipelining: 1,
+      requests: stage.requests
+    }, (err, result) => {
       if (err) {
         reject(err);
       } else {
         resolve(result);
       }
     });
-    
+    instance.on('response', () => sampler.requests++);
+
     // Track progress
-    autocannon.track(instance, { renderProgressBar: true });
+    autocannon.track(instance, { renderProgressBar: true, renderResultsTable: false, renderLatencyTable: false });
   });
-  
-  console.log('\n');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('Load Test Results:');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log(`Total Requests: ${result.requests.total}`);
-  console.log(`Requests/sec: ${result.requests.average}`);
-  console.log(`Latency (avg): ${result.latency.mean} ms`);
-  console.log(`Latency (p99): ${result.latency.p99} ms`);
-  console.log(`Throughput: ${Math.round(result.throughput.average / 1024)} KB/sec`);
-  console.log(`Errors: ${result.errors}`);
-  console.log();
-  
-  // Get final stats
-  console.log('Getting final memory stats...');
-  await new Promise(resolve => setTimeout(resolve, 2000)); // Wait for stats to update
-  
-  let finalStats;
+}
+
+const formatDuration = (seconds) => (seconds >= 120 ? `${Math.round(seconds / 60)} min` : `${Math.round(seconds * 10) / 10} s`);
+const formatRate = (rate) => (rate === null ? 'max' : `${rate} req/s`);
+
+/**
+ * Run a resolved load profile (see lib/load-profile.js) against a running
+ * server while sampling its memory, print the analysis and return it.
+ *
+ * @param {object} profile - From resolveProfile()
+ * @param {object} [options]
+ * @param {string} [options.debugToken] - Lets the test force GC through /debug/gc
+ * @param {Reporter} [options.reporter] - Where to print (see lib/reporter.js)
+ * @param {Function} [options.getMemory] - Resolves with the server's memory
+ *   usage, as { heapUsed, heapTotal, rss, external, arrayBuffers, gc }
+ *   (default: read from its /metrics endpoint)
+ * @returns {Promise<object>} { verdict, reason, analysis, samples, results }
+ */
+export async function runLoadTest(profile, { debugToken, reporter = new Reporter(), getMemory } = {}) {
+  const client = new ServerClient(profile.url, debugToken);
+  getMemory ??= () => client.getMemory();
+
+  // Get initial stats (only the demo server has /stats)
+  let initialStats = null;
+  try {
+    initialStats = await client.getStats();
+    reporter.log('Initial state:', {
+      requests: initialStats.requests,
+      memory: initialStats.memory
+    });
+    reporter.log();
+  } catch {
+    // Not the leaky server, the only one with /stats
+  }
+
+  // Samples fail quietly once the load runs, so a server whose memory can't
+  // be read fails here instead of getting a verdict without data
+  await getMemory();
+
+  // Measure the baseline, after a GC when the server allows it
+  const canForceGc = await client.forceGc();
+  if (!canForceGc) {
+    reporter.log('Note: cannot force GC on the server, so the verdict relies on natural GC.');
+    reporter.log('      For a precise verdict, start the server with --expose-gc and');
+    reporter.log('      DEBUG_TOKEN, and run this script with the same DEBUG_TOKEN.\n');
+  }
+
+  const sampler = new MemorySampler(getMemory, reporter);
+  for (let i = 0; i < MONITORING.baselineSamples; i++) {
+    await sampler.sample();
+    await sleep(MONITORING.sampleInterval);
+  }
+
+  const totalDuration = profile.stages.reduce((sum, stage) => sum + stage.duration, 0);
+  reporter.log('Load Profile:');
+  if (profile.description) {
+    reporter.log(`  ${profile.description}`);
+  }
+  reporter.log(`  Target: ${profile.url}`);
+  reporter.log(`  Requests: ${[...new Set(profile.stages[0].requests.map((r) => `${r.method} ${r.path}`))].join(', ')}`);
+  reporter.log('  Stages:');
+  for (const stage of profile.stages) {
+    reporter.log(`    ${stage.name.padEnd(12)} ${formatDuration(stage.duration).padStart(8)}   ` +
+                `${String(stage.connections).padStart(3)} connections   ${formatRate(stage.rate)}`);
+  }
+  reporter.log(`  Total: ${formatDuration(totalDuration)} + ${profile.cooldown} s cooldown`);
+  reporter.log();
+  reporter.log('Starting load test...\n');
+
+  // Run every stage, sampling memory throughout
+  sampler.phase = 'load';
+  sampler.startPolling();
+  const results = [];
+  for (const stage of profile.stages) {
+    reporter.log(`Stage: ${stage.name} (${stage.connections} connections, ${formatRate(stage.rate)})`);
+    sampler.stage = stage.name;
+    results.push({ stage, result: await runStage(profile.url, stage, sampler) });
+  }
+
+  const total = (field) => results.reduce((sum, { result }) => sum + field(result), 0);
+  const totalRequests = total((result) => result.requests.total);
+
+  reporter.log('\n');
+  reporter.log('═══════════════════════════════════════════════════════════');
+  reporter.log('Load Test Results:');
+  reporter.log('═══════════════════════════════════════════════════════════');
+  if (results.length > 1) {
+    for (const { stage, result } of results) {
+      reporter.log(`  ${stage.name.padEnd(12)} ${String(result.requests.total).padStart(9)} requests   ` +
+                  `${String(Math.round(result.requests.average)).padStart(6)} req/s   ` +
+                  `p99 ${result.latency.p99} ms   ${result.errors} errors`);
+    }
+    reporter.log();
+  }
+  reporter.log(`Total Requests: ${totalRequests}`);
+  reporter.log(`Requests/sec: ${Math.round(totalRequests / totalDuration)}`);
+  reporter.log(`Latency (p99, worst stage): ${Math.max(...results.map(({ result }) => result.latency.p99))} ms`);
+  reporter.log(`Throughput: ${Math.round(total((result) => result.throughput.total) / totalDuration / 1024)} KB/sec`);
+  reporter.log(`Errors: ${total((result) => result.errors)}`);
+  reporter.log();
+
+  // Keep sampling while the server is idle, then take a final sample (after
+  // GC when possible), so a cooldown shorter than a sample interval has one too
+  reporter.log(`Cooling down for ${profile.cooldown} seconds...`);
+  sampler.phase = 'cooldown';
+  await sleep(profile.cooldown * 1000);
+  sampler.stopPolling();
+  if (canForceGc) {
+    await client.forceGc();
+  }
+  await sampler.sample();
+  reporter.log();
+
+  reporter.log('═══════════════════════════════════════════════════════════');
+  reporter.log('Memory Leak Analysis:');
+  reporter.log('═══════════════════════════════════════════════════════════');
+
+  if (!sampler.samples.some((sample) => sample.phase === 'cooldown')) {
+    reporter.log('✗ LEAK: the server stopped responding during the test');
+    reporter.log('  (it may have run out of memory; check its output)');
+    reporter.log();
+    reporter.event('verdict', { verdict: 'LEAK', reason: 'unresponsive' }, null);
+    printNextSteps(reporter);
+    return { verdict: 'LEAK', reason: 'unresponsive', analysis: null, samples: sampler.samples, results };
+  }
+
+  printSamples(sampler.samples, sampler.start, reporter);
+  if (sampler.failures > 0) {
+    reporter.log(`(${sampler.failures} samples failed; the server was too busy to answer)\n`);
+  }
+
+  let finalStats = null;
+  try {
+    finalStats = initialStats && await client.getStats();
+  } catch {
+    // Reported without the leak structures
+  }
+
+  if (finalStats) {
+    reporter.log('Leak Structures (before → after):');
+    reporter.log(`  Requests: ${initialStats.requests} → ${finalStats.requests}`);
+    reporter.log(`  Cached Requests: ${initialStats.cachedRequests} → ${finalStats.cachedRequests}`);
+    reporter.log(`  Active Sessions: ${initialStats.activeSessions} → ${finalStats.activeSessions}`);
+    reporter.log(`  Connections: ${initialStats.connections} → ${finalStats.connections}`);
+    reporter.log();
+  }
+
+  const analysis = analyzeLoadTest(sampler.samples);
+  reporter.event('verdict', { ...analysis, reason: 'retained' }, null);
+  const growth = analysis.growthPer1k === null ? 'n/a' : `${Math.round(analysis.growthPer1k / 1024)} KB`;
+  reporter.log('Heap Used:');
+  reporter.log(`  Baseline: ${toMB(analysis.baseline)}`);
+  reporter.log(`  Peak: ${toMB(analysis.peak)}`);
+  reporter.log(`  After Cooldown: ${toMB(analysis.final)} (${analysis.retained >= 0 ? '+' : ''}${toMB(analysis.retained)})`);
+  reporter.log(`  Growth under load: ${growth} per 1k requests`);
+  reporter.log(`  Retained: ${Math.round(analysis.retainedPer1k / 1024)} KB per 1k requests`);
+  reporter.log(`  Returned to baseline: ${analysis.returnedToBaseline ? 'yes' : 'no'}`);
+  reporter.log();
+
+  if (analysis.verdict === 'LEAK') {
+    reporter.log(`✗ LEAK: ${toMB(analysis.retained)} of heap is still retained after the load stopped`);
+    reporter.log();
+    printNextSteps(reporter);
+  } else {
+    reporter.log('✓ PASS: memory returned to baseline after the load stopped');
+    reporter.log();
+  }
+
+  return { verdict: analysis.verdict, reason: 'retained', analysis, samples: sampler.samples, results };
+}
+
+async function main() {
+  let profile;
   try {
-    finalStats = await getStats();
+    profile = await parseLoadTestArgs();
   } catch (err) {
-    console.log('Could not get final stats (server may be overloaded)');
-    console.log('This is normal for high-load scenarios.\n');
-    console.log('Next Steps for Debugging:');
-    console.log('1. Run server with inspect: npm run server:inspect');
-    console.log('2. Open Chrome and go to: chrome://inspect');
-    console.log('3. Click "inspect" under your Node.js process');
-    console.log('4. Go to Memory tab > Take Heap Snapshot (before load)');
-    console.log('5. Run this load test again: npm run loadtest');
-    console.log('6. Take another Heap Snapshot (after load)');
-    console.log('7. Compare snapshots to identify what\'s growing');
-    console.log('8. Look for: requestCache, userSessions, connections');
-    console.log();
-    return;
-  }
-  
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('Memory Leak Analysis:');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('Before Load Test:');
-  console.log(`  Requests: ${initialStats.requests}`);
-  console.log(`  Heap Used: ${initialStats.memory.heapUsed}`);
-  console.log(`  RSS: ${initialStats.memory.rss}`);
-  console.log(`  Cached Requests: ${initialStats.cachedRequests}`);
-  console.log(`  Active Sessions: ${initialStats.activeSessions}`);
-  console.log(`  Connections: ${initialStats.connections}`);
-  console.log();
-  console.log('After Load Test:');
-  console.log(`  Requests: ${finalStats.requests}`);
-  console.log(`  Heap Used: ${finalStats.memory.heapUsed}`);
-  console.log(`  RSS: ${finalStats.memory.rss}`);
-  console.log(`  Cached Requests: ${finalStats.cachedRequests}`);
-  console.log(`  Active Sessions: ${finalStats.activeSessions}`);
-  console.log(`  Connections: ${finalStats.connections}`);
-  console.log();
-  console.log('Memory Growth:');
-  console.log(`  New Requests: ${finalStats.requests - initialStats.requests}`);
-  console.log(`  Leaked Requests: ${finalStats.cachedRequests - initialStats.cachedRequests}`);
-  console.log(`  Leaked Sessions: ${finalStats.activeSessions - initialStats.activeSessions}`);
-  console.log(`  Leaked Connections: ${finalStats.connections - initialStats.connections}`);
-  console.log();
-  console.log('⚠️  Notice: All three leaks are growing!');
-  console.log();
-  console.log('Next Steps for Debugging:');
-  console.log('1. Run server with inspect: npm run server:inspect');
-  console.log('2. Open Chrome and go to: chrome://inspect');
-  console.log('3. Click "inspect" under your Node.js process');
-  console.log('4. Go to Memory tab > Take Heap Snapshot (before load)');
-  console.log('5. Run this load test again: npm run loadtest');
-  console.log('6. Take another Heap Snapshot (after load)');
-  console.log('7. Compare snapshots to identify what\'s growing');
-  console.log('8. Look for: requestCache, userSessions, connections');
-  console.log();
+    console.error(err.message);
+    console.error('Run with --help for usage');
+    process.exit(2);
+  }
+  const reporter = new Reporter({ format: getFormat(), source: 'load-test' });
+
+  reporter.log('╔════════════════════════════════════════════════════════════╗');
+  reporter.log('║  Autocannon Load Test - Memory Leak Reproduction          ║');
+  reporter.log('╚════════════════════════════════════════════════════════════╝');
+  reporter.log();
+
+  // Check if server is running
+  reporter.log('Checking if server is running...');
+  try {
+    await checkServer(profile.url);
+    reporter.log('✓ Server is running\n');
+  } catch (err) {
+    console.error(`✗ Server is not running at ${profile.url}!`);
+    console.error('  Start the server with: npm run server');
+    console.error('  Or with inspect: npm run server:inspect');
+    console.error('  Or let npm run reproduce start it for you\n');
+    process.exit(1);
+  }
+
+  const { verdict } = await runLoadTest(profile, { debugToken: process.env.DEBUG_TOKEN, reporter });
+  if (verdict === 'LEAK') {
+    process.exitCode = 1;
+  }
 }
 
 // Run the load test
-runLoadTest().catch(err => {
-  console.error('Load test failed:', err.message);
-  process.exit(1);
-});
+if (isMain(import.meta.url)) {
+  main().catch(err => {
+    console.error('Load test failed:', err.message);
+    process.exit(1);
+  });
+}
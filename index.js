@@ -1,28 +1,36 @@
 /**
  * Node.js Memory Leak Detection Demo
  * Main entry point
+ *
+ * Importing this module exposes the reusable leak detection API.
+ * Running it directly (node index.js <command>) runs the CLI in lib/cli.js,
+ * also installed as the node-memory-leak command.
  */
 
-console.log('╔═══════════════════════════════════════════════════════════════╗');
-console.log('║   Node.js Memory Leak Detection Demo                         ║');
-console.log('╚═══════════════════════════════════════════════════════════════╝');
-console.log();
-console.log('This demo teaches you how to identify memory leaks using');
-console.log('built-in Node.js tools with zero external dependencies.');
-console.log();
-console.log('Available commands:');
-console.log('  npm run demo          - Run the main interactive demo');
-console.log('  npm run leak:global   - Global variable leak example');
-console.log('  npm run leak:closure  - Closure leak example');
-console.log('  npm run leak:events   - Event listener leak example');
-console.log('  npm run leak:timer    - Timer/interval leak example');
-console.log('  npm run inspect       - Run with Chrome DevTools');
-console.log('  npm run heap-prof     - Generate heap profile');
-console.log();
-console.log('Production issue reproduction:');
-console.log('  npm run server        - Start HTTP server with memory leaks');
-console.log('  npm run server:inspect - Start server with --inspect flag');
-console.log('  npm run loadtest      - Run autocannon load test');
-console.log();
-console.log('For more information, see README.md');
-console.log();
+import { fileURLToPath } from 'url';
+
+export { MemoryMonitor } from './lib/memory-monitor.js';
+export { analyzeOffHeap, analyzeTrend, strategies as trendStrategies } from './lib/trend-analysis.js';
+export { GcObserver, summarizeGc } from './lib/gc-observer.js';
+export { HeapSnapshotTrigger } from './lib/heap-snapshot-trigger.js';
+export { HandleTracker } from './lib/handle-tracker.js';
+export { PromiseTracker } from './lib/promise-tracker.js';
+export { LifetimeTracker, lifetimes, track } from './lib/lifetime-tracker.js';
+export { LRUCache } from './lib/lru-cache.js';
+export { isPlayable, Playground } from './lib/playground.js';
+export { Dashboard, readMetrics, sparkline } from './lib/dashboard.js';
+export { childMonitorOptions, reportWorkerHeap, WorkerMonitor } from './lib/worker-monitor.js';
+export { HeapSnapshot } from './lib/heap-snapshot.js';
+export { diffSnapshots } from './lib/snapshot-diff.js';
+export { renderReport, writeReport } from './lib/html-report.js';
+export { MetricsCollector, formatMetric } from './lib/metrics.js';
+export { Reporter, getFormat } from './lib/reporter.js';
+export { createDebugHandler } from './lib/debug-routes.js';
+export { analyzeLoadTest } from './lib/load-analysis.js';
+export { loadProfile, resolveProfile, weightedRequests, PROFILES as loadProfiles } from './lib/load-profile.js';
+export { assertLeaks, assertNoLeak, collectGarbage, measureLeak } from './lib/leak-test.js';
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { main } = await import('./lib/cli.js');
+  process.exitCode = await main();
+}
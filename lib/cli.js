@@ -0,0 +1,558 @@
+/**
+ * Command Line Interface
+ *
+ * One entry point for the demo scripts and tools:
+ *
+ *   node-memory-leak list                     Scenarios and load profiles
+ *   node-memory-leak run <scenario>           Run a leak scenario
+ *   node-memory-leak playground [scenario]    Drive a scenario from a prompt
+ *   node-memory-leak monitor <script>         Watch any script's memory
+ *   node-memory-leak loadtest [server.js]     Load test a server, PASS/LEAK
+ *   node-memory-leak dashboard [url]          Live terminal dashboard of a server
+ *   node-memory-leak diff <a> <b>             Compare two heap snapshots
+ *   node-memory-leak report <run>             Render a run as HTML
+ *
+ * Every command takes --help. The shared flags mean the same thing wherever
+ * a command accepts them:
+ *
+ *   --expose-gc      Start the node process with --expose-gc
+ *   --format <f>     pretty or json (NDJSON records, see reporter.js)
+ *   --out <dir>      Directory the command writes its files to
+ *
+ * Commands run the existing scripts (examples/, bin/) as child processes
+ * and exit with their exit code; usage errors exit with code 2.
+ */
+
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { writeReport } from './html-report.js';
+import { PROFILES } from './load-profile.js';
+import { MONITOR_MESSAGE, readPreloadConfig } from './preload-monitor.js';
+import { FORMATS, Reporter } from './reporter.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+export const SCENARIOS = {
+  global: { file: 'examples/leak-global.js', description: 'Records pushed onto a module-level array', playground: true },
+  closure: { file: 'examples/leak-closure.js', description: 'Closures that capture a large array', playground: true },
+  events: { file: 'examples/leak-events.js', description: 'Event listeners that are never removed', playground: true },
+  timer: { file: 'examples/leak-timer.js', description: 'Intervals that are never cleared', playground: true },
+  worker: { file: 'examples/leak-worker.js', description: 'Worker threads that are never terminated' },
+  buffers: { file: 'examples/leak-buffers.js', description: 'Pooled Buffers, pinning slices and open streams, off the heap' },
+  async: { file: 'examples/leak-async.js', description: 'Promises that never settle, abort listeners and abandoned iterators' },
+  cache: { file: 'examples/leak-cache.js', description: 'An unbounded Map vs WeakMap, WeakRef and LRU caches' },
+  server: { file: 'examples/leaky-server.js', description: 'HTTP server with cache, session and pool leaks' },
+  demo: { file: 'examples/demo.js', description: 'Tour of the built-in tools and MemoryMonitor' }
+};
+
+const SHARED_OPTIONS = {
+  'expose-gc': { type: 'boolean', default: false },
+  format: { type: 'string', default: process.env.LOG_FORMAT ?? 'pretty' },
+  out: { type: 'string' }
+};
+
+const SHARED_HELP = {
+  'expose-gc': '  --expose-gc           Start node with --expose-gc',
+  format: '  --format <f>          Output format: pretty or json (NDJSON)',
+  out: '  --out <dir>           Output directory'
+};
+
+class UsageError extends Error {}
+
+function sharedOptions(...names) {
+  return Object.fromEntries(names.map((name) => [name, SHARED_OPTIONS[name]]));
+}
+
+/**
+ * Parse a command's arguments. With `passThrough`, options the command
+ * doesn't know about are collected in `rest` in their original form, and
+ * everything after "--" in `after`, to pass on to the script it runs.
+ */
+function parseCommandArgs(args, options, passThrough) {
+  const spec = { ...options, help: { type: 'boolean', short: 'h', default: false } };
+  const { values, positionals, tokens } = parseArgs({
+    args,
+    options: spec,
+    allowPositionals: true,
+    strict: !passThrough,
+    tokens: true
+  });
+
+  if (values.format !== undefined && !FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  if (!passThrough) {
+    return { values, positionals, rest: [], after: [] };
+  }
+
+  const own = [];
+  const rest = [];
+  let forwarded = null;  // The last unknown option, whose value may follow it
+  for (const token of tokens) {
+    if (token.kind === 'option-terminator') {
+      return { values, positionals: own, rest, after: args.slice(token.index + 1) };
+    }
+    if (token.kind === 'option' && !(token.name in spec)) {
+      rest.push(args[token.index]);
+      forwarded = token.inlineValue ? null : token;
+      delete values[token.name];
+    } else if (token.kind === 'positional' && forwarded?.index === token.index - 1) {
+      // Unknown options parse as flags, so "--mode fixed" gives a positional "fixed"
+      rest.push(token.value);
+      forwarded = null;
+    } else if (token.kind === 'positional') {
+      own.push(token.value);
+    }
+  }
+  return { values, positionals: own, rest, after: [] };
+}
+
+// Run `node [nodeArgs] file [args]` and resolve with its exit code
+function runNode(nodeArgs, file, args, { stdio = 'inherit', env, onChild } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [...nodeArgs, file, ...args], { stdio, env });
+    // Ctrl+C reaches the child too; wait for it to finish instead of exiting first
+    const ignore = () => {};
+    process.on('SIGINT', ignore);
+    onChild?.(child);
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      process.off('SIGINT', ignore);
+      resolve(code ?? (signal ? 1 : 0));
+    });
+  });
+}
+
+const script = (file) => path.join(ROOT, file);
+
+// Own entries only: "toString" is an unknown name, not an Object.prototype method
+const lookup = (table, name) => (Object.hasOwn(table, name) ? table[name] : undefined);
+
+function ensureOut(values) {
+  if (values.out) {
+    fs.mkdirSync(values.out, { recursive: true });
+  }
+  return values.out;
+}
+
+const toMB = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+export const COMMANDS = {
+  list: {
+    summary: 'List the leak scenarios and load profiles',
+    usage: 'list [--format <f>]',
+    options: sharedOptions('format'),
+    async run({ values }) {
+      const reporter = new Reporter({ format: values.format, source: 'node-memory-leak' });
+      if (reporter.json) {
+        for (const [name, { file, description, playground = false }] of Object.entries(SCENARIOS)) {
+          reporter.event('scenario', { name, file, description, playground });
+        }
+        for (const [name, { description }] of Object.entries(PROFILES)) {
+          reporter.event('load-profile', { name, description });
+        }
+        return 0;
+      }
+
+      reporter.log('Scenarios (node-memory-leak run <scenario>):');
+      for (const [name, { description }] of Object.entries(SCENARIOS)) {
+        reporter.log(`  ${name.padEnd(10)} ${description}`);
+      }
+      const playable = Object.keys(SCENARIOS).filter((name) => SCENARIOS[name].playground);
+      reporter.log(`Interactive (node-memory-leak playground <scenario>): ${playable.join(', ')}`);
+      reporter.log();
+      reporter.log('Load profiles (node-memory-leak loadtest --profile <name>):');
+      for (const [name, { description }] of Object.entries(PROFILES)) {
+        reporter.log(`  ${name.padEnd(10)} ${description}`);
+      }
+      return 0;
+    }
+  },
+
+  run: {
+    summary: 'Run a leak scenario',
+    usage: 'run <scenario> [--expose-gc] [--format <f>] [--out <dir>] [scenario options]',
+    help: `Scenario options are passed on, e.g.:
+  --mode <m>            leaky (default), fixed, or compare
+                        (cache: also weakmap and weakref)
+  --leaks <list>        server: which leaks are active
+
+With --out, the scenario's output is also saved to <dir>/<scenario>.log
+(.ndjson with --format json).
+
+Examples:
+  node-memory-leak run closure --expose-gc --mode compare
+  node-memory-leak run server -- --leaks=sessions`,
+    options: sharedOptions('expose-gc', 'format', 'out'),
+    passThrough: true,
+    async run({ values, positionals, rest, after }) {
+      const [name] = positionals;
+      const scenario = lookup(SCENARIOS, name);
+      if (positionals.length !== 1 || !scenario) {
+        throw new UsageError(name ? `Unknown scenario "${name}". See: node-memory-leak list` : 'Missing scenario');
+      }
+
+      const nodeArgs = values['expose-gc'] ? ['--expose-gc'] : [];
+      const args = [...rest, `--format=${values.format}`, ...after];
+      const out = ensureOut(values);
+      if (!out) {
+        return runNode(nodeArgs, script(scenario.file), args);
+      }
+
+      const file = path.join(out, `${name}.${values.format === 'json' ? 'ndjson' : 'log'}`);
+      const log = fs.createWriteStream(file);
+      const code = await runNode(nodeArgs, script(scenario.file), args, {
+        stdio: ['inherit', 'pipe', 'inherit'],
+        onChild: (child) => {
+          child.stdout.pipe(process.stdout, { end: false });
+          child.stdout.pipe(log);
+        }
+      });
+      console.error(`Output saved to ${file}`);
+      return code;
+    }
+  },
+
+  playground: {
+    summary: 'Drive a leak scenario from an interactive prompt',
+    usage: 'playground [scenario] [--expose-gc] [--out <dir>] [playground options]',
+    help: `Loads the scenario (default: global) and reads commands: leak [count],
+fix, gc, snapshot, stats, help and exit. See lib/playground.js.
+
+Playground options are passed on:
+  --interval <ms>       Background memory sampling interval (default: 1000)
+
+With --out, snapshots are written to <dir> instead of the current
+directory. Without --expose-gc, the gc command can't force a collection.
+
+Examples:
+  node-memory-leak playground events --expose-gc
+  node-memory-leak playground timer --expose-gc --out snapshots`,
+    options: sharedOptions('expose-gc', 'out'),
+    passThrough: true,
+    async run({ values, positionals, rest }) {
+      const [name = 'global'] = positionals;
+      if (positionals.length > 1 || !lookup(SCENARIOS, name)?.playground) {
+        const playable = Object.keys(SCENARIOS).filter((scenario) => SCENARIOS[scenario].playground);
+        throw new UsageError(`Unknown playground scenario "${positionals.join(' ')}". Use one of: ${playable.join(', ')}`);
+      }
+
+      const nodeArgs = values['expose-gc'] ? ['--expose-gc'] : [];
+      const out = ensureOut(values);
+      return runNode(nodeArgs, script('bin/playground.js'), [name, ...rest, ...(out ? ['--snapshot-dir', out] : [])]);
+    }
+  },
+
+  monitor: {
+    summary: 'Run any script and watch its memory',
+    usage: 'monitor <script.js> [--interval <ms>] [--snapshots <triggers>] [--handles <ms>] [--promises <ms>] [--expose-gc] [--format <f>] [--out <dir>] [-- script args]',
+    help: `Loads a MemoryMonitor into the script with node --import (see
+lib/register.js) and reports its samples and leak warnings, without any
+change to the script. The script's own output goes to stderr with
+--format json, so stdout only carries the records.
+
+  --interval <ms>       Milliseconds between samples (default: 1000)
+  --snapshots <list>    Heap snapshot triggers: suspected (leak suspicion),
+                        signal (kill -USR2 <pid>), or suspected,signal
+  --handles <ms>        Report intervals, sockets, ... alive for longer than
+                        this, and emitters whose listener counts keep
+                        climbing, with the stack that created them
+  --promises <ms>       Report promises pending for longer than this, with
+                        the stack that created them
+
+With --out, <dir>/report.html and <dir>/run.json are written when the
+script exits, and snapshots are saved there instead of the current
+directory.
+
+Examples:
+  node-memory-leak monitor src/worker.js --interval 5000
+  node-memory-leak monitor app.js --format json --out monitor-run -- --port 8080
+  node-memory-leak monitor examples/leak-timer.js --handles 2500
+  node-memory-leak monitor app.js --promises 5000`,
+    options: {
+      ...sharedOptions('expose-gc', 'format', 'out'),
+      interval: { type: 'string', default: '1000' },
+      snapshots: { type: 'string', default: '' },
+      handles: { type: 'string', default: '' },
+      promises: { type: 'string', default: '' }
+    },
+    passThrough: true,
+    async run({ values, positionals, rest, after }) {
+      if (positionals.length !== 1) {
+        throw new UsageError('Missing script');
+      }
+      const [file] = positionals;
+      if (!fs.existsSync(file)) {
+        throw new UsageError(`Script not found: ${file}`);
+      }
+      if (!(Number(values.interval) > 0)) {
+        throw new UsageError(`--interval must be a positive number, got "${values.interval}"`);
+      }
+      const out = ensureOut(values);
+      const env = {
+        ...process.env,
+        MEMORY_LEAK_INTERVAL: values.interval,
+        MEMORY_LEAK_OUTPUT: 'ipc',
+        MEMORY_LEAK_SNAPSHOTS: values.snapshots,
+        MEMORY_LEAK_SNAPSHOT_DIR: out ?? '.',
+        MEMORY_LEAK_HANDLES: values.handles,
+        MEMORY_LEAK_PROMISES: values.promises
+      };
+      try {
+        readPreloadConfig(env);
+      } catch (err) {
+        throw new UsageError(err.message.replace('MEMORY_LEAK_SNAPSHOTS', '--snapshots')
+          .replace('MEMORY_LEAK_HANDLES', '--handles').replace('MEMORY_LEAK_PROMISES', '--promises'));
+      }
+
+      const reporter = new Reporter({ format: values.format, source: path.basename(file) });
+      const monitor = new EventEmitter();
+      const samples = [];
+      let peak = 0;  // Kept as samples arrive: a long run has too many to spread into Math.max
+      let suspected = 0;
+      reporter.attach(monitor);
+      monitor.on('sample', (sample) => {
+        samples.push(sample);
+        peak = Math.max(peak, sample.heapUsed);
+      });
+      monitor.on('leak-suspected', () => suspected++);
+
+      const nodeArgs = [
+        ...(values['expose-gc'] ? ['--expose-gc'] : []),
+        '--import', pathToFileURL(path.join(ROOT, 'lib/register.js')).href
+      ];
+      const scriptArgs = [...rest, ...after];
+      const code = await runNode(nodeArgs, file, scriptArgs, {
+        stdio: ['inherit', reporter.json ? 2 : 1, 2, 'ipc'],
+        env,
+        onChild: (child) => child.on('message', (message) => {
+          if (message?.type === MONITOR_MESSAGE) {
+            monitor.emit(message.event, message.data);
+          }
+        })
+      });
+
+      reporter.log();
+      if (samples.length > 0) {
+        reporter.log(`${file} exited with code ${code} after ${samples.length} samples: ` +
+                     `heap ${toMB(samples[0].heapUsed)} → ${toMB(samples.at(-1).heapUsed)} (peak ${toMB(peak)}), ` +
+                     `${suspected} leak warning${suspected === 1 ? '' : 's'}`);
+      } else {
+        reporter.log(`${file} exited with code ${code} before the first sample`);
+      }
+      reporter.event('exit', { code, samples: samples.length, leakWarnings: suspected }, null);
+
+      if (out) {
+        const run = {
+          title: `Memory monitor: ${file}`,
+          meta: { Script: [file, ...scriptArgs].join(' '), 'Exit code': code, 'Leak warnings': suspected, Node: process.version },
+          samples
+        };
+        fs.writeFileSync(path.join(out, 'run.json'), JSON.stringify(run, null, 2));
+        await writeReport(path.join(out, 'report.html'), run);
+        reporter.log(`Report written: ${path.join(out, 'report.html')}`);
+      }
+      return code;
+    }
+  },
+
+  loadtest: {
+    summary: 'Load test a server and report PASS or LEAK',
+    usage: 'loadtest [server.js] [--expose-gc] [--format <f>] [--out <dir>] [load options] [-- server args]',
+    help: `Starts the server (default: examples/leaky-server.js), runs a load
+profile against it, stops it, and exits with code 1 on LEAK (see
+npm run reproduce -- --help for every option). With --url, tests an
+already running server instead (npm run loadtest -- --help).
+
+Load options are passed on, e.g.:
+  --profile <name|file> default, ramp-up, spike, soak, or a profile file
+  -c, -d, -r            Connections, duration (s), rate (req/s)
+  --snapshots           Heap snapshots before and after the load
+  --url <url>           Test a running server instead of starting one
+
+--expose-gc and --out apply to the server the command starts: a precise
+verdict after a forced GC, and the run's directory (default:
+leak-runs/<timestamp>).
+
+Examples:
+  node-memory-leak loadtest --expose-gc --snapshots -- --leaks=sessions
+  node-memory-leak loadtest --url http://localhost:3000 --profile spike`,
+    options: { ...sharedOptions('expose-gc', 'format', 'out'), url: { type: 'string' } },
+    passThrough: true,
+    async run({ values, positionals, rest, after }) {
+      const shared = [`--format=${values.format}`];
+
+      if (values.url) {
+        if (values['expose-gc'] || values.out || positionals.length > 0) {
+          throw new UsageError('--url tests a running server; --expose-gc, --out and a server file need one started');
+        }
+        return runNode([], script('examples/load-test.js'), [`--url=${values.url}`, ...shared, ...rest]);
+      }
+
+      if (positionals.length > 1) {
+        throw new UsageError(`Unexpected argument "${positionals[1]}". Pass server arguments after --`);
+      }
+      if (values['expose-gc']) shared.push('--expose-gc');
+      if (values.out) shared.push(`--out=${values.out}`);
+      const serverArgs = after.length > 0 ? ['--', ...after] : [];
+      return runNode([], script('bin/reproduce.js'), [...positionals, ...shared, ...rest, ...serverArgs]);
+    }
+  },
+
+  dashboard: {
+    summary: 'Watch a server\'s memory in a live terminal dashboard',
+    usage: 'dashboard [url] [dashboard options]',
+    help: `Polls a Prometheus endpoint (default: http://localhost:3000/metrics)
+and redraws sparklines of heap used, RSS, external memory and GC pauses,
+the leak status and the server's counters. See lib/dashboard.js.
+
+Dashboard options are passed on:
+  --interval <ms>       Time between readings (default: 1000)
+
+To watch the leaky server from inside its own process instead:
+  node-memory-leak run server -- --dashboard
+
+Examples:
+  node-memory-leak dashboard
+  node-memory-leak dashboard http://staging:3000/metrics --interval 5000`,
+    options: {},
+    passThrough: true,
+    async run({ positionals, rest }) {
+      if (positionals.length > 1) {
+        throw new UsageError('Expected at most one metrics URL');
+      }
+
+      return runNode([], script('bin/dashboard.js'), [...positionals, ...rest]);
+    }
+  },
+
+  diff: {
+    summary: 'Compare two heap snapshots',
+    usage: 'diff <before.heapsnapshot> <after.heapsnapshot> [--format <f>] [--out <dir>] [diff options]',
+    help: `Diff options are passed on (npm run diff-snapshots -- --help):
+  --top <n>             Number of constructors to show (default: 10)
+  --sort <order>        retained or count
+
+--format json prints the diff as one JSON document. With --out, it is
+written to <dir>/diff.json instead.`,
+    options: sharedOptions('format', 'out'),
+    passThrough: true,
+    async run({ values, positionals, rest }) {
+      if (positionals.length !== 2) {
+        throw new UsageError('Expected two snapshot files');
+      }
+
+      const out = ensureOut(values);
+      const json = values.format === 'json' || Boolean(out);
+      const args = [...positionals, ...rest, ...(json ? ['--json'] : [])];
+      if (!out) {
+        return runNode([], script('bin/diff-snapshots.js'), args);
+      }
+
+      const file = path.join(out, 'diff.json');
+      const fd = fs.openSync(file, 'w');
+      let code;
+      try {
+        code = await runNode([], script('bin/diff-snapshots.js'), args, { stdio: ['inherit', fd, 'inherit'] });
+      } finally {
+        fs.closeSync(fd);
+      }
+      if (code === 0) {
+        console.error(`Diff written: ${file}`);
+      }
+      return code;
+    }
+  },
+
+  report: {
+    summary: 'Render a run as a self-contained HTML report',
+    usage: 'report <run.json | run directory> [--out <dir>] [report options]',
+    help: `Report options are passed on (npm run report -- --help):
+  --before <file>       Heap snapshot before, to include a snapshot diff
+  --after <file>        Heap snapshot after
+  --title <text>        Report title
+
+The report is written to <dir>/report.html with --out, otherwise next to
+the input.`,
+    options: sharedOptions('out'),
+    passThrough: true,
+    async run({ values, positionals, rest }) {
+      if (positionals.length !== 1) {
+        throw new UsageError('Expected a run.json file or run directory');
+      }
+
+      const out = ensureOut(values);
+      const args = [...positionals, ...rest, ...(out ? ['-o', path.join(out, 'report.html')] : [])];
+      return runNode([], script('bin/report.js'), args);
+    }
+  }
+};
+
+function commandHelp(name) {
+  const command = COMMANDS[name];
+  const shared = Object.keys(command.options).filter((option) => option in SHARED_HELP);
+  return [
+    `Usage: node-memory-leak ${command.usage}`,
+    '',
+    command.summary,
+    '',
+    ...(shared.length > 0 ? ['Options:', ...shared.map((option) => SHARED_HELP[option])] : ['Options:']),
+    '  -h, --help            Show this help',
+    ...(command.help ? ['', command.help] : [])
+  ].join('\n');
+}
+
+export const USAGE = `Usage: node-memory-leak <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(10)} ${summary}`).join('\n')}
+
+Shared options:
+${Object.values(SHARED_HELP).join('\n')}
+
+Run node-memory-leak <command> --help for the options of each command.`;
+
+/**
+ * Run the CLI with the given arguments and resolve with the exit code.
+ *
+ * @param {string[]} [argv] - Arguments after the executable and script
+ */
+export async function main(argv = process.argv.slice(2)) {
+  let [name, ...args] = argv;
+
+  if (name === 'help' && args.length > 0) {
+    [name, args] = [args[0], ['--help']];
+  }
+  if (name === undefined || name === 'help' || name === '--help' || name === '-h') {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const command = lookup(COMMANDS, name);
+  if (!command) {
+    console.error(`Unknown command "${name}"\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    const parsed = parseCommandArgs(args, command.options, command.passThrough);
+    if (parsed.values.help) {
+      console.log(commandHelp(name));
+      return 0;
+    }
+    return await command.run(parsed);
+  } catch (err) {
+    const isUsageError = err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS');
+    if (!isUsageError) {
+      throw err;
+    }
+    console.error(err.message);
+    console.error(`Run node-memory-leak ${name} --help for usage`);
+    return 2;
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Terminal Dashboard
+ *
+ * A live view of a process's memory that redraws in place with ANSI escape
+ * codes, instead of log lines that scroll away: sparklines of heap used,
+ * RSS, external memory and GC pause time, the leak status from a
+ * MemoryMonitor, and the application's own counters.
+ *
+ * It reads either this process (memoryUsage(), a GcObserver and a
+ * `counters` function) or another one through its Prometheus endpoint
+ * (`url`, e.g. the leaky server's /metrics; see lib/metrics.js). Either way
+ * the readings are fed to a MemoryMonitor that isn't started, so the leak
+ * status comes from the same trend analysis as everywhere else.
+ *
+ * Usage:
+ *   new Dashboard({ counters: () => ({ sessions: sessions.size }) }).start();
+ *   new Dashboard({ url: 'http://localhost:3000/metrics' }).start();
+ *
+ * Events:
+ *   'update' (reading) - after every reading, before the redraw
+ *   'error'  (error)   - when a remote reading fails, only if 'error' has a
+ *                        listener (the failure is shown either way)
+ */
+
+import { EventEmitter } from 'events';
+import http from 'http';
+import https from 'https';
+import { GcObserver } from './gc-observer.js';
+import { MemoryMonitor } from './memory-monitor.js';
+import { parseMetrics } from './metrics.js';
+
+export const DEFAULT_DASHBOARD_OPTIONS = {
+  interval: 1000,           // Milliseconds between readings
+  history: 120,             // Readings kept for the sparklines
+  url: null,                // Prometheus endpoint to poll instead of this process
+  counters: () => ({}),     // In-process counters, shown by name
+  title: 'Memory Leak Dashboard',
+  output: process.stdout,   // Where to draw; colors when it is a TTY
+  timeout: 5000             // Milliseconds before a remote reading fails
+};
+
+export const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+const ESC = '\x1b[';
+const SCREEN = { enter: `${ESC}?1049h${ESC}?25l`, leave: `${ESC}?25h${ESC}?1049l`, home: `${ESC}H`, clearLine: `${ESC}K`, clearBelow: `${ESC}J` };
+const COLORS = { red: 31, green: 32, yellow: 33, dim: 2, bold: 1 };
+
+const SERIES = [
+  { key: 'heapUsed', label: 'Heap used', format: (bytes) => toMB(bytes) },
+  { key: 'rss', label: 'RSS', format: (bytes) => toMB(bytes) },
+  { key: 'external', label: 'External', format: (bytes) => toMB(bytes) },
+  { key: 'gcPause', label: 'GC pause', format: (ms) => `${ms.toFixed(1)} ms` }
+];
+
+const toMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+const toKB = (bytes) => `${Math.round(bytes / 1024)} KB/sec`;
+
+/**
+ * Draw values as a line of block characters, scaled between their own
+ * minimum and maximum. Only the last `width` values are drawn.
+ */
+export function sparkline(values, width = values.length) {
+  const shown = values.slice(-width);
+  const min = Math.min(...shown);
+  const range = Math.max(...shown) - min;
+  return shown.map((value) => {
+    const level = range === 0 ? 0 : Math.round(((value - min) / range) * (SPARK_CHARS.length - 1));
+    return SPARK_CHARS[level];
+  }).join('');
+}
+
+/**
+ * Turn a Prometheus scrape into a dashboard reading: memory, the total GC
+ * time so far (seconds, over every kind), and the application's own
+ * unlabelled metrics as counters.
+ */
+export function readMetrics(text, timestamp = Date.now()) {
+  const metrics = parseMetrics(text);
+  let gcSeconds = 0;
+  const counters = {};
+  for (const [sample, value] of metrics) {
+    if (sample.startsWith('nodejs_gc_duration_seconds_sum')) {
+      gcSeconds += value;
+    } else if (!/^(nodejs|process)_/.test(sample) && !sample.includes('{')) {
+      counters[sample] = value;
+    }
+  }
+
+  return {
+    usage: {
+      timestamp,
+      heapUsed: metrics.get('nodejs_heap_size_used_bytes'),
+      heapTotal: metrics.get('nodejs_heap_size_total_bytes'),
+      rss: metrics.get('process_resident_memory_bytes'),
+      external: metrics.get('nodejs_external_memory_bytes'),
+      arrayBuffers: metrics.get('nodejs_array_buffers_bytes')
+    },
+    gcSeconds,
+    counters
+  };
+}
+
+function fetchText(url, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { timeout }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve(body);
+        } else {
+          reject(new Error(`${url} answered ${res.statusCode}`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`${url} did not answer within ${timeout}ms`)));
+    req.on('error', reject);
+  });
+}
+
+// 'activeSessions' and 'leaky_server_active_sessions' -> 'Active sessions', without the shared prefix
+function counterLabels(names) {
+  const prefix = names.length > 1 ? names.reduce((common, name) => {
+    while (!name.startsWith(common)) {
+      common = common.slice(0, common.lastIndexOf('_', common.length - 2) + 1);
+    }
+    return common;
+  }, names[0].slice(0, names[0].lastIndexOf('_') + 1)) : '';
+
+  return names.map((name) => {
+    const words = name.slice(prefix.length).replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  });
+}
+
+export class Dashboard extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_DASHBOARD_OPTIONS, ...options };
+    this.monitor = new MemoryMonitor({ interval: this.options.interval, offHeap: true });
+    this.history = Object.fromEntries(SERIES.map(({ key }) => [key, []]));
+    this.counters = {};
+    this.leak = null;         // Trend while a leak is suspected
+    this.offHeap = null;      // Report while off-heap growth is suspected
+    this.error = null;
+    this.timer = null;
+    this.updating = false;
+    this.gcSeconds = null;    // Remote: GC time at the previous reading
+    this.gcPause = 0;         // In-process: GC time since the previous reading
+    this.gcObserver = this.options.url ? null : new GcObserver();
+    this.gcObserver?.on('gc', ({ duration }) => {
+      this.gcPause += duration;
+    });
+    this.onResize = () => this.draw();
+
+    this.monitor.on('leak-suspected', (trend) => {
+      this.leak = trend;
+    });
+    this.monitor.on('recovered', () => {
+      this.leak = null;
+    });
+    this.monitor.on('off-heap-suspected', (report) => {
+      this.offHeap = report;
+    });
+    this.monitor.on('off-heap-recovered', () => {
+      this.offHeap = null;
+    });
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  get color() {
+    return Boolean(this.options.output.isTTY);
+  }
+
+  /**
+   * One reading: { usage, gcPause (ms since the last reading), counters }.
+   */
+  async read() {
+    if (!this.options.url) {
+      const gcPause = this.gcPause;
+      this.gcPause = 0;
+      return { usage: { ...process.memoryUsage(), timestamp: Date.now() }, gcPause, counters: this.options.counters() };
+    }
+
+    const { usage, gcSeconds, counters } = readMetrics(await fetchText(this.options.url, this.options.timeout));
+    // The server keeps a running total; a restart starts it over
+    const gcPause = this.gcSeconds === null || gcSeconds < this.gcSeconds ? 0 : (gcSeconds - this.gcSeconds) * 1000;
+    this.gcSeconds = gcSeconds;
+    return { usage, gcPause, counters };
+  }
+
+  /**
+   * Take a reading, feed it to the monitor and keep it for the sparklines.
+   * A failed remote reading is kept as `error` and shown instead.
+   */
+  async update() {
+    let reading;
+    try {
+      reading = await this.read();
+    } catch (err) {
+      this.error = err.message;
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      }
+      return null;
+    }
+
+    this.error = null;
+    this.monitor.sample(reading.usage);
+    const values = { ...reading.usage, gcPause: reading.gcPause };
+    for (const { key } of SERIES) {
+      this.history[key].push(values[key]);
+      this.history[key].splice(0, this.history[key].length - this.options.history);
+    }
+    this.counters = reading.counters;
+    this.emit('update', reading);
+    return reading;
+  }
+
+  paint(text, ...styles) {
+    return this.color ? `${styles.map((style) => `${ESC}${COLORS[style]}m`).join('')}${text}${ESC}0m` : text;
+  }
+
+  status() {
+    const { minSamples } = this.monitor.options;
+    const samples = this.monitor.measurements.length;
+    const lines = [];
+    if (this.error) {
+      lines.push(this.paint(`✗ ${this.error}`, 'red'));
+    }
+    if (samples < minSamples) {
+      lines.push(this.paint(`… Collecting samples (${samples}/${minSamples})`, 'yellow'));
+    } else if (this.leak) {
+      lines.push(this.paint(`⚠ Potential leak: heap growing ${toKB(this.leak.bytesPerSecond)} ` +
+        `(confidence ${this.leak.confidence.toFixed(2)})`, 'red', 'bold'));
+    } else {
+      lines.push(this.paint('✓ No sustained heap growth', 'green'));
+    }
+    if (this.offHeap) {
+      lines.push(this.paint(`⚠ ${this.offHeap.metric === 'rss' ? 'RSS' : 'External memory'} growing outside the heap: ` +
+        toKB(this.offHeap.bytesPerSecond), 'red'));
+    }
+    return lines;
+  }
+
+  /**
+   * The whole screen as text, `width` columns wide.
+   */
+  render(width = this.options.output.columns ?? 80) {
+    const source = this.options.url ?? `this process (pid ${process.pid})`;
+    const time = new Date().toLocaleTimeString();
+    const lines = [
+      `${this.paint(this.options.title, 'bold')}${' '.repeat(Math.max(1, width - this.options.title.length - time.length))}${time}`,
+      this.paint(`Reading ${source} every ${this.options.interval / 1000}s`, 'dim'),
+      '',
+      ...this.status(),
+      ''
+    ];
+
+    // "Heap used  ▁▂▃▅▇  45.2 MB  max 45.2 MB"
+    const sparkWidth = Math.max(10, width - 38);
+    for (const { key, label, format } of SERIES) {
+      const values = this.history[key];
+      if (values.length === 0) {
+        lines.push(`${label.padEnd(10)} ${this.paint('waiting for the first reading', 'dim')}`);
+        continue;
+      }
+      lines.push(`${label.padEnd(10)} ${sparkline(values, sparkWidth).padEnd(sparkWidth)}  ` +
+        `${format(values.at(-1)).padStart(9)}  ${this.paint(`max ${format(Math.max(...values))}`, 'dim')}`);
+    }
+
+    const names = Object.keys(this.counters);
+    if (names.length > 0) {
+      lines.push('', this.paint('Counters', 'bold'));
+      const labels = counterLabels(names);
+      const labelWidth = Math.max(...labels.map((label) => label.length));
+      names.forEach((name, i) => lines.push(`  ${labels[i].padEnd(labelWidth)}  ${this.counters[name]}`));
+    }
+
+    lines.push('', this.paint('Ctrl+C to exit', 'dim'));
+    return lines.join('\n');
+  }
+
+  draw() {
+    if (this.running) {
+      const screen = this.render().split('\n').map((line) => line + SCREEN.clearLine).join('\n');
+      this.options.output.write(SCREEN.home + screen + SCREEN.clearBelow);
+    }
+  }
+
+  /**
+   * Switch to the terminal's alternate screen and redraw every `interval` ms.
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    const tick = async () => {
+      if (this.updating) {
+        return;
+      }
+      this.updating = true;
+      try {
+        await this.update();
+      } finally {
+        this.updating = false;
+      }
+      this.draw();
+    };
+
+    this.gcObserver?.start();
+    this.timer = setInterval(tick, this.options.interval);
+    this.options.output.write(SCREEN.enter);
+    this.options.output.on('resize', this.onResize);
+    tick();
+    return this;
+  }
+
+  /**
+   * Stop, and give the terminal back as it was.
+   */
+  stop() {
+    if (this.running) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.gcObserver?.stop();
+      this.options.output.off('resize', this.onResize);
+      this.options.output.write(SCREEN.leave);
+    }
+    return this;
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Diagnostics Routes
+ *
+ * On-demand memory diagnostics for a running HTTP server, so you don't need
+ * to have started it with --inspect or --heap-prof beforehand:
+ *
+ *   POST /debug/heapsnapshot          Streams a .heapsnapshot (v8.getHeapSnapshot)
+ *   POST /debug/heap-profile?seconds=N Runs the sampling heap profiler for N
+ *                                     seconds and returns a .heapprofile
+ *   POST /debug/gc                    Forces a full GC (needs --expose-gc)
+ *   POST /debug/survivors?gcs=N       Forces N full GCs (needs --expose-gc) and
+ *                                     lists the objects passed to the
+ *                                     `lifetimes` tracker that survived them
+ *
+ * Every route requires `Authorization: Bearer <token>`. Without a token the
+ * routes are disabled, because a heap snapshot contains everything in
+ * memory: sessions, credentials, request bodies.
+ *
+ * Usage:
+ *   const handleDebug = createDebugHandler({ token: process.env.DEBUG_TOKEN });
+ *
+ *   http.createServer(async (req, res) => {
+ *     if (await handleDebug(req, res)) return;
+ *     // ...
+ *   });
+ */
+
+import crypto from 'crypto';
+import { Session } from 'inspector/promises';
+import v8 from 'v8';
+
+export const DEBUG_PREFIX = '/debug/';
+const MAX_PROFILE_SECONDS = 300;
+const MAX_SURVIVOR_GCS = 10;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function isAuthorized(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization ?? '');
+  if (!match) return false;
+
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Create a request handler for the /debug/ routes. It resolves to true when
+ * it handled the request, false when the URL is not a debug route.
+ *
+ * @param {object} options
+ * @param {string} [options.token] - Required bearer token; routes are disabled without one
+ * @param {number} [options.samplingInterval=32768] - Heap profiler sampling interval (bytes)
+ * @param {LifetimeTracker} [options.lifetimes] - Enables /debug/survivors (see lifetime-tracker.js)
+ */
+export function createDebugHandler({ token, samplingInterval = 32768, lifetimes } = {}) {
+  const busy = new Set(); // Routes that may only run once at a time
+
+  async function heapSnapshot(req, res) {
+    const stream = v8.getHeapSnapshot();
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="heap-${timestamp()}-${process.pid}.heapsnapshot"`
+    });
+
+    await new Promise((resolve) => {
+      stream.pipe(res);
+      res.on('close', () => {
+        // An aborted download would otherwise leave the snapshot stream open
+        stream.destroy();
+        resolve();
+      });
+      stream.on('error', (err) => {
+        res.destroy(err);
+        resolve();
+      });
+    });
+  }
+
+  async function heapProfile(req, res, url) {
+    const seconds = Number(url.searchParams.get('seconds') ?? 10);
+    if (!(seconds > 0 && seconds <= MAX_PROFILE_SECONDS)) {
+      sendJson(res, 400, { error: `seconds must be between 0 and ${MAX_PROFILE_SECONDS}` });
+      return;
+    }
+
+    const session = new Session();
+    session.connect();
+    try {
+      await session.post('HeapProfiler.enable');
+      await session.post('HeapProfiler.startSampling', { samplingInterval });
+      await new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+      const { profile } = await session.post('HeapProfiler.stopSampling');
+
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="heap-${timestamp()}-${process.pid}.heapprofile"`
+      });
+      res.end(JSON.stringify(profile));
+    } finally {
+      session.disconnect();
+    }
+  }
+
+  function collectGarbage(req, res) {
+    if (!global.gc) {
+      sendJson(res, 501, { error: 'Garbage collection is not exposed. Start the server with --expose-gc' });
+      return;
+    }
+
+    const before = process.memoryUsage();
+    const start = process.hrtime.bigint();
+    global.gc();
+    const duration = Number(process.hrtime.bigint() - start) / 1e6;
+    const after = process.memoryUsage();
+
+    sendJson(res, 200, {
+      duration,
+      before,
+      after,
+      freed: before.heapUsed - after.heapUsed
+    });
+  }
+
+  async function survivors(req, res, url) {
+    if (!global.gc) {
+      sendJson(res, 501, { error: 'Garbage collection is not exposed. Start the server with --expose-gc' });
+      return;
+    }
+    const gcs = Number(url.searchParams.get('gcs') ?? lifetimes.options.minGcs);
+    if (!(Number.isInteger(gcs) && gcs >= 1 && gcs <= MAX_SURVIVOR_GCS)) {
+      sendJson(res, 400, { error: `gcs must be an integer between 1 and ${MAX_SURVIVOR_GCS}` });
+      return;
+    }
+
+    sendJson(res, 200, { gcs, survivors: await lifetimes.collect(gcs), objects: lifetimes.stats() });
+  }
+
+  const routes = {
+    heapsnapshot: heapSnapshot,
+    'heap-profile': heapProfile,
+    gc: collectGarbage,
+    ...(lifetimes && { survivors })
+  };
+
+  return async function handleDebug(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      // e.g. "//a:99999/", which parses as a host with an invalid port
+      sendJson(res, 400, { error: 'Malformed request URL' });
+      return true;
+    }
+    if (!url.pathname.startsWith(DEBUG_PREFIX)) {
+      return false;
+    }
+
+    const name = url.pathname.slice(DEBUG_PREFIX.length);
+    const route = Object.hasOwn(routes, name) ? routes[name] : null;
+
+    if (!token) {
+      sendJson(res, 404, { error: 'Debug routes are disabled. Set DEBUG_TOKEN to enable them' });
+    } else if (!isAuthorized(req, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Unauthorized' });
+    } else if (!route) {
+      sendJson(res, 404, { error: `Unknown debug route: ${url.pathname}` });
+    } else if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, { error: 'Use POST' });
+    } else if (busy.has(name)) {
+      sendJson(res, 409, { error: `${url.pathname} is already running` });
+    } else {
+      busy.add(name);
+      try {
+        await route(req, res, url);
+      } catch (err) {
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: err.message });
+        } else {
+          res.destroy(err);
+        }
+      } finally {
+        busy.delete(name);
+      }
+    }
+
+    return true;
+  }
+}
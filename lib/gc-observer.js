@@ -0,0 +1,109 @@
+/**
+ * GcObserver
+ *
+ * Subscribes to perf_hooks 'gc' performance entries and turns them into
+ * plain events with the GC kind, pause duration, when the collection ended
+ * and the heap usage. Heap retained after a major (mark-sweep-compact) GC is
+ * the signal that actually means a leak, and pause time is what hurts latency.
+ *
+ * perf_hooks delivers entries in batches, some time after the collection,
+ * and the heap can't be read at that earlier point: the usage is read when
+ * the batch arrives, so it includes whatever was allocated in between. It
+ * is close to the post-GC heap, not exactly it.
+ *
+ * Events:
+ *   'gc'    (event) - after every collection
+ *   'major' (event) - after mark-sweep-compact collections only
+ *
+ * Each event is:
+ *   { timestamp, kind, duration, heapUsed, heapTotal, rss, external, arrayBuffers }
+ * where timestamp (ms since the epoch) is when the collection ended.
+ */
+
+import { EventEmitter } from 'events';
+import { PerformanceObserver, constants, performance } from 'perf_hooks';
+
+export const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',             // Scavenge
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',             // Mark-sweep-compact
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental', // Incremental marking
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'            // Weak callbacks
+};
+
+/**
+ * Summarise a list of GC events: counts and pause totals per kind.
+ */
+export function summarizeGc(events) {
+  const summary = {
+    count: events.length,
+    totalPause: 0,
+    maxPause: 0,
+    byKind: {}
+  };
+
+  for (const event of events) {
+    summary.totalPause += event.duration;
+    summary.maxPause = Math.max(summary.maxPause, event.duration);
+
+    const kind = summary.byKind[event.kind] ??= { count: 0, totalPause: 0 };
+    kind.count++;
+    kind.totalPause += event.duration;
+  }
+
+  return summary;
+}
+
+export class GcObserver extends EventEmitter {
+  constructor() {
+    super();
+    this.observer = null;
+  }
+
+  get running() {
+    return this.observer !== null;
+  }
+
+  start() {
+    if (this.observer) {
+      return this;
+    }
+
+    this.observer = new PerformanceObserver((list) => {
+      for (const entry of list.getEntries()) {
+        this.record(entry);
+      }
+    });
+    this.observer.observe({ entryTypes: ['gc'] });
+    return this;
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    return this;
+  }
+
+  record(entry) {
+    // entry.detail was added in Node.js 16; older versions used entry.kind
+    const kind = entry.detail?.kind ?? entry.kind;
+    // Read now, when the batch is delivered, rather than when the GC ended
+    const usage = process.memoryUsage();
+    const event = {
+      timestamp: Math.round(performance.timeOrigin + entry.startTime + entry.duration),
+      kind: GC_KINDS[kind] ?? 'unknown',
+      duration: entry.duration,
+      heapUsed: usage.heapUsed,
+      heapTotal: usage.heapTotal,
+      rss: usage.rss,
+      external: usage.external,
+      arrayBuffers: usage.arrayBuffers
+    };
+
+    this.emit('gc', event);
+    if (event.kind === 'major') {
+      this.emit('major', event);
+    }
+  }
+}
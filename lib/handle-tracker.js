@@ -0,0 +1,240 @@
+/**
+ * HandleTracker
+ *
+ * Finds the two leak shapes of examples/leak-timer.js and
+ * examples/leak-events.js without a heap snapshot:
+ *
+ *   1. Lingering handles - an async_hooks init hook records where every
+ *      Timeout, socket, file handle, ... is created, and the destroy hook
+ *      forgets it again. Handles still alive after `maxAge` are reported,
+ *      grouped by creation stack, so 20 forgotten setInterval()s show up as
+ *      one line pointing at the code that created them.
+ *   2. Climbing listener counts - while started, EventEmitter.prototype's
+ *      listener methods are wrapped to remember which emitters gain
+ *      listeners. An event whose listener count only grows over the last
+ *      `listenerWindow` checks is reported with the stack of the latest
+ *      addListener() call.
+ *
+ * Only handles created from your own code (with at least one stack frame
+ * outside node's internals) are tracked, and one-shot timers are ignored:
+ * they end on their own. The hooks cost a stack trace per handle, so this
+ * is a diagnostic to run while reproducing a leak, not in production.
+ *
+ * Events:
+ *   'lingering-handles' ({ maxAge, groups: [{ type, api, count, age, stack }] })
+ *   'listener-growth'   ({ emitter, event, count, history, stack })
+ */
+
+import { createHook } from 'async_hooks';
+import { EventEmitter } from 'events';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const DEFAULT_HANDLE_OPTIONS = {
+  maxAge: 10 * 1000,       // Report handles alive for longer than this (ms)
+  interval: 1000,          // Milliseconds between checks once started
+  types: ['Timeout', 'TCPWRAP', 'UDPWRAP', 'FILEHANDLE', 'FSEVENTWRAP', 'STATWATCHER'],
+  stackDepth: 5,           // Frames kept per creation stack
+  listenerThreshold: 10,   // Ignore events with fewer listeners than this
+  listenerWindow: 5        // Checks a listener count must keep growing over
+};
+
+const LISTENER_METHODS = ['addListener', 'on', 'prependListener'];
+const SELF = fileURLToPath(import.meta.url);
+// "    at setInterval (node:timers:...)" or, when anonymous, "    at node:internal/..."
+const INTERNAL_FRAME = /^\s*at (.* \()?node:/;
+
+// "    at DataCache.startLeakyTimer (file:///app/leak-timer.js:27:21)" -> "DataCache.startLeakyTimer"
+const frameName = (frame) => frame.match(/^\s*at (?:async )?(.*?) \(/)?.[1] ?? null;
+
+/**
+ * The current stack without this module's and node's frames, plus the name
+ * of the node API the user code called (setInterval, Server.listen, ...).
+ *
+ * @param {number} depth - Frames to keep
+ * @param {string} [caller] - Path of another tracker module whose frames to drop
+ */
+export function captureStack(depth, caller = SELF) {
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = depth + 20;  // Room for the async_hooks and timers internals
+  const frames = new Error().stack.split('\n').slice(1)
+    .filter((frame) => !frame.includes(SELF) && !frame.includes(caller));
+  Error.stackTraceLimit = limit;
+
+  let api = null;
+  while (frames.length > 0 && INTERNAL_FRAME.test(frames[0])) {
+    api = frameName(frames.shift());
+  }
+
+  const cwd = process.cwd();
+  const stack = frames
+    .filter((frame) => !INTERNAL_FRAME.test(frame))
+    .slice(0, depth)
+    .map((frame) => frame.trim().replace(/^at /, '').replace(`${pathToFileURL(cwd).href}/`, '').replace(`${cwd}/`, ''));
+  return { api, stack };
+}
+
+const isGrowing = (history) => history.at(-1) > history[0] &&
+  history.every((count, i) => i === 0 || count >= history[i - 1]);
+
+export class HandleTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_HANDLE_OPTIONS, ...options };
+    this.handles = new Map();      // asyncId -> { type, api, created, stack }
+    this.emitters = new WeakMap(); // emitter -> { ref, label, events: Map(event -> { history, stack, reported }) }
+    this.records = new Set();      // The same records, iterable; they only hold a WeakRef to the emitter
+    this.reported = new Map();     // Handle group key -> count last reported
+    this.timer = null;
+    this.originals = null;
+
+    this.hook = createHook({
+      init: (asyncId, type, triggerAsyncId, resource) => {
+        // setTimeout() and setInterval() both create a Timeout; only intervals have a _repeat
+        if (!this.options.types.includes(type) || (type === 'Timeout' && resource._repeat == null)) {
+          return;
+        }
+        const { api, stack } = captureStack(this.options.stackDepth);
+        if (stack.length > 0) {
+          this.handles.set(asyncId, { type, api, created: Date.now(), stack });
+        }
+      },
+      destroy: (asyncId) => {
+        this.handles.delete(asyncId);
+      }
+    });
+  }
+
+  get running() {
+    return this.originals !== null;
+  }
+
+  /**
+   * Start tracking handles and listeners, checking every `interval` ms.
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+
+    // Created before the hook is enabled, so the tracker never reports itself
+    this.timer = setInterval(() => this.check(), this.options.interval).unref();
+    this.hook.enable();
+
+    const tracker = this;
+    this.originals = {};
+    for (const method of LISTENER_METHODS) {
+      const original = this.originals[method] = EventEmitter.prototype[method];
+      EventEmitter.prototype[method] = function (event, listener) {
+        const result = original.call(this, event, listener);
+        tracker.recordListener(this, event);
+        return result;
+      };
+    }
+    return this;
+  }
+
+  stop() {
+    if (this.running) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.hook.disable();
+      Object.assign(EventEmitter.prototype, this.originals);
+      this.originals = null;
+    }
+    return this;
+  }
+
+  recordListener(emitter, event) {
+    if (emitter === this) {
+      return;
+    }
+    let record = this.emitters.get(emitter);
+    if (!record) {
+      record = { ref: new WeakRef(emitter), label: emitter.constructor?.name ?? 'EventEmitter', events: new Map() };
+      this.emitters.set(emitter, record);
+      this.records.add(record);
+    }
+
+    const count = emitter.listenerCount(event);
+    let listeners = record.events.get(event);
+    if (!listeners) {
+      // Start the history before this listener, so a burst of them counts as growth
+      listeners = { history: [count - 1], stack: [], reported: 0 };
+      record.events.set(event, listeners);
+    }
+    if (count >= this.options.listenerThreshold) {
+      listeners.stack = captureStack(this.options.stackDepth).stack;
+    }
+  }
+
+  /**
+   * Tracked handles older than `maxAge`, grouped by type and creation stack,
+   * most numerous first. `key` identifies the group between calls.
+   */
+  lingering(maxAge = this.options.maxAge) {
+    const now = Date.now();
+    const groups = new Map();
+    for (const handle of this.handles.values()) {
+      const age = now - handle.created;
+      if (age < maxAge) {
+        continue;
+      }
+      const key = [handle.type, handle.api, ...handle.stack].join('\n');
+      const group = groups.get(key) ?? { key, type: handle.type, api: handle.api, count: 0, age: 0, stack: handle.stack };
+      group.count++;
+      group.age = Math.max(group.age, age);
+      groups.set(key, group);
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Emitter events whose listener count has only grown over the window.
+   */
+  listenerGrowth() {
+    return this.growingListeners().map(([, growth]) => growth);
+  }
+
+  growingListeners() {
+    const growing = [];
+    for (const record of this.records) {
+      for (const [event, listeners] of record.events) {
+        const { history, stack } = listeners;
+        if (history.at(-1) >= this.options.listenerThreshold && isGrowing(history)) {
+          growing.push([listeners, { emitter: record.label, event: String(event), count: history.at(-1), history: [...history], stack }]);
+        }
+      }
+    }
+    return growing;
+  }
+
+  /**
+   * Sample listener counts and emit what has got worse since the last check.
+   */
+  check() {
+    for (const record of this.records) {
+      const emitter = record.ref.deref();
+      if (!emitter) {
+        this.records.delete(record);
+        continue;
+      }
+      for (const [event, listeners] of record.events) {
+        listeners.history.push(emitter.listenerCount(event));
+        listeners.history.splice(0, listeners.history.length - this.options.listenerWindow - 1);
+      }
+    }
+
+    const groups = this.lingering().filter(({ key, count }) => count > (this.reported.get(key) ?? 0));
+    if (groups.length > 0) {
+      groups.forEach(({ key, count }) => this.reported.set(key, count));
+      this.emit('lingering-handles', { maxAge: this.options.maxAge, groups: groups.map(({ key, ...group }) => group) });
+    }
+
+    for (const [listeners, growth] of this.growingListeners()) {
+      if (growth.count > listeners.reported) {
+        listeners.reported = growth.count;
+        this.emit('listener-growth', growth);
+      }
+    }
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * HeapSnapshotTrigger
+ *
+ * Writes .heapsnapshot files with v8.writeHeapSnapshot() when a
+ * MemoryMonitor suspects a leak, so the before/after pair you would normally
+ * collect by hand in Chrome DevTools is already on disk:
+ *
+ *   1. On the first 'leak-suspected' event of an episode
+ *   2. Again every time the heap has grown another `growthStep` bytes
+ *
+ * Writing a snapshot pauses the process and needs roughly as much memory as
+ * the heap itself, so captures are rate limited by `cooldown` and capped by
+ * `maxFiles`.
+ *
+ * Events:
+ *   'snapshot'        ({ path, reason, heapUsed, timestamp })
+ *   'snapshot-failed' (error)
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import v8 from 'v8';
+
+export const DEFAULT_SNAPSHOT_OPTIONS = {
+  directory: '.',                // Where .heapsnapshot files are written
+  growthStep: 50 * 1024 * 1024,  // Bytes of further growth before the next capture
+  cooldown: 60 * 1000,           // Minimum milliseconds between captures
+  maxFiles: 5                    // Stop capturing after this many files
+};
+
+export class HeapSnapshotTrigger extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_SNAPSHOT_OPTIONS, ...options };
+    this.files = [];
+    this.lastCapture = null;  // { timestamp, heapUsed }
+    this.monitor = null;
+
+    this.onSuspected = (trend) => this.capture('suspected', trend.heapUsed);
+    this.onSample = (measurement) => {
+      if (this.monitor.suspected && this.lastCapture &&
+          measurement.heapUsed - this.lastCapture.heapUsed >= this.options.growthStep) {
+        this.capture('growth', measurement.heapUsed);
+      }
+    };
+  }
+
+  /**
+   * Start listening to a MemoryMonitor's events.
+   */
+  attach(monitor) {
+    this.detach();
+    this.monitor = monitor;
+    monitor.on('leak-suspected', this.onSuspected);
+    monitor.on('sample', this.onSample);
+    return this;
+  }
+
+  detach() {
+    if (this.monitor) {
+      this.monitor.off('leak-suspected', this.onSuspected);
+      this.monitor.off('sample', this.onSample);
+      this.monitor = null;
+    }
+    return this;
+  }
+
+  /**
+   * Write a snapshot now, unless the cooldown or file cap prevents it.
+   * Returns the file path, or null when nothing was written.
+   */
+  capture(reason, heapUsed = process.memoryUsage().heapUsed) {
+    const now = Date.now();
+
+    if (this.files.length >= this.options.maxFiles) {
+      return null;
+    }
+    if (this.lastCapture && now - this.lastCapture.timestamp < this.options.cooldown) {
+      return null;
+    }
+
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.options.directory,
+      `heap-${stamp}-${process.pid}-${reason}.heapsnapshot`);
+
+    try {
+      fs.mkdirSync(this.options.directory, { recursive: true });
+      v8.writeHeapSnapshot(file);
+    } catch (err) {
+      this.emit('snapshot-failed', err);
+      return null;
+    }
+
+    this.files.push(file);
+    this.lastCapture = { timestamp: now, heapUsed };
+    this.emit('snapshot', { path: file, reason, heapUsed, timestamp: now });
+    return file;
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * HeapSnapshot
+ *
+ * A minimal in-process reader for V8 .heapsnapshot files (the JSON written by
+ * v8.writeHeapSnapshot(), --heapsnapshot-signal and Chrome DevTools).
+ *
+ * It computes the same things the DevTools "Summary" view shows:
+ *   - a class name for every node (constructor name, or "(string)" etc.)
+ *   - self size and retained size, using the dominator tree
+ *   - the shortest retainer path from the GC roots to any node
+ *
+ * The snapshot is kept in its flat array form and all derived data lives in
+ * typed arrays, so snapshots with millions of nodes stay manageable.
+ */
+
+import fs from 'fs';
+
+// Node types whose class is their name; everything else is grouped as "(type)"
+const NAMED_TYPES = new Set(['object', 'native', 'synthetic']);
+
+export class HeapSnapshot {
+  /**
+   * @param {object} json - Parsed .heapsnapshot contents
+   */
+  constructor(json) {
+    const { meta } = json.snapshot;
+
+    this.strings = json.strings;
+    this.nodes = json.nodes;
+    this.edges = json.edges;
+
+    this.nodeFieldCount = meta.node_fields.length;
+    this.edgeFieldCount = meta.edge_fields.length;
+    this.nodeTypeOffset = meta.node_fields.indexOf('type');
+    this.nodeNameOffset = meta.node_fields.indexOf('name');
+    this.nodeIdOffset = meta.node_fields.indexOf('id');
+    this.nodeSelfSizeOffset = meta.node_fields.indexOf('self_size');
+    this.nodeEdgeCountOffset = meta.node_fields.indexOf('edge_count');
+    this.edgeTypeOffset = meta.edge_fields.indexOf('type');
+    this.edgeNameOffset = meta.edge_fields.indexOf('name_or_index');
+    this.edgeToNodeOffset = meta.edge_fields.indexOf('to_node');
+
+    this.nodeTypes = meta.node_types[this.nodeTypeOffset];
+    this.edgeTypes = meta.edge_types[this.edgeTypeOffset];
+    this.edgeWeakType = this.edgeTypes.indexOf('weak');
+    this.edgeShortcutType = this.edgeTypes.indexOf('shortcut');
+    this.edgeElementType = this.edgeTypes.indexOf('element');
+    this.edgeHiddenType = this.edgeTypes.indexOf('hidden');
+
+    this.nodeCount = this.nodes.length / this.nodeFieldCount;
+    this.rootNode = 0;
+
+    this.buildEdgeIndex();
+    this.buildClasses();
+  }
+
+  static fromFile(file) {
+    return new HeapSnapshot(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  // firstEdge[n]..firstEdge[n + 1] are the positions of node n's edges
+  buildEdgeIndex() {
+    this.firstEdge = new Uint32Array(this.nodeCount + 1);
+    let edgeIndex = 0;
+    for (let n = 0; n < this.nodeCount; n++) {
+      this.firstEdge[n] = edgeIndex;
+      edgeIndex += this.nodes[n * this.nodeFieldCount + this.nodeEdgeCountOffset] * this.edgeFieldCount;
+    }
+    this.firstEdge[this.nodeCount] = edgeIndex;
+  }
+
+  buildClasses() {
+    const lookup = new Map();
+    this.classNames = [];
+    this.classIndex = new Uint32Array(this.nodeCount);
+
+    for (let n = 0; n < this.nodeCount; n++) {
+      const name = this.nodeClassName(n);
+      let index = lookup.get(name);
+      if (index === undefined) {
+        index = this.classNames.length;
+        lookup.set(name, index);
+        this.classNames.push(name);
+      }
+      this.classIndex[n] = index;
+    }
+  }
+
+  nodeType(n) {
+    return this.nodeTypes[this.nodes[n * this.nodeFieldCount + this.nodeTypeOffset]];
+  }
+
+  nodeName(n) {
+    return this.strings[this.nodes[n * this.nodeFieldCount + this.nodeNameOffset]];
+  }
+
+  nodeId(n) {
+    return this.nodes[n * this.nodeFieldCount + this.nodeIdOffset];
+  }
+
+  nodeSelfSize(n) {
+    return this.nodes[n * this.nodeFieldCount + this.nodeSelfSizeOffset];
+  }
+
+  nodeClassName(n) {
+    const type = this.nodeType(n);
+    return NAMED_TYPES.has(type) ? this.nodeName(n) : `(${type})`;
+  }
+
+  edgeTarget(e) {
+    return this.edges[e + this.edgeToNodeOffset] / this.nodeFieldCount;
+  }
+
+  edgeLabel(e) {
+    const type = this.edges[e + this.edgeTypeOffset];
+    const nameOrIndex = this.edges[e + this.edgeNameOffset];
+
+    if (type === this.edgeElementType || type === this.edgeHiddenType) {
+      return `[${nameOrIndex}]`;
+    }
+    return this.strings[nameOrIndex];
+  }
+
+  // Same rule as DevTools: weak edges never retain, shortcuts only from the root
+  isEssentialEdge(node, e) {
+    const type = this.edges[e + this.edgeTypeOffset];
+    return type !== this.edgeWeakType && (type !== this.edgeShortcutType || node === this.rootNode);
+  }
+
+  /**
+   * Compute retained sizes via the dominator tree (Cooper, Harvey & Kennedy,
+   * "A Simple, Fast Dominance Algorithm"). Results are cached.
+   */
+  computeRetainedSizes() {
+    if (this.retainedSizes) {
+      return this.retainedSizes;
+    }
+
+    const { nodeCount } = this;
+    const unvisited = 0xffffffff;
+
+    // 1. Depth-first post order over essential edges
+    const postOrder = new Uint32Array(nodeCount).fill(unvisited);
+    const order = new Uint32Array(nodeCount);
+    const stackNode = new Uint32Array(nodeCount);
+    const stackEdge = new Uint32Array(nodeCount);
+    const visited = new Uint8Array(nodeCount);
+    let postIndex = 0;
+    let top = 0;
+
+    stackNode[0] = this.rootNode;
+    stackEdge[0] = this.firstEdge[this.rootNode];
+    visited[this.rootNode] = 1;
+
+    while (top >= 0) {
+      const node = stackNode[top];
+      const end = this.firstEdge[node + 1];
+      let pushed = false;
+
+      while (stackEdge[top] < end) {
+        const e = stackEdge[top];
+        stackEdge[top] += this.edgeFieldCount;
+        const target = this.edgeTarget(e);
+        if (!visited[target] && this.isEssentialEdge(node, e)) {
+          visited[target] = 1;
+          top++;
+          stackNode[top] = target;
+          stackEdge[top] = this.firstEdge[target];
+          pushed = true;
+          break;
+        }
+      }
+
+      if (!pushed) {
+        postOrder[node] = postIndex;
+        order[postIndex++] = node;
+        top--;
+      }
+    }
+
+    const reachable = postIndex;
+
+    // 2. Predecessor lists (by post order index) for reachable nodes
+    const predCount = new Uint32Array(reachable + 1);
+    for (let n = 0; n < nodeCount; n++) {
+      if (postOrder[n] === unvisited) continue;
+      for (let e = this.firstEdge[n]; e < this.firstEdge[n + 1]; e += this.edgeFieldCount) {
+        const target = this.edgeTarget(e);
+        if (postOrder[target] !== unvisited && this.isEssentialEdge(n, e)) {
+          predCount[postOrder[target] + 1]++;
+        }
+      }
+    }
+    for (let i = 1; i <= reachable; i++) {
+      predCount[i] += predCount[i - 1];
+    }
+    const preds = new Uint32Array(predCount[reachable]);
+    const fill = predCount.slice(0, reachable);
+    for (let n = 0; n < nodeCount; n++) {
+      if (postOrder[n] === unvisited) continue;
+      for (let e = this.firstEdge[n]; e < this.firstEdge[n + 1]; e += this.edgeFieldCount) {
+        const target = this.edgeTarget(e);
+        if (postOrder[target] !== unvisited && this.isEssentialEdge(n, e)) {
+          preds[fill[postOrder[target]]++] = postOrder[n];
+        }
+      }
+    }
+
+    // 3. Iterate to a fixed point in reverse post order
+    const rootPost = reachable - 1;
+    const dom = new Uint32Array(reachable).fill(unvisited);
+    dom[rootPost] = rootPost;
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let b = rootPost - 1; b >= 0; b--) {
+        let newDom = unvisited;
+        for (let p = predCount[b]; p < predCount[b + 1]; p++) {
+          let other = preds[p];
+          if (dom[other] === unvisited) continue;
+          if (newDom === unvisited) {
+            newDom = other;
+            continue;
+          }
+          let finger = newDom;
+          while (finger !== other) {
+            while (finger < other) finger = dom[finger];
+            while (other < finger) other = dom[other];
+          }
+          newDom = finger;
+        }
+        if (newDom !== unvisited && dom[b] !== newDom) {
+          dom[b] = newDom;
+          changed = true;
+        }
+      }
+    }
+
+    // 4. Retained size: every node adds its size to its immediate dominator.
+    //    Dominators always come later in post order.
+    const retained = new Float64Array(nodeCount);
+    for (let n = 0; n < nodeCount; n++) {
+      retained[n] = this.nodeSelfSize(n);
+    }
+    for (let b = 0; b < rootPost; b++) {
+      retained[order[dom[b]]] += retained[order[b]];
+    }
+
+    this.dominators = new Uint32Array(nodeCount).fill(this.rootNode);
+    for (let b = 0; b < reachable; b++) {
+      this.dominators[order[b]] = order[dom[b]];
+    }
+    this.reachable = visited;
+    this.retainedSizes = retained;
+    return retained;
+  }
+
+  /**
+   * Count, self size and retained size for every class. A class's retained
+   * size only counts instances that are not retained by another instance of
+   * the same class, so nested objects are not counted twice.
+   *
+   * @returns {Map<string, { count, selfSize, retainedSize }>}
+   */
+  aggregateByClass() {
+    const retained = this.computeRetainedSizes();
+    const classCount = this.classNames.length;
+    const count = new Float64Array(classCount);
+    const selfSize = new Float64Array(classCount);
+    const retainedSize = new Float64Array(classCount);
+
+    // Dominator tree children, then a DFS tracking which classes are open
+    const { nodeCount } = this;
+    const childStart = new Uint32Array(nodeCount + 1);
+    for (let n = 0; n < nodeCount; n++) {
+      if (n !== this.rootNode && this.reachable[n]) childStart[this.dominators[n] + 1]++;
+    }
+    for (let n = 1; n <= nodeCount; n++) childStart[n] += childStart[n - 1];
+    const children = new Uint32Array(childStart[nodeCount]);
+    const fill = childStart.slice(0, nodeCount);
+    for (let n = 0; n < nodeCount; n++) {
+      if (n !== this.rootNode && this.reachable[n]) children[fill[this.dominators[n]]++] = n;
+    }
+
+    const open = new Uint32Array(classCount);
+    const stackNode = new Uint32Array(nodeCount);
+    const stackChild = new Uint32Array(nodeCount);
+    let top = 0;
+    stackNode[0] = this.rootNode;
+    stackChild[0] = childStart[this.rootNode];
+
+    while (top >= 0) {
+      const node = stackNode[top];
+      const cls = this.classIndex[node];
+
+      if (stackChild[top] === childStart[node] && node !== this.rootNode) {
+        // Entering the node (the synthetic root is not a class of its own)
+        count[cls]++;
+        selfSize[cls] += this.nodeSelfSize(node);
+        if (open[cls] === 0) retainedSize[cls] += retained[node];
+        open[cls]++;
+      }
+
+      if (stackChild[top] < childStart[node + 1]) {
+        const child = children[stackChild[top]++];
+        top++;
+        stackNode[top] = child;
+        stackChild[top] = childStart[child];
+      } else {
+        if (node !== this.rootNode) open[cls]--;
+        top--;
+      }
+    }
+
+    const result = new Map();
+    for (let c = 0; c < classCount; c++) {
+      if (count[c] > 0) {
+        result.set(this.classNames[c], {
+          count: count[c],
+          selfSize: selfSize[c],
+          retainedSize: retainedSize[c]
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Breadth-first search from the root, recording for every node the node and
+   * edge it was first reached through. Results are cached.
+   */
+  computeShortestPaths() {
+    if (this.parentNode) {
+      return;
+    }
+
+    const { nodeCount } = this;
+    const none = 0xffffffff;
+    this.parentNode = new Uint32Array(nodeCount).fill(none);
+    this.parentEdge = new Uint32Array(nodeCount).fill(none);
+
+    const queue = new Uint32Array(nodeCount);
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = this.rootNode;
+    this.parentNode[this.rootNode] = this.rootNode;
+
+    while (head < tail) {
+      const node = queue[head++];
+      for (let e = this.firstEdge[node]; e < this.firstEdge[node + 1]; e += this.edgeFieldCount) {
+        const target = this.edgeTarget(e);
+        if (this.parentNode[target] === none && this.isEssentialEdge(node, e)) {
+          this.parentNode[target] = node;
+          this.parentEdge[target] = e;
+          queue[tail++] = target;
+        }
+      }
+    }
+  }
+
+  /**
+   * Shortest retainer path from the root to a node, root first:
+   *   [{ node, className, edge }, ...] where `edge` is the label of the edge
+   *   leading to that node (null for the root).
+   */
+  retainerPath(node) {
+    this.computeShortestPaths();
+
+    const path = [];
+    let current = node;
+    if (this.parentEdge[current] === 0xffffffff && current !== this.rootNode) {
+      return path; // Unreachable
+    }
+
+    while (current !== this.rootNode) {
+      path.unshift({
+        node: current,
+        className: this.classNames[this.classIndex[current]],
+        edge: this.edgeLabel(this.parentEdge[current])
+      });
+      current = this.parentNode[current];
+    }
+    path.unshift({ node: this.rootNode, className: this.nodeName(this.rootNode) || '(root)', edge: null });
+    return path;
+  }
+}
@@ -0,0 +1,399 @@
+/**
+ * HTML Report
+ *
+ * Writes a leak investigation as a single self-contained HTML file: inline
+ * CSS and SVG charts, no scripts and no CDN, so it can be attached to an
+ * incident ticket and opened anywhere, years later.
+ *
+ * The report is built from whatever was collected:
+ *
+ *   samples   - [{ timestamp, heapUsed, heapTotal, rss, external, arrayBuffers,
+ *                 requests?, phase?, stage?, gc? }] (MemoryMonitor samples,
+ *                 or the load test's /metrics samples). `gc` holds cumulative
+ *                 { [kind]: { count, pause } } totals, pause in ms.
+ *   gcEvents  - [{ timestamp, kind, duration }] from GcObserver
+ *   analysis  - analyzeLoadTest() result, shown as the verdict
+ *   stages    - [{ stage, duration, connections, rate, requests, errors, latencyP99 }]
+ *   diff      - diffSnapshots() result
+ *   meta      - { label: value } shown at the top (command, host, version...)
+ *
+ * Usage:
+ *   await writeReport('report.html', { title: 'Checkout leak', samples, diff });
+ */
+
+import { writeFile } from 'fs/promises';
+import { summarizeGc } from './gc-observer.js';
+
+const CHART = { width: 860, height: 240, left: 64, right: 16, top: 12, bottom: 28 };
+
+const MEMORY_SERIES = [
+  { field: 'heapUsed', name: 'Heap used', color: '#2563eb' },
+  { field: 'heapTotal', name: 'Heap total', color: '#93c5fd' },
+  { field: 'rss', name: 'RSS', color: '#dc2626' },
+  { field: 'external', name: 'External', color: '#16a34a' },
+  { field: 'arrayBuffers', name: 'ArrayBuffers', color: '#9333ea' }
+];
+
+const PHASE_COLORS = { baseline: '#f3f4f6', load: '#fef3c7', cooldown: '#e0f2fe' };
+const GC_COLORS = { major: '#dc2626', minor: '#2563eb', incremental: '#f59e0b', weakcb: '#6b7280' };
+
+// Keep the file small for long soak runs: at most this many points per line,
+// and this many bars per series (a soak run has a GC event every second or so)
+const MAX_POINTS = 1500;
+const MAX_BARS = 400;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatBytes(bytes) {
+  const abs = Math.abs(bytes);
+  if (abs >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  if (abs >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (abs >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+const formatSigned = (bytes) => `${bytes > 0 ? '+' : ''}${formatBytes(bytes)}`;
+
+function formatSeconds(seconds) {
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h${String(Math.round((seconds % 3600) / 60)).padStart(2, '0')}`;
+  if (seconds >= 120) return `${Math.round(seconds / 60)}m`;
+  return `${Math.round(seconds)}s`;
+}
+
+const formatMs = (ms) => `${ms.toFixed(ms < 10 ? 2 : 0)} ms`;
+
+// Round tick steps to 1, 2 or 5 times a power of ten
+function niceTicks(max, count = 5) {
+  if (!(max > 0)) return [0];
+  const rough = max / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((candidate) => candidate >= rough);
+  const ticks = [];
+  for (let value = 0; value <= max + step / 2; value += step) {
+    ticks.push(value);
+  }
+  return ticks;
+}
+
+function downsample(points) {
+  if (points.length <= MAX_POINTS) return points;
+  const stride = points.length / MAX_POINTS;
+  const result = [];
+  for (let i = 0; i < MAX_POINTS; i++) {
+    result.push(points[Math.floor(i * stride)]);
+  }
+  result.push(points.at(-1));
+  return result;
+}
+
+// Math.max(...values) throws a RangeError once there are too many values
+function maxOf(values, max = -Infinity) {
+  for (const value of values) {
+    if (value > max) max = value;
+  }
+  return max;
+}
+
+// Split the time axis into MAX_BARS buckets and keep the tallest bar of each,
+// so the longest pauses still show: { x, y, count } where count is the bars merged
+function mergeBars(points, xMax) {
+  if (points.length <= MAX_BARS) {
+    return points.map((point) => ({ ...point, count: 1 }));
+  }
+  const buckets = new Map();
+  for (const point of points) {
+    const index = Math.min(MAX_BARS - 1, Math.floor((point.x / xMax) * MAX_BARS));
+    const bucket = buckets.get(index);
+    if (!bucket) {
+      buckets.set(index, { ...point, count: 1 });
+    } else {
+      bucket.count++;
+      if (point.y > bucket.y) Object.assign(bucket, { x: point.x, y: point.y });
+    }
+  }
+  return [...buckets.values()];
+}
+
+/**
+ * An SVG chart with a time x axis (seconds since start). Series are drawn
+ * as lines (`type: 'line'`) or as vertical bars (`type: 'bars'`).
+ */
+function chart({ series, duration, yFormat, bands = [] }) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  let maxY = 0;
+  for (const { points } of series) {
+    maxY = maxOf(points.map(({ y }) => y), maxY);
+  }
+  const yTicks = niceTicks(maxY);
+  const yMax = yTicks.at(-1) || 1;
+  const xMax = duration || 1;
+  const x = (seconds) => left + (seconds / xMax) * plotWidth;
+  const y = (value) => top + plotHeight - (value / yMax) * plotHeight;
+  const parts = [];
+
+  for (const band of bands) {
+    parts.push(`<rect x="${x(band.from).toFixed(1)}" y="${top}" width="${Math.max(0, x(band.to) - x(band.from)).toFixed(1)}" ` +
+               `height="${plotHeight}" fill="${band.color}"><title>${escapeHtml(band.label)}</title></rect>`);
+  }
+
+  for (const tick of yTicks) {
+    parts.push(`<line x1="${left}" x2="${width - right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}" class="grid"/>`);
+    parts.push(`<text x="${left - 6}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end">${escapeHtml(yFormat(tick))}</text>`);
+  }
+  for (const tick of niceTicks(xMax, 8)) {
+    if (tick > xMax) continue;
+    parts.push(`<text x="${x(tick).toFixed(1)}" y="${height - 8}" text-anchor="middle">${formatSeconds(tick)}</text>`);
+  }
+  parts.push(`<line x1="${left}" x2="${width - right}" y1="${top + plotHeight}" y2="${top + plotHeight}" class="axis"/>`);
+
+  for (const { name, color, points, type = 'line' } of series) {
+    if (type === 'bars') {
+      for (const point of mergeBars(points, xMax)) {
+        const label = point.count > 1 ? `longest of ${point.count}, ${yFormat(point.y)}` : yFormat(point.y);
+        parts.push(`<line x1="${x(point.x).toFixed(1)}" x2="${x(point.x).toFixed(1)}" y1="${y(0).toFixed(1)}" ` +
+                   `y2="${y(point.y).toFixed(1)}" stroke="${color}" stroke-width="2"><title>${escapeHtml(name)}: ` +
+                   `${escapeHtml(label)} at ${formatSeconds(point.x)}</title></line>`);
+      }
+    } else {
+      const path = downsample(points).map((point) => `${x(point.x).toFixed(1)},${y(point.y).toFixed(1)}`).join(' ');
+      parts.push(`<polyline points="${path}" fill="none" stroke="${color}" stroke-width="1.5"><title>${escapeHtml(name)}</title></polyline>`);
+    }
+  }
+
+  const legend = series.map(({ name, color }) =>
+    `<span><i style="background:${color}"></i>${escapeHtml(name)}</span>`).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img">${parts.join('')}</svg><div class="legend">${legend}</div>`;
+}
+
+function table(headers, rows, { numeric = [] } = {}) {
+  const cell = (tag, value, i) => `<${tag}${numeric.includes(i) ? ' class="num"' : ''}>${escapeHtml(value)}</${tag}>`;
+  const head = headers.some(Boolean) ? `<thead><tr>${headers.map((header, i) => cell('th', header, i)).join('')}</tr></thead>` : '';
+  return `<table>${head}` +
+         `<tbody>${rows.map((row) => `<tr>${row.map((value, i) => cell('td', value, i)).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+// Contiguous runs of the same stage (or phase) as shaded chart bands
+function phaseBands(samples, start) {
+  const bands = [];
+  for (const sample of samples) {
+    const label = sample.stage ?? sample.phase;
+    if (!label) continue;
+    const at = (sample.timestamp - start) / 1000;
+    const last = bands.at(-1);
+    if (last && last.label === label) {
+      last.to = at;
+    } else {
+      if (last) last.to = at;
+      bands.push({ label, from: at, to: at, color: PHASE_COLORS[sample.phase] ?? PHASE_COLORS.load });
+    }
+  }
+  return bands;
+}
+
+// Per-interval GC pauses and per-kind totals from cumulative sample.gc counters
+function gcFromSamples(samples, start) {
+  // MemoryMonitor samples taken in 'gc' mode carry the single triggering event instead
+  const withGc = samples.filter((sample) => sample.gc && !sample.gc.kind);
+  const points = [];
+  const byKind = {};
+
+  withGc.forEach((sample, i) => {
+    const previous = withGc[i - 1]?.gc ?? {};
+    let pause = 0;
+    for (const [kind, { count, pause: total }] of Object.entries(sample.gc)) {
+      const before = previous[kind] ?? { count: 0, pause: 0 };
+      pause += total - before.pause;
+      if (i > 0) {
+        const totals = byKind[kind] ??= { count: 0, totalPause: 0 };
+        totals.count += count - before.count;
+        totals.totalPause += total - before.pause;
+      }
+    }
+    if (i > 0) points.push({ x: (sample.timestamp - start) / 1000, y: pause });
+  });
+
+  return { points, byKind };
+}
+
+function metricName(field) {
+  return MEMORY_SERIES.find((series) => series.field === field)?.name.toLowerCase() ?? field;
+}
+
+function verdictSection(analysis) {
+  if (!analysis) return '';
+  const pass = analysis.verdict === 'PASS';
+  const rows = [
+    ['Baseline', formatBytes(analysis.baseline)],
+    ['Peak', formatBytes(analysis.peak)],
+    ['After cooldown', `${formatBytes(analysis.final)} (${formatSigned(analysis.retained)})`],
+    ['Growth under load', analysis.growthPer1k === null ? 'n/a' : `${formatSigned(analysis.growthPer1k)} per 1k requests`],
+    ['Retained', `${formatSigned(analysis.retainedPer1k)} per 1k requests`],
+    ['Requests', String(analysis.requests)]
+  ];
+
+  return `<section><div class="verdict ${pass ? 'pass' : 'leak'}">${analysis.verdict}: ` +
+         `${pass ? 'memory returned to baseline after the load stopped'
+           : `${escapeHtml(formatBytes(analysis.retained))} of ${escapeHtml(metricName(analysis.metric))} is still retained after the load stopped`}` +
+         `</div>${table(['', ''], rows, { numeric: [1] })}</section>`;
+}
+
+function diffSection(diff) {
+  if (!diff) return '';
+  const classes = diff.classes.map((row) => [
+    row.className,
+    row.countBefore,
+    row.countAfter,
+    `${row.countDelta > 0 ? '+' : ''}${row.countDelta}`,
+    formatSigned(row.selfSizeDelta),
+    formatSigned(row.retainedSizeDelta)
+  ]);
+  const retainers = diff.retainers.map(({ className, paths }) =>
+    `<h3>${escapeHtml(className)}</h3>` +
+    table(['Objects', 'Shortest retainer path from GC roots'], paths.map(({ count, path }) => [`${count}×`, path]), { numeric: [0] })
+  ).join('');
+
+  return `<section><h2>Heap Snapshot Diff</h2><p>Nodes: ${diff.nodesBefore} → ${diff.nodesAfter}</p>` +
+         table(['Constructor', '# Before', '# After', '# Delta', 'Size Delta', 'Retained Delta'], classes, { numeric: [1, 2, 3, 4, 5] }) +
+         `<h2>Retainers of New Objects</h2>${retainers}</section>`;
+}
+
+const STYLE = `
+body { font: 14px/1.45 system-ui, sans-serif; color: #111827; max-width: 920px; margin: 24px auto; padding: 0 16px; }
+h1 { font-size: 22px; margin-bottom: 4px; } h2 { font-size: 17px; margin: 28px 0 8px; } h3 { font-size: 14px; margin: 16px 0 4px; }
+.muted { color: #6b7280; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+td { font-family: ui-monospace, monospace; font-size: 12px; } .num { text-align: right; white-space: nowrap; }
+svg { width: 100%; height: auto; font: 11px system-ui, sans-serif; fill: #4b5563; }
+.grid { stroke: #e5e7eb; } .axis { stroke: #9ca3af; }
+.legend span { margin-right: 16px; font-size: 12px; } .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+.verdict { padding: 10px 14px; border-radius: 6px; font-weight: 600; margin: 16px 0 8px; }
+.pass { background: #dcfce7; color: #166534; } .leak { background: #fee2e2; color: #991b1b; }
+`;
+
+/**
+ * Render the report as an HTML string. See the module comment for `data`.
+ */
+export function renderReport({
+  title = 'Memory Leak Report',
+  generatedAt = new Date(),
+  meta = {},
+  samples = [],
+  gcEvents = [],
+  analysis = null,
+  stages = [],
+  diff = null
+} = {}) {
+  const sections = [];
+  const start = Math.min(samples[0]?.timestamp ?? Infinity, gcEvents[0]?.timestamp ?? Infinity);
+  const end = Math.max(samples.at(-1)?.timestamp ?? -Infinity, gcEvents.at(-1)?.timestamp ?? -Infinity);
+  const duration = Number.isFinite(start) ? (end - start) / 1000 : 0;
+  const seconds = (sample) => (sample.timestamp - start) / 1000;
+  const bands = phaseBands(samples, start);
+
+  const metaRows = Object.entries(meta).filter(([, value]) => value !== undefined && value !== null);
+  if (metaRows.length > 0) {
+    sections.push(`<section>${table(['', ''], metaRows)}</section>`);
+  }
+  sections.push(verdictSection(analysis));
+
+  if (samples.length > 0) {
+    const series = MEMORY_SERIES
+      .filter(({ field }) => samples.some((sample) => Number.isFinite(sample[field])))
+      .map(({ field, name, color }) => ({
+        name,
+        color,
+        points: samples.filter((sample) => Number.isFinite(sample[field])).map((sample) => ({ x: seconds(sample), y: sample[field] }))
+      }));
+    const last = samples.at(-1);
+    const summary = MEMORY_SERIES.filter(({ field }) => Number.isFinite(samples[0][field])).map(({ field, name }) => [
+      name,
+      formatBytes(samples[0][field]),
+      formatBytes(maxOf(samples.map((sample) => sample[field] ?? 0))),
+      formatBytes(last[field]),
+      formatSigned(last[field] - samples[0][field])
+    ]);
+
+    sections.push(`<section><h2>Memory</h2>${chart({ series, duration, yFormat: formatBytes, bands })}` +
+                  `${table(['', 'First', 'Peak', 'Last', 'Change'], summary, { numeric: [1, 2, 3, 4] })}</section>`);
+  }
+
+  if (samples.some((sample) => Number.isFinite(sample.requests))) {
+    const points = samples.filter((sample) => Number.isFinite(sample.requests)).map((sample) => ({ x: seconds(sample), y: sample.requests }));
+    sections.push(`<section><h2>Requests</h2>${chart({
+      series: [{ name: 'Requests completed', color: '#0f766e', points }],
+      duration,
+      yFormat: (value) => String(Math.round(value)),
+      bands
+    })}</section>`);
+  }
+
+  if (stages.length > 0) {
+    sections.push(`<section><h2>Load Stages</h2>${table(
+      ['Stage', 'Duration', 'Connections', 'Rate', 'Requests', 'Errors', 'p99 latency'],
+      stages.map((stage) => [stage.stage, formatSeconds(stage.duration), stage.connections, stage.rate ?? 'max',
+        stage.requests, stage.errors, `${stage.latencyP99} ms`]),
+      { numeric: [1, 2, 3, 4, 5, 6] }
+    )}</section>`);
+  }
+
+  const gcSeries = [];
+  let gcByKind = {};
+  if (gcEvents.length > 0) {
+    for (const kind of new Set(gcEvents.map((event) => event.kind))) {
+      gcSeries.push({
+        name: `${kind} GC pause`,
+        color: GC_COLORS[kind] ?? '#6b7280',
+        type: 'bars',
+        points: gcEvents.filter((event) => event.kind === kind).map((event) => ({ x: seconds(event), y: event.duration }))
+      });
+    }
+    gcByKind = summarizeGc(gcEvents).byKind;
+  } else if (samples.some((sample) => sample.gc)) {
+    const { points, byKind } = gcFromSamples(samples, start);
+    gcSeries.push({ name: 'GC pause per sample interval', color: GC_COLORS.major, type: 'bars', points });
+    gcByKind = byKind;
+  }
+  if (gcSeries.length > 0) {
+    const rows = Object.entries(gcByKind).map(([kind, { count, totalPause }]) => [
+      kind, count, formatMs(totalPause), formatMs(count > 0 ? totalPause / count : 0)
+    ]);
+    sections.push(`<section><h2>Garbage Collection</h2>${chart({ series: gcSeries, duration, yFormat: formatMs, bands })}` +
+                  `${table(['Kind', 'Count', 'Total pause', 'Mean pause'], rows, { numeric: [1, 2, 3] })}</section>`);
+  }
+
+  sections.push(diffSection(diff));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">Generated ${escapeHtml(generatedAt.toISOString())}${duration > 0 ? ` · ${formatSeconds(duration)} of data` : ''}</p>
+${sections.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the report and write it to `file`. Resolves with the file path.
+ */
+export async function writeReport(file, data) {
+  await writeFile(file, renderReport(data));
+  return file;
+}
@@ -0,0 +1,144 @@
+/**
+ * Leak Test Harness
+ *
+ * Helpers for writing automated memory leak tests with node:test (or any
+ * other runner). They need garbage collection, so run the tests with:
+ *
+ *   node --expose-gc --test
+ *
+ * Two signals are combined:
+ *   - WeakRef/FinalizationRegistry tracking of objects that are expected to
+ *     be collected (whatever `fn` returns, or passes to `track()`)
+ *   - heapUsed after forced GC, before and after all iterations
+ *
+ * Usage:
+ *   import { assertNoLeak } from 'node-memory-leak';
+ *
+ *   test('handler releases its request context', async () => {
+ *     await assertNoLeak(async (i, track) => {
+ *       const ctx = await handleRequest(fakeRequest(i));
+ *       track(ctx.session);
+ *       return ctx;
+ *     }, { iterations: 50 });
+ *   });
+ */
+
+import assert from 'assert';
+import { setImmediate as nextTick } from 'timers/promises';
+
+export const DEFAULT_LEAK_TEST_OPTIONS = {
+  iterations: 10,                 // Times `fn` is called while measuring
+  warmup: 1,                      // Untracked calls first, so lazy init doesn't count
+  maxRetained: 0,                 // Tracked objects allowed to survive GC
+  maxHeapGrowth: 1024 * 1024      // Bytes of heap growth allowed over all iterations
+};
+
+/**
+ * Run several full collections, yielding in between so WeakRefs are cleared
+ * and FinalizationRegistry callbacks get a chance to run.
+ */
+export async function collectGarbage(rounds = 3) {
+  if (!global.gc) {
+    throw new Error('Leak tests need manual garbage collection: run node with --expose-gc');
+  }
+
+  for (let i = 0; i < rounds; i++) {
+    global.gc();
+    await nextTick();
+  }
+}
+
+function isTrackable(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+/**
+ * Call `fn(iteration, track)` repeatedly and measure what it leaves behind.
+ *
+ * @param {Function} fn - May be async. Its return value is tracked.
+ * @param {object} [options] - See DEFAULT_LEAK_TEST_OPTIONS
+ * @returns {Promise<object>} { iterations, tracked, retained, finalized,
+ *   heapBefore, heapAfter, heapGrowth, heapGrowthPerIteration, survivors }
+ */
+export async function measureLeak(fn, options = {}) {
+  const { iterations, warmup } = { ...DEFAULT_LEAK_TEST_OPTIONS, ...options };
+  const refs = [];
+  let finalized = 0;
+  const registry = new FinalizationRegistry(() => {
+    finalized++;
+  });
+
+  const track = (value) => {
+    if (isTrackable(value)) {
+      refs.push(new WeakRef(value));
+      registry.register(value, null);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < warmup; i++) {
+    await fn(-1 - i, () => {});
+  }
+
+  await collectGarbage();
+  const heapBefore = process.memoryUsage().heapUsed;
+
+  for (let i = 0; i < iterations; i++) {
+    track(await fn(i, track));
+  }
+
+  await collectGarbage();
+  const heapAfter = process.memoryUsage().heapUsed;
+  const heapGrowth = heapAfter - heapBefore;
+  const survivors = refs.map((ref) => ref.deref()).filter(Boolean);
+
+  return {
+    iterations,
+    tracked: refs.length,
+    retained: survivors.length,
+    finalized,
+    heapBefore,
+    heapAfter,
+    heapGrowth,
+    heapGrowthPerIteration: heapGrowth / iterations,
+    survivors
+  };
+}
+
+const toKB = (bytes) => `${Math.round(bytes / 1024)} KB`;
+
+/**
+ * Fail unless `fn` releases everything it allocates.
+ */
+export async function assertNoLeak(fn, options = {}) {
+  const opts = { ...DEFAULT_LEAK_TEST_OPTIONS, ...options };
+  const result = await measureLeak(fn, opts);
+
+  if (result.retained > opts.maxRetained) {
+    assert.fail(`Memory leak: ${result.retained} of ${result.tracked} tracked objects ` +
+                `are still alive after GC (allowed: ${opts.maxRetained})`);
+  }
+  if (result.heapGrowth > opts.maxHeapGrowth) {
+    assert.fail(`Memory leak: heap grew ${toKB(result.heapGrowth)} over ${result.iterations} ` +
+                `iterations (${toKB(result.heapGrowthPerIteration)} each, ` +
+                `allowed: ${toKB(opts.maxHeapGrowth)} total)`);
+  }
+
+  return result;
+}
+
+/**
+ * The inverse of assertNoLeak(): fail unless `fn` retains objects or heap.
+ * Useful for proving that a leak reproduction still reproduces.
+ */
+export async function assertLeaks(fn, options = {}) {
+  const opts = { ...DEFAULT_LEAK_TEST_OPTIONS, ...options };
+  const result = await measureLeak(fn, opts);
+
+  if (result.retained <= opts.maxRetained && result.heapGrowth <= opts.maxHeapGrowth) {
+    assert.fail(`Expected a memory leak, but ${result.retained} of ${result.tracked} tracked ` +
+                `objects survived GC and the heap grew only ${toKB(result.heapGrowth)}`);
+  }
+
+  return result;
+}
@@ -0,0 +1,79 @@
+/**
+ * Load Test Analysis
+ *
+ * Turns the memory samples polled during a load test into a leak verdict.
+ * Samples are tagged with the phase they were taken in:
+ *
+ *   baseline  - before any load, ideally right after a forced GC
+ *   load      - while the load generator is running
+ *   cooldown  - after load stops, while caches expire and GC catches up
+ *
+ * Memory that rises under load is normal. A leak is memory that stays up
+ * once the load is gone, so the verdict compares the cooldown floor (the
+ * lowest sample, i.e. the heap left after GC) with the baseline floor.
+ *
+ * Usage:
+ *   const analysis = analyzeLoadTest(samples);
+ *   if (analysis.verdict === 'LEAK') process.exitCode = 1;
+ */
+
+import { leastSquares } from './trend-analysis.js';
+
+export const DEFAULT_LOAD_ANALYSIS_OPTIONS = {
+  metric: 'heapUsed',               // Sample field the verdict is based on
+  tolerance: 32 * 1024 * 1024       // Bytes above baseline still considered "returned"
+};
+
+// Reduced rather than spread into Math.min/max: a soak run has more samples
+// than a call can take arguments
+function floor(samples, field) {
+  return samples.reduce((min, sample) => Math.min(min, sample[field]), Infinity);
+}
+
+function peak(samples, field) {
+  return samples.reduce((max, sample) => Math.max(max, sample[field]), -Infinity);
+}
+
+/**
+ * @param {object[]} samples - { timestamp, phase, requests, heapUsed, rss, ... }
+ *   where `requests` is the number of requests completed so far
+ * @param {object} [options] - See DEFAULT_LOAD_ANALYSIS_OPTIONS
+ * @returns {object} { metric, baseline, peak, final, retained, requests,
+ *   growthPer1k, retainedPer1k, returnedToBaseline, verdict }
+ */
+export function analyzeLoadTest(samples, options = {}) {
+  const { metric, tolerance } = { ...DEFAULT_LOAD_ANALYSIS_OPTIONS, ...options };
+  const phase = (name) => samples.filter((sample) => sample.phase === name);
+  const baselineSamples = phase('baseline');
+  const loadSamples = phase('load');
+  const cooldownSamples = phase('cooldown');
+
+  if (baselineSamples.length === 0 || cooldownSamples.length === 0) {
+    throw new Error('Load test analysis needs at least one baseline and one cooldown sample');
+  }
+
+  const baseline = floor(baselineSamples, metric);
+  const final = floor(cooldownSamples, metric);
+  const retained = final - baseline;
+  const requests = peak(samples, 'requests') - baselineSamples.at(-1).requests;
+
+  // Growth while under load, per 1000 requests rather than per second, so
+  // runs at different request rates are comparable
+  const growthPer1k = loadSamples.length >= 2
+    ? leastSquares(loadSamples.map((sample) => ({ x: sample.requests, y: sample[metric] }))).slope * 1000
+    : null;
+  const returnedToBaseline = retained <= tolerance;
+
+  return {
+    metric,
+    baseline,
+    peak: peak(samples, metric),
+    final,
+    retained,
+    requests,
+    growthPer1k,
+    retainedPer1k: requests > 0 ? (retained / requests) * 1000 : 0,
+    returnedToBaseline,
+    verdict: returnedToBaseline ? 'PASS' : 'LEAK'
+  };
+}
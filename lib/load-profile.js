@@ -0,0 +1,229 @@
+/**
+ * Load Profiles
+ *
+ * Describes the traffic a load test generates, as plain data so it can live
+ * in a JSON file or a JS module next to your code:
+ *
+ *   {
+ *     "url": "http://localhost:3000",
+ *     "connections": 10,                 // Defaults for every stage
+ *     "rate": 200,                       // Requests/second overall (omit to saturate)
+ *     "cooldown": 40,                    // Seconds to keep measuring after the load
+ *     "headers": { "x-tenant": "demo" }, // Sent with every request
+ *     "requests": [
+ *       { "path": "/", "weight": 3 },
+ *       { "method": "POST", "path": "/orders", "weight": 1,
+ *         "headers": { "authorization": "Bearer demo" }, "body": { "sku": 42 } }
+ *     ],
+ *     "stages": [
+ *       { "name": "ramp-up", "duration": 60, "rate": 200, "ramp": true },
+ *       { "name": "steady", "duration": 300 },
+ *       { "name": "spike", "duration": 15, "connections": 50, "rate": null },
+ *       { "name": "soak", "duration": 3600, "rate": 50 }
+ *     ]
+ *   }
+ *
+ * A stage inherits connections and rate from the profile. A `ramp` stage
+ * climbs from the previous stage's level to its own in `steps` equal steps.
+ * Without stages, the profile is a single steady stage of `duration` seconds.
+ * Weights are relative: the mix above sends three GET / for every POST.
+ *
+ * Usage:
+ *   const profile = resolveProfile(await loadProfile('soak'), { url: 'http://localhost:8080' });
+ *   for (const stage of profile.stages) {
+ *     // run stage.requests at stage.connections / stage.rate for stage.duration seconds
+ *   }
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_PROFILE = {
+  url: 'http://localhost:3000',
+  connections: 10,
+  duration: 30,             // Seconds, when the profile has no stages
+  rate: null,               // Requests/second across all connections; null = as fast as possible
+  cooldown: 40,             // Longer than the fixed server's 30 s session TTL
+  headers: {},
+  requests: [
+    { method: 'GET', path: '/' },
+    { method: 'GET', path: '/health' }
+  ]
+};
+
+export const PROFILES = {
+  default: {
+    description: 'Saturate the server with 10 connections for 30 seconds'
+  },
+  'ramp-up': {
+    description: 'Climb to 500 req/s over a minute, then hold it for a minute',
+    connections: 20,
+    rate: 500,
+    stages: [
+      { name: 'ramp-up', duration: 60, ramp: true },
+      { name: 'steady', duration: 60 }
+    ]
+  },
+  spike: {
+    description: 'Moderate traffic with a 10-second saturating spike in the middle',
+    rate: 100,
+    stages: [
+      { name: 'steady', duration: 30 },
+      { name: 'spike', duration: 10, connections: 50, rate: null },
+      { name: 'recovery', duration: 30 }
+    ]
+  },
+  soak: {
+    description: 'An hour of moderate traffic, for leaks that only show up over time',
+    connections: 5,
+    rate: 50,
+    cooldown: 60,
+    stages: [
+      { name: 'ramp-up', duration: 60, ramp: true },
+      { name: 'soak', duration: 60 * 60 }
+    ]
+  }
+};
+
+/**
+ * Load a built-in profile by name, or a profile file: JSON, or a JS module
+ * whose default export is the profile (or a function returning it).
+ */
+export async function loadProfile(nameOrPath = 'default') {
+  if (Object.hasOwn(PROFILES, nameOrPath)) {
+    return PROFILES[nameOrPath];
+  }
+
+  const file = path.resolve(nameOrPath);
+  if (file.endsWith('.json')) {
+    return JSON.parse(await readFile(file, 'utf8'));
+  }
+  if (/\.[cm]?js$/.test(file)) {
+    const { default: profile } = await import(pathToFileURL(file).href);
+    return typeof profile === 'function' ? profile() : profile;
+  }
+
+  throw new Error(`Unknown profile "${nameOrPath}". Use one of ${Object.keys(PROFILES).join(', ')}, ` +
+                  'or a .json or .js profile file');
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Expand weighted requests into the sequence autocannon cycles through,
+ * interleaved with smooth weighted round-robin: weights 3 and 1 give
+ * a, a, b, a rather than a, a, a, b.
+ */
+export function weightedRequests(requests, headers = {}) {
+  const entries = requests.map((request) => {
+    const weight = request.weight ?? 1;
+    if (!Number.isInteger(weight) || weight < 0) {
+      throw new Error(`Request weights must be whole numbers, got ${weight} for ${request.path}`);
+    }
+
+    const entry = {
+      method: request.method ?? (request.body === undefined ? 'GET' : 'POST'),
+      path: request.path ?? '/',
+      headers: { ...headers, ...request.headers }
+    };
+    if (request.body !== undefined) {
+      entry.body = typeof request.body === 'string' ? request.body : JSON.stringify(request.body);
+      if (typeof request.body !== 'string' && !Object.keys(entry.headers).some((name) => name.toLowerCase() === 'content-type')) {
+        entry.headers['content-type'] = 'application/json';
+      }
+    }
+    return { entry, weight };
+  }).filter(({ weight }) => weight > 0);
+
+  if (entries.length === 0) {
+    throw new Error('A profile needs at least one request with a weight above 0');
+  }
+
+  const divisor = entries.reduce((result, { weight }) => gcd(result, weight), 0);
+  const weights = entries.map(({ weight }) => weight / divisor);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const current = weights.map(() => 0);
+  const sequence = [];
+
+  for (let i = 0; i < total; i++) {
+    let best = 0;
+    weights.forEach((weight, j) => {
+      current[j] += weight;
+      if (current[j] > current[best]) best = j;
+    });
+    current[best] -= total;
+    sequence.push(entries[best].entry);
+  }
+
+  return sequence;
+}
+
+function positive(value, name) {
+  if (!(Number.isFinite(value) && value > 0)) {
+    throw new Error(`${name} must be a number greater than 0, got ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Merge a profile with DEFAULT_PROFILE and command-line overrides, validate
+ * it and expand ramps into steps.
+ *
+ * @param {object} profile - See the format above
+ * @param {object} [overrides] - { url, connections, duration, rate, cooldown };
+ *   undefined values are ignored
+ * @returns {object} { url, cooldown, description, stages: [{ name, duration,
+ *   connections, rate, requests }] }
+ */
+export function resolveProfile(profile, overrides = {}) {
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const opts = { ...DEFAULT_PROFILE, ...profile, ...defined };
+  const requests = weightedRequests(opts.requests, opts.headers);
+  const stages = opts.stages ?? [{ name: 'steady', duration: opts.duration }];
+
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error('stages must be a non-empty array');
+  }
+  if (!(Number.isFinite(opts.cooldown) && opts.cooldown >= 0)) {
+    throw new Error(`cooldown must be a number of seconds, got ${opts.cooldown}`);
+  }
+
+  const resolved = [];
+  let previous = { connections: 1, rate: 0 };
+
+  for (const [i, stage] of stages.entries()) {
+    const name = stage.name ?? `stage-${i + 1}`;
+    const duration = positive(stage.duration, `Stage "${name}" duration`);
+    const connections = Math.round(positive(stage.connections ?? opts.connections, `Stage "${name}" connections`));
+    const rate = stage.rate !== undefined ? stage.rate : opts.rate;
+    if (rate !== null) positive(rate, `Stage "${name}" rate`);
+
+    if (stage.ramp) {
+      const steps = Math.round(positive(stage.steps ?? 6, `Stage "${name}" steps`));
+      for (let step = 1; step <= steps; step++) {
+        const progress = step / steps;
+        resolved.push({
+          name,
+          duration: duration / steps,
+          connections: Math.max(1, Math.round(previous.connections + (connections - previous.connections) * progress)),
+          rate: rate === null ? null : Math.max(1, Math.round(previous.rate + (rate - previous.rate) * progress)),
+          requests
+        });
+      }
+    } else {
+      resolved.push({ name, duration, connections, rate, requests });
+    }
+
+    previous = { connections, rate: rate ?? previous.rate };
+  }
+
+  return {
+    url: opts.url,
+    cooldown: opts.cooldown,
+    description: opts.description,
+    stages: resolved
+  };
+}
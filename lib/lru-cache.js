@@ -0,0 +1,113 @@
+/**
+ * LRUCache
+ *
+ * A size-bounded least-recently-used cache built on Map's insertion order:
+ * reading or writing a key moves it to the end, and once the cache is full
+ * the first (least recently used) key is evicted.
+ *
+ * With a `ttl`, entries also expire that many milliseconds after they were
+ * set. Expired entries are dropped when they are read, or all at once with
+ * prune(); until then they still count towards `size`, and maxSize still
+ * bounds them.
+ *
+ * This is the fix for caches that grow forever, like `requestCache` in
+ * examples/leaky-server.js (see examples/leak-cache.js for how it compares
+ * with WeakMap and WeakRef caches).
+ */
+
+// The entry for key, unless it has expired (then it is dropped)
+function freshEntry(cache, key) {
+  const entry = cache.map.get(key);
+  if (entry !== undefined && entry.expiresAt <= Date.now()) {
+    cache.map.delete(key);
+    cache.expirations++;
+    return undefined;
+  }
+  return entry;
+}
+
+export class LRUCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxSize=1000] - Maximum number of entries
+   * @param {number} [options.ttl=0] - Milliseconds an entry stays fresh (0: forever)
+   */
+  constructor({ maxSize = 1000, ttl = 0 } = {}) {
+    if (!(maxSize > 0)) {
+      throw new RangeError('maxSize must be greater than 0');
+    }
+    if (!(ttl >= 0)) {
+      throw new RangeError('ttl must be 0 or more');
+    }
+
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.map = new Map();  // key -> { value, expiresAt }
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  has(key) {
+    return freshEntry(this, key) !== undefined;
+  }
+
+  get(key) {
+    const entry = freshEntry(this, key);
+    if (entry === undefined) {
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.map.delete(key);
+    this.map.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, { value, expiresAt: this.ttl > 0 ? Date.now() + this.ttl : Infinity });
+
+    while (this.map.size > this.maxSize) {
+      this.map.delete(this.map.keys().next().value);
+      this.evictions++;
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  /**
+   * Drop every expired entry. Returns how many were dropped.
+   */
+  prune(now = Date.now()) {
+    let pruned = 0;
+    for (const [key, { expiresAt }] of this.map) {
+      if (expiresAt <= now) {
+        this.map.delete(key);
+        pruned++;
+      }
+    }
+    this.expirations += pruned;
+    return pruned;
+  }
+
+  keys() {
+    return this.map.keys();
+  }
+
+  *values() {
+    for (const { value } of this.map.values()) {
+      yield value;
+    }
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * MemoryMonitor
+ *
+ * A reusable version of the leak detection pattern from examples/demo.js.
+ * It samples process.memoryUsage() on an interval, keeps a sliding window
+ * of measurements and emits events when the heap looks like it is leaking.
+ * The window is analysed with one of the strategies in trend-analysis.js.
+ *
+ * Sampling modes:
+ *   'interval' - sample every `interval` ms, whatever state the GC is in
+ *   'gc'       - sample after each major (mark-sweep-compact) GC, as soon
+ *                as perf_hooks reports it, so measurements sit at the
+ *                bottom of the sawtooth (see gc-observer.js)
+ *
+ * Events:
+ *   'sample'         (measurement)  - after every measurement
+ *   'gc'             (event)        - after every collection (GC tracking only)
+ *   'leak-suspected' (trend)        - when the window starts trending upwards
+ *   'recovered'      (trend)        - when a suspected leak stops growing
+ *   'off-heap-suspected' (report)  - when external or RSS memory grows while
+ *                                    the heap doesn't (offHeap option only)
+ *   'off-heap-recovered' (report)  - when that off-heap growth stops
+ *   'snapshot'       (info)         - after a heap snapshot was written
+ *                                     (heapSnapshots option only)
+ *   'snapshot-failed' (error)       - when writing a heap snapshot failed
+ *                                     (heapSnapshots option only)
+ *
+ * Usage:
+ *   import { MemoryMonitor } from 'node-memory-leak';
+ *
+ *   const monitor = new MemoryMonitor({ interval: 5000 });
+ *   monitor.on('leak-suspected', (trend) => console.warn(trend));
+ *   monitor.start();
+ *
+ *   // Or log every sample and event as pretty text or NDJSON
+ *   new MemoryMonitor({ reporter: new Reporter({ format: 'json' }) }).start();
+ */
+
+import { EventEmitter } from 'events';
+import { analyzeOffHeap, analyzeTrend, DEFAULT_TREND_OPTIONS } from './trend-analysis.js';
+import { GcObserver, summarizeGc } from './gc-observer.js';
+import { HeapSnapshotTrigger } from './heap-snapshot-trigger.js';
+
+const DEFAULT_OPTIONS = {
+  interval: 1000,         // Milliseconds between samples
+  windowSize: 10,         // Number of measurements kept in the window
+  minSamples: 5,          // Measurements required before analysing the trend
+  mode: 'interval',       // 'interval' or 'gc' (sample after each major GC)
+  trackGC: false,         // Record GC kind/pause stats (always on in 'gc' mode)
+  heapSnapshots: false,   // true or HeapSnapshotTrigger options to capture snapshots
+  offHeap: false,         // Also watch external/RSS for growth the heap doesn't explain
+  reporter: null,         // Reporter that logs samples and events (see reporter.js)
+  unref: true,            // Don't keep the process alive just to monitor it
+  ...DEFAULT_TREND_OPTIONS // strategy, minGrowthRate, minConfidence, ...
+};
+
+export class MemoryMonitor extends EventEmitter {
+  /**
+   * @param {object|number} [options] - Options object, or the sample interval in ms
+   */
+  constructor(options = {}) {
+    super();
+
+    if (typeof options === 'number') {
+      options = { interval: options };
+    }
+
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.interval = this.options.interval;
+    this.measurements = [];
+    this.gcEvents = [];
+    this.timerId = null;
+    this.gcObserver = null;
+    this.suspected = false;
+    this.offHeapSuspected = false;
+    this.snapshotTrigger = null;
+
+    if (!['interval', 'gc'].includes(this.options.mode)) {
+      throw new TypeError(`Unknown sampling mode: ${this.options.mode}`);
+    }
+    if (this.options.minSamples < 2) {
+      throw new RangeError('minSamples must be at least 2');
+    }
+    if (this.options.windowSize < this.options.minSamples) {
+      throw new RangeError('windowSize must be greater than or equal to minSamples');
+    }
+
+    if (this.options.heapSnapshots) {
+      const snapshotOptions = this.options.heapSnapshots === true ? {} : this.options.heapSnapshots;
+      this.snapshotTrigger = new HeapSnapshotTrigger(snapshotOptions).attach(this);
+      this.snapshotTrigger.on('snapshot', (info) => this.emit('snapshot', info));
+      this.snapshotTrigger.on('snapshot-failed', (err) => this.emit('snapshot-failed', err));
+    }
+
+    if (this.options.reporter) {
+      this.options.reporter.attach(this);
+    }
+  }
+
+  get running() {
+    return this.timerId !== null || this.gcObserver !== null;
+  }
+
+  get tracksGC() {
+    return this.options.mode === 'gc' || this.options.trackGC;
+  }
+
+  /**
+   * Start sampling. Calling start() on a running monitor is a no-op.
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+
+    if (this.tracksGC) {
+      this.gcObserver = new GcObserver();
+      this.gcObserver.on('gc', (event) => this.recordGc(event));
+      this.gcObserver.start();
+    }
+
+    if (this.options.mode === 'interval') {
+      this.timerId = setInterval(() => this.sample(), this.interval);
+      if (this.options.unref) {
+        this.timerId.unref();
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Stop sampling. Measurements are kept so the monitor can be restarted.
+   */
+  stop() {
+    if (this.timerId) {
+      clearInterval(this.timerId);
+      this.timerId = null;
+    }
+    if (this.gcObserver) {
+      this.gcObserver.stop();
+      this.gcObserver = null;
+    }
+    return this;
+  }
+
+  /**
+   * Forget all measurements and any suspected leak.
+   */
+  reset() {
+    this.measurements = [];
+    this.gcEvents = [];
+    this.suspected = false;
+    this.offHeapSuspected = false;
+    return this;
+  }
+
+  /**
+   * Take a single measurement and re-evaluate the trend.
+   *
+   * @param {object} [usage] - process.memoryUsage()-shaped values to record
+   *   instead of reading them now (used for post-GC samples)
+   */
+  sample(usage = process.memoryUsage()) {
+    const measurement = {
+      timestamp: usage.timestamp ?? Date.now(),
+      heapUsed: usage.heapUsed,
+      heapTotal: usage.heapTotal,
+      rss: usage.rss,
+      external: usage.external,
+      arrayBuffers: usage.arrayBuffers
+    };
+
+    if (usage.kind) {
+      measurement.gc = { kind: usage.kind, duration: usage.duration };
+    }
+
+    this.measurements.push(measurement);
+
+    // Keep only the last windowSize measurements
+    if (this.measurements.length > this.options.windowSize) {
+      this.measurements.shift();
+    }
+
+    // GC stats cover the same period as the measurement window
+    const windowStart = this.measurements[0].timestamp;
+    this.gcEvents = this.gcEvents.filter((event) => event.timestamp >= windowStart);
+
+    this.emit('sample', measurement);
+
+    // Check for consistent growth (potential leak)
+    if (this.measurements.length >= this.options.minSamples) {
+      this.evaluate(this.analyzeTrend());
+      if (this.options.offHeap) {
+        this.evaluateOffHeap(this.analyzeOffHeap());
+      }
+    }
+
+    return measurement;
+  }
+
+  /**
+   * Analyse the current window with the configured strategy.
+   * See lib/trend-analysis.js for the report format.
+   */
+  analyzeTrend() {
+    const trend = analyzeTrend(this.measurements, this.options);
+    if (this.tracksGC) {
+      trend.gc = this.gcStats();
+    }
+    return trend;
+  }
+
+  /**
+   * Analyse external and RSS memory in the current window, for growth that
+   * Buffers, ArrayBuffers or native code cause while heapUsed stays flat.
+   * See analyzeOffHeap() in lib/trend-analysis.js for the report format.
+   */
+  analyzeOffHeap() {
+    return analyzeOffHeap(this.measurements, this.options);
+  }
+
+  /**
+   * GC counts and pause totals (ms) for the current window.
+   */
+  gcStats() {
+    return summarizeGc(this.gcEvents);
+  }
+
+  recordGc(event) {
+    this.gcEvents.push(event);
+    this.emit('gc', event);
+
+    if (this.options.mode === 'gc' && event.kind === 'major') {
+      this.sample(event);
+    }
+  }
+
+  evaluate(trend) {
+    if (trend.isGrowing && !this.suspected) {
+      this.suspected = true;
+      this.emit('leak-suspected', trend);
+    } else if (!trend.isGrowing && this.suspected) {
+      this.suspected = false;
+      this.emit('recovered', trend);
+    }
+  }
+
+  evaluateOffHeap(report) {
+    if (report.isGrowing && !this.offHeapSuspected) {
+      this.offHeapSuspected = true;
+      this.emit('off-heap-suspected', report);
+    } else if (!report.isGrowing && this.offHeapSuspected) {
+      this.offHeapSuspected = false;
+      this.emit('off-heap-recovered', report);
+    }
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Prometheus Metrics
+ *
+ * Renders process memory, V8 heap spaces, GC and event loop delay metrics
+ * in the Prometheus text exposition format, with no dependencies. Metric
+ * names follow prom-client's default metrics, so dashboards built for
+ * production services work against the demo unchanged.
+ *
+ * Usage:
+ *   const metrics = new MetricsCollector({
+ *     metrics: () => [
+ *       { name: 'app_sessions', type: 'gauge', help: 'Active sessions', value: sessions.size }
+ *     ]
+ *   }).start();
+ *
+ *   res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+ *   res.end(metrics.render());
+ *
+ * parseMetrics() reads the format back, for clients such as the load test.
+ */
+
+import { monitorEventLoopDelay } from 'perf_hooks';
+import v8 from 'v8';
+import { GcObserver } from './gc-observer.js';
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Same buckets as prom-client's nodejs_gc_duration_seconds
+const GC_BUCKETS = [0.001, 0.01, 0.1, 1, 2, 5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels ?? {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Render one metric family.
+ *
+ * @param {object} metric - { name, type, help, value } or { name, type, help,
+ *   samples: [{ labels, value, suffix }] }
+ */
+export function formatMetric({ name, type, help, value, samples }) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const sample of samples ?? [{ value }]) {
+    lines.push(`${name}${sample.suffix ?? ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse the text exposition format into a Map of sample -> value, keyed by
+ * the sample name plus its labels exactly as written, e.g.
+ * 'nodejs_heap_size_used_bytes' or 'leaky_server_leak_enabled{leak="cache"}'.
+ */
+export function parseMetrics(text) {
+  const values = new Map();
+  for (const line of text.split('\n')) {
+    if (line === '' || line.startsWith('#')) continue;
+
+    const separator = line.lastIndexOf(' ');
+    const value = line.slice(separator + 1);
+    values.set(line.slice(0, separator),
+      value === '+Inf' ? Infinity : value === '-Inf' ? -Infinity : Number(value));
+  }
+  return values;
+}
+
+export class MetricsCollector {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.metrics] - Returns extra metric definitions on every render
+   * @param {number} [options.eventLoopResolution=10] - monitorEventLoopDelay resolution (ms)
+   */
+  constructor({ metrics = () => [], eventLoopResolution = 10 } = {}) {
+    this.extraMetrics = metrics;
+    this.eventLoopDelay = monitorEventLoopDelay({ resolution: eventLoopResolution });
+    this.gcObserver = new GcObserver();
+    this.gc = new Map(); // kind -> { count, sum, buckets }
+    this.onGc = (event) => this.recordGc(event);
+  }
+
+  start() {
+    this.eventLoopDelay.enable();
+    this.gcObserver.on('gc', this.onGc);
+    this.gcObserver.start();
+    return this;
+  }
+
+  stop() {
+    this.eventLoopDelay.disable();
+    this.gcObserver.off('gc', this.onGc);
+    this.gcObserver.stop();
+    return this;
+  }
+
+  recordGc({ kind, duration }) {
+    const seconds = duration / 1000;
+    let stats = this.gc.get(kind);
+    if (!stats) {
+      stats = { count: 0, sum: 0, buckets: GC_BUCKETS.map(() => 0) };
+      this.gc.set(kind, stats);
+    }
+
+    stats.count++;
+    stats.sum += seconds;
+    GC_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) stats.buckets[i]++;
+    });
+  }
+
+  memoryMetrics() {
+    const usage = process.memoryUsage();
+    return [
+      { name: 'process_resident_memory_bytes', type: 'gauge', help: 'Resident memory size in bytes.', value: usage.rss },
+      { name: 'nodejs_heap_size_total_bytes', type: 'gauge', help: 'Process heap size from Node.js in bytes.', value: usage.heapTotal },
+      { name: 'nodejs_heap_size_used_bytes', type: 'gauge', help: 'Process heap size used from Node.js in bytes.', value: usage.heapUsed },
+      { name: 'nodejs_external_memory_bytes', type: 'gauge', help: 'Node.js external memory size in bytes.', value: usage.external },
+      { name: 'nodejs_array_buffers_bytes', type: 'gauge', help: 'Memory allocated for ArrayBuffers and SharedArrayBuffers in bytes.', value: usage.arrayBuffers }
+    ];
+  }
+
+  heapSpaceMetrics() {
+    const spaces = v8.getHeapSpaceStatistics();
+    const family = (name, help, field) => ({
+      name,
+      type: 'gauge',
+      help,
+      samples: spaces.map((space) => ({
+        labels: { space: space.space_name.replace(/_space$/, '') },
+        value: space[field]
+      }))
+    });
+
+    return [
+      family('nodejs_heap_space_size_total_bytes', 'Process heap space size total from Node.js in bytes.', 'space_size'),
+      family('nodejs_heap_space_size_used_bytes', 'Process heap space size used from Node.js in bytes.', 'space_used_size'),
+      family('nodejs_heap_space_size_available_bytes', 'Process heap space size available from Node.js in bytes.', 'space_available_size')
+    ];
+  }
+
+  gcMetrics() {
+    const samples = [];
+    for (const [kind, stats] of this.gc) {
+      GC_BUCKETS.forEach((bound, i) => {
+        samples.push({ suffix: '_bucket', labels: { kind, le: bound }, value: stats.buckets[i] });
+      });
+      samples.push({ suffix: '_bucket', labels: { kind, le: '+Inf' }, value: stats.count });
+      samples.push({ suffix: '_sum', labels: { kind }, value: stats.sum });
+      samples.push({ suffix: '_count', labels: { kind }, value: stats.count });
+    }
+
+    return [{
+      name: 'nodejs_gc_duration_seconds',
+      type: 'histogram',
+      help: 'Garbage collection duration by kind, one of major, minor, incremental or weakcb.',
+      samples
+    }];
+  }
+
+  eventLoopMetrics() {
+    const h = this.eventLoopDelay;
+    // The histogram reports nanoseconds; it is empty until the first sample
+    const seconds = (ns) => (Number.isFinite(ns) && h.count !== 0 ? ns / 1e9 : 0);
+    const gauge = (name, help, value) => ({ name, type: 'gauge', help, value: seconds(value) });
+
+    return [
+      gauge('nodejs_eventloop_lag_min_seconds', 'The minimum recorded event loop delay.', h.min),
+      gauge('nodejs_eventloop_lag_max_seconds', 'The maximum recorded event loop delay.', h.max),
+      gauge('nodejs_eventloop_lag_mean_seconds', 'The mean of the recorded event loop delays.', h.mean),
+      gauge('nodejs_eventloop_lag_stddev_seconds', 'The standard deviation of the recorded event loop delays.', h.stddev),
+      gauge('nodejs_eventloop_lag_p50_seconds', 'The 50th percentile of the recorded event loop delays.', h.percentile(50)),
+      gauge('nodejs_eventloop_lag_p90_seconds', 'The 90th percentile of the recorded event loop delays.', h.percentile(90)),
+      gauge('nodejs_eventloop_lag_p99_seconds', 'The 99th percentile of the recorded event loop delays.', h.percentile(99))
+    ];
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format.
+   */
+  render() {
+    return [
+      ...this.memoryMetrics(),
+      ...this.heapSpaceMetrics(),
+      ...this.gcMetrics(),
+      ...this.eventLoopMetrics(),
+      ...this.extraMetrics()
+    ].map(formatMetric).join('\n') + '\n';
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Scenario Playground
+ *
+ * An interactive prompt for workshops: instead of running a fixed number of
+ * iterations and exiting, a scenario stays loaded and you drive it:
+ *
+ *   leak 10     Run the leaky code 10 more times
+ *   fix         Release what the leaky code retained (the fix)
+ *   gc          Force garbage collection and show which tracked objects survived
+ *   snapshot    Write a heap snapshot, to compare in DevTools or with diff
+ *   stats       Show memory and the scenario's counters
+ *
+ * A scenario is any module exporting three hooks:
+ *
+ *   leak(count)  Run the leaking code `count` times (may be async)
+ *   release()    Drop what it retained, the way the fixed version would
+ *   stats()      Counters to print next to memory, e.g. { arraySize: 5000 }
+ *
+ * A MemoryMonitor samples in the background, so its leak warnings show up
+ * between commands once the heap keeps climbing.
+ *
+ * Usage:
+ *   import * as scenario from './examples/leak-global.js';
+ *
+ *   await new Playground(scenario, { name: 'global' }).start();
+ */
+
+import readline from 'readline';
+import { HeapSnapshotTrigger } from './heap-snapshot-trigger.js';
+import { MemoryMonitor } from './memory-monitor.js';
+import { Reporter } from './reporter.js';
+import { reportSurvivors } from './scenario.js';
+
+export const PLAYGROUND_HOOKS = ['leak', 'release', 'stats'];
+
+export const PLAYGROUND_HELP = `Commands:
+  leak [count]   Run the leaky code count times (default 1)
+  fix            Release what was leaked, the way the fixed version does
+  gc             Force garbage collection and show which tracked objects survived
+  snapshot       Write a heap snapshot
+  stats          Show memory and the scenario's counters
+  help           Show this help
+  exit           Leave the playground (or Ctrl+D)`;
+
+/**
+ * True when a module exports every playground hook.
+ */
+export function isPlayable(scenario) {
+  return PLAYGROUND_HOOKS.every((hook) => typeof scenario?.[hook] === 'function');
+}
+
+export class Playground {
+  /**
+   * @param {object} scenario - Module (or object) with leak(), release() and stats()
+   * @param {object} [options]
+   * @param {string} [options.name] - Shown in the prompt
+   * @param {Reporter} [options.reporter] - Where output goes
+   * @param {string} [options.snapshotDirectory] - Where `snapshot` writes files
+   * @param {number|null} [options.interval] - Background monitor interval (ms), or null for none
+   */
+  constructor(scenario, { name = 'scenario', reporter = new Reporter(), snapshotDirectory = '.', interval = 1000 } = {}) {
+    if (!isPlayable(scenario)) {
+      throw new TypeError(`A playground scenario must export ${PLAYGROUND_HOOKS.join(', ')}()`);
+    }
+
+    this.scenario = scenario;
+    this.name = name;
+    this.reporter = reporter;
+    this.leaked = 0;
+    this.snapshots = new HeapSnapshotTrigger({ directory: snapshotDirectory, cooldown: 0, maxFiles: Infinity });
+    this.snapshots.on('snapshot', reporter.onSnapshot);
+    this.snapshots.on('snapshot-failed', reporter.onSnapshotFailed);
+    this.monitor = interval === null ? null : new MemoryMonitor({ interval, reporter: null });
+    this.monitor?.on('leak-suspected', reporter.onSuspected);
+    this.monitor?.on('recovered', reporter.onRecovered);
+  }
+
+  stats(label) {
+    this.reporter.memory(label, { leaked: this.leaked, ...this.scenario.stats() });
+  }
+
+  /**
+   * Run one command line. Resolves false when the playground should close.
+   */
+  async execute(line) {
+    const [command = '', ...args] = line.trim().split(/\s+/);
+    switch (command.toLowerCase()) {
+      case '':
+        return true;
+      case 'leak': {
+        const count = args.length === 0 ? 1 : Number(args[0]);
+        if (!Number.isInteger(count) || count < 1) {
+          this.reporter.log('Usage: leak [count], where count is a whole number above 0');
+          return true;
+        }
+        await this.scenario.leak(count);
+        this.leaked += count;
+        this.stats(`After leak ${count}`);
+        return true;
+      }
+      case 'fix':
+        await this.scenario.release();
+        this.stats('After fix');
+        this.reporter.log('Released. The memory is reclaimed at the next major GC: try gc.\n');
+        return true;
+      case 'gc':
+        await reportSurvivors(this.reporter);
+        this.stats('After gc');
+        return true;
+      case 'snapshot':
+        this.reporter.log('Writing a heap snapshot (this pauses the process)...');
+        this.snapshots.capture('manual');
+        return true;
+      case 'stats':
+        this.stats('Now');
+        return true;
+      case 'help':
+        this.reporter.log(PLAYGROUND_HELP);
+        return true;
+      case 'exit':
+      case 'quit':
+        return false;
+      default:
+        this.reporter.log(`Unknown command "${command}". Type help for the commands.`);
+        return true;
+    }
+  }
+
+  /**
+   * Read commands until `exit` or the end of input. Resolves when closed.
+   */
+  start({ input = process.stdin, output = process.stdout } = {}) {
+    const rl = readline.createInterface({ input, output, prompt: `${this.name}> ` });
+    let closed = false;
+    const reprompt = () => !closed && rl.prompt(true);
+    this.monitor?.on('leak-suspected', reprompt).on('recovered', reprompt).start();
+
+    this.reporter.log(`=== Memory Leak Playground: ${this.name} ===\n`);
+    this.reporter.log(PLAYGROUND_HELP);
+    this.reporter.log();
+    this.stats('Initial state');
+    rl.prompt();
+
+    return new Promise((resolve) => {
+      // One command at a time: lines typed (or piped) while one runs are queued
+      let queue = Promise.resolve();
+      let exited = false;
+      rl.on('line', (line) => {
+        queue = queue.then(async () => {
+          if (exited) {
+            return;
+          }
+          try {
+            exited = !(await this.execute(line));
+          } catch (err) {
+            this.reporter.log(`${line.trim()} failed: ${err.message}`);
+          }
+          if (closed) {
+            return;
+          }
+          if (exited) {
+            rl.close();
+          } else {
+            rl.prompt();
+          }
+        });
+      });
+      rl.on('close', () => {
+        closed = true;
+        queue.then(() => {
+          this.monitor?.stop().off('leak-suspected', reprompt).off('recovered', reprompt);
+          resolve();
+        });
+      });
+    });
+  }
+}
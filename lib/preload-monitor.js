@@ -0,0 +1,214 @@
+/**
+ * Preload Monitor
+ *
+ * The MemoryMonitor pattern from examples/demo.js section 5, started inside
+ * a process that doesn't know about it. lib/register.js runs it when loaded
+ * with `node --import node-memory-leak/register app.js`, configured from
+ * environment variables:
+ *
+ *   MEMORY_LEAK_INTERVAL      Milliseconds between samples (default: 1000)
+ *   MEMORY_LEAK_STRATEGY      Trend strategy: linear, floor or ewma (default: linear)
+ *   MEMORY_LEAK_OUTPUT        Where samples and warnings go:
+ *                               ipc     process.send() to the parent process
+ *                               <file>  NDJSON records appended to the file,
+ *                                       the same records as --format json
+ *                             Default: leak warnings only, on stderr. Never ipc
+ *                             unless asked: a cluster primary or process manager
+ *                             doesn't expect these messages
+ *   MEMORY_LEAK_SNAPSHOTS     Comma-separated heap snapshot triggers:
+ *                               suspected  on leak suspicion and further growth
+ *                               signal     on SIGUSR2 (kill -USR2 <pid>)
+ *   MEMORY_LEAK_SNAPSHOT_DIR  Where snapshots are written (default: .)
+ *   MEMORY_LEAK_HANDLES       Track handles and listeners (lib/handle-tracker.js)
+ *                             and report handles alive for longer than this
+ *                             many ms (default: off)
+ *   MEMORY_LEAK_PROMISES      Track promises (lib/promise-tracker.js) and
+ *                             report the ones pending for longer than this
+ *                             many ms (default: off)
+ *
+ * Over IPC, every sample and event is sent as
+ * { type: MONITOR_MESSAGE, event, data }, and samples carry cumulative GC
+ * totals as `gc: { [kind]: { count, pause } }` (pause in ms), the shape
+ * lib/html-report.js charts.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { Writable } from 'stream';
+import { HandleTracker } from './handle-tracker.js';
+import { HeapSnapshotTrigger } from './heap-snapshot-trigger.js';
+import { MemoryMonitor } from './memory-monitor.js';
+import { PromiseTracker } from './promise-tracker.js';
+import { Reporter } from './reporter.js';
+import { strategies } from './trend-analysis.js';
+
+export const MONITOR_MESSAGE = 'memory-leak-monitor';
+
+const SNAPSHOT_TRIGGERS = ['suspected', 'signal'];
+const WARNINGS = [
+  'leak-suspected', 'recovered', 'off-heap-suspected', 'off-heap-recovered',
+  'snapshot', 'snapshot-failed', 'lingering-handles', 'listener-growth', 'pending-promises'
+];
+const EVENTS = ['sample', ...WARNINGS];
+
+/**
+ * Read the MEMORY_LEAK_* variables. Throws on invalid values.
+ *
+ * @param {object} [env] - Defaults to process.env
+ * @returns {{ interval, strategy, output, snapshots, snapshotDir, handles, promises }}
+ */
+export function readPreloadConfig(env = process.env) {
+  const interval = Number(env.MEMORY_LEAK_INTERVAL ?? 1000);
+  if (!(interval > 0)) {
+    throw new RangeError(`MEMORY_LEAK_INTERVAL must be a positive number, got "${env.MEMORY_LEAK_INTERVAL}"`);
+  }
+
+  const strategy = env.MEMORY_LEAK_STRATEGY ?? 'linear';
+  if (!(strategy in strategies)) {
+    throw new TypeError(`Unknown MEMORY_LEAK_STRATEGY "${strategy}". Use one of: ${Object.keys(strategies).join(', ')}`);
+  }
+
+  const snapshots = (env.MEMORY_LEAK_SNAPSHOTS ?? '').split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = snapshots.find((name) => !SNAPSHOT_TRIGGERS.includes(name));
+  if (unknown) {
+    throw new TypeError(`Unknown MEMORY_LEAK_SNAPSHOTS trigger "${unknown}". Use: ${SNAPSHOT_TRIGGERS.join(', ')}`);
+  }
+
+  const handles = readAge(env, 'MEMORY_LEAK_HANDLES');
+  const promises = readAge(env, 'MEMORY_LEAK_PROMISES');
+
+  return {
+    interval,
+    strategy,
+    output: env.MEMORY_LEAK_OUTPUT || null,
+    snapshots,
+    snapshotDir: env.MEMORY_LEAK_SNAPSHOT_DIR || '.',
+    handles,
+    promises
+  };
+}
+
+function readAge(env, name) {
+  const age = env[name] ? Number(env[name]) : null;
+  if (age !== null && !(age >= 0)) {
+    throw new RangeError(`${name} must be an age in ms, got "${env[name]}"`);
+  }
+  return age;
+}
+
+// Synchronous, so the last records are on disk even if the process exits right after
+function fileStream(file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const fd = fs.openSync(file, 'a');
+  return new Writable({
+    write(chunk, encoding, callback) {
+      fs.writeSync(fd, chunk);
+      callback();
+    }
+  });
+}
+
+// Connect the relay to where the config says samples and warnings go
+function connectOutput(relay, output) {
+  if (output === 'ipc') {
+    for (const event of EVENTS) {
+      relay.on(event, (data) => {
+        if (process.connected) {
+          // Errors don't survive the JSON serialization of the channel
+          const message = data instanceof Error ? { message: data.message } : data;
+          process.send({ type: MONITOR_MESSAGE, event, data: message });
+        }
+      });
+    }
+    return;
+  }
+
+  const source = path.basename(process.argv[1] ?? 'node');
+  if (output) {
+    new Reporter({ format: 'json', source, stream: fileStream(output) }).attach(relay);
+    return;
+  }
+
+  // Nowhere to send samples: only say something when there is something to say
+  const warnings = new EventEmitter();
+  for (const event of WARNINGS) {
+    relay.on(event, (data) => warnings.emit(event, data));
+  }
+  new Reporter({ source, timestamps: true, stream: process.stderr }).attach(warnings);
+}
+
+/**
+ * Start monitoring the current process.
+ *
+ * @param {object} config - From readPreloadConfig()
+ * @returns {{ monitor: MemoryMonitor, stop: Function }}
+ */
+export function startPreloadMonitor(config) {
+  const monitor = new MemoryMonitor({ interval: config.interval, strategy: config.strategy, trackGC: true, offHeap: true });
+  const relay = new EventEmitter();
+  const gc = {};
+  const cleanup = [];
+
+  connectOutput(relay, config.output);
+
+  monitor.on('gc', ({ kind, duration }) => {
+    const totals = gc[kind] ??= { count: 0, pause: 0 };
+    totals.count++;
+    totals.pause += duration;
+  });
+  monitor.on('sample', (measurement) => relay.emit('sample', { ...measurement, gc: structuredClone(gc) }));
+  monitor.on('leak-suspected', (trend) => relay.emit('leak-suspected', trend));
+  monitor.on('recovered', (trend) => relay.emit('recovered', trend));
+  monitor.on('off-heap-suspected', (report) => relay.emit('off-heap-suspected', report));
+  monitor.on('off-heap-recovered', (report) => relay.emit('off-heap-recovered', report));
+
+  // Separate triggers, so an explicit SIGUSR2 is never refused by the suspicion cooldown
+  const createTrigger = (options) => {
+    const trigger = new HeapSnapshotTrigger({ directory: config.snapshotDir, ...options });
+    trigger.on('snapshot', (info) => relay.emit('snapshot', info));
+    trigger.on('snapshot-failed', (err) => relay.emit('snapshot-failed', err));
+    return trigger;
+  };
+
+  if (config.snapshots.includes('suspected')) {
+    const trigger = createTrigger().attach(monitor);
+    cleanup.push(() => trigger.detach());
+  }
+  if (config.snapshots.includes('signal')) {
+    const trigger = createTrigger({ cooldown: 0 });
+    const onSignal = () => {
+      // A failed write reports its own error through the trigger
+      if (trigger.files.length >= trigger.options.maxFiles) {
+        relay.emit('snapshot-failed', new Error(`Snapshot limit of ${trigger.options.maxFiles} files reached`));
+        return;
+      }
+      trigger.capture('signal');
+    };
+    process.on('SIGUSR2', onSignal);
+    cleanup.push(() => process.off('SIGUSR2', onSignal));
+  }
+
+  monitor.start();
+
+  // Started after the monitor, so its sampling interval isn't reported as lingering
+  if (config.handles !== null) {
+    const tracker = new HandleTracker({ maxAge: config.handles, interval: config.interval }).start();
+    tracker.on('lingering-handles', (report) => relay.emit('lingering-handles', report));
+    tracker.on('listener-growth', (growth) => relay.emit('listener-growth', growth));
+    cleanup.push(() => tracker.stop());
+  }
+  if (config.promises !== null) {
+    const tracker = new PromiseTracker({ maxAge: config.promises, interval: config.interval }).start();
+    tracker.on('pending-promises', (report) => relay.emit('pending-promises', report));
+    cleanup.push(() => tracker.stop());
+  }
+
+  return {
+    monitor,
+    stop() {
+      monitor.stop();
+      cleanup.forEach((fn) => fn());
+    }
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * PromiseTracker
+ *
+ * Finds promises that never settle. A pending promise keeps its reactions
+ * alive, and with them every closure and suspended async function waiting on
+ * it: a lost reply or a forgotten resolve() leaks everything behind an await.
+ *
+ * An async_hooks hook sees every PROMISE resource: `init` records where the
+ * promise was created, and `promiseResolve` (settled) or `destroy` (garbage
+ * collected) forgets it again. Promises still pending after `maxAge` are
+ * reported, grouped by creation stack, so 200 requests waiting on replies
+ * that never come show up as one line pointing at the code that waits.
+ *
+ * Only promises created from your own functions are tracked: not the ones
+ * chained onto a tracked promise, which settle with it, nor a module's
+ * top-level await on main(), pending by design. Each one costs a
+ * stack trace, and promise hooks slow every promise down, so this is a
+ * diagnostic to run while reproducing a leak, not in production.
+ *
+ * Events:
+ *   'pending-promises' ({ maxAge, total, groups: [{ count, age, stack }] })
+ */
+
+import { createHook } from 'async_hooks';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { captureStack } from './handle-tracker.js';
+
+export const DEFAULT_PROMISE_OPTIONS = {
+  maxAge: 10 * 1000,   // Report promises pending for longer than this (ms)
+  interval: 1000,      // Milliseconds between checks once started
+  stackDepth: 5        // Frames kept per creation stack
+};
+
+const SELF = fileURLToPath(import.meta.url);
+// "new Promise (<anonymous>)", "Promise.then (<anonymous>)": the user code is the next frame
+const PROMISE_FRAME = /^(new Promise|Promise\.\w+) \(<anonymous>\)$/;
+// "load (app.js:12:7)": a function of yours, not module code ("app.js:12:7") or builtins
+const USER_FRAME = /\(\S+:\d+:\d+\)$/;
+
+export class PromiseTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_PROMISE_OPTIONS, ...options };
+    this.promises = new Map();   // asyncId -> { created, stack }, or null when chained
+    this.reported = new Map();   // Group key -> count last reported
+    this.timer = null;
+
+    this.hook = createHook({
+      init: (asyncId, type, triggerAsyncId) => {
+        if (type !== 'PROMISE') {
+          return;
+        }
+        // Promises chained onto a tracked one (then(), await) settle with it:
+        // remembered without a stack, so their own chains are skipped too
+        if (this.promises.has(triggerAsyncId)) {
+          this.promises.set(asyncId, null);
+          return;
+        }
+        const { stack } = captureStack(this.options.stackDepth + 1, SELF);
+        if (PROMISE_FRAME.test(stack[0])) {
+          stack.shift();
+        }
+        stack.splice(this.options.stackDepth);
+        if (stack.some((frame) => USER_FRAME.test(frame))) {
+          this.promises.set(asyncId, { created: Date.now(), stack });
+        }
+      },
+      promiseResolve: (asyncId) => {
+        this.promises.delete(asyncId);
+      },
+      destroy: (asyncId) => {
+        this.promises.delete(asyncId);
+      }
+    });
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Start tracking promises created from now on, checking every `interval` ms.
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    this.timer = setInterval(() => this.check(), this.options.interval).unref();
+    this.hook.enable();
+    return this;
+  }
+
+  /**
+   * Stop tracking and forget every promise seen so far: with the hook
+   * disabled, none of them would ever be removed as it settles.
+   */
+  stop() {
+    if (this.running) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.hook.disable();
+    }
+    this.promises.clear();
+    this.reported.clear();
+    return this;
+  }
+
+  /**
+   * Tracked promises pending for longer than `maxAge`, grouped by creation
+   * stack, most numerous first. `key` identifies the group between calls.
+   */
+  pending(maxAge = this.options.maxAge) {
+    const now = Date.now();
+    const groups = new Map();
+    for (const promise of this.promises.values()) {
+      const age = promise && now - promise.created;
+      if (!promise || age < maxAge) {
+        continue;
+      }
+      const key = promise.stack.join('\n');
+      const group = groups.get(key) ?? { key, count: 0, age: 0, stack: promise.stack };
+      group.count++;
+      group.age = Math.max(group.age, age);
+      groups.set(key, group);
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Emit the groups of long-pending promises that grew since the last check.
+   */
+  check() {
+    const groups = this.pending();
+    const grown = groups.filter(({ key, count }) => count > (this.reported.get(key) ?? 0));
+    if (grown.length > 0) {
+      grown.forEach(({ key, count }) => this.reported.set(key, count));
+      this.emit('pending-promises', {
+        maxAge: this.options.maxAge,
+        total: groups.reduce((total, { count }) => total + count, 0),
+        groups: grown.map(({ key, ...group }) => group)
+      });
+    }
+  }
+}
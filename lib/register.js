@@ -0,0 +1,30 @@
+/**
+ * Monitor Preload
+ *
+ * Starts a memory monitor in any process, without changing its code:
+ *
+ *   node --import node-memory-leak/register app.js
+ *
+ * `node-memory-leak monitor` loads it the same way. Configured with the
+ * MEMORY_LEAK_* environment variables documented in preload-monitor.js,
+ * e.g. to log samples to a file and snapshot the heap on SIGUSR2:
+ *
+ *   MEMORY_LEAK_OUTPUT=memory.ndjson MEMORY_LEAK_SNAPSHOTS=signal \
+ *     node --import node-memory-leak/register app.js
+ *
+ * A bad configuration is reported on stderr and leaves the process running
+ * unmonitored rather than stopping it from starting.
+ */
+
+import { readPreloadConfig, startPreloadMonitor } from './preload-monitor.js';
+
+let config = null;
+try {
+  config = readPreloadConfig();
+} catch (err) {
+  console.error(`node-memory-leak/register: ${err.message}, not monitoring`);
+}
+
+if (config) {
+  startPreloadMonitor(config);
+}
@@ -0,0 +1,231 @@
+/**
+ * Reporter
+ *
+ * One place for the memory readings every script prints, in two formats:
+ *
+ *   --format=pretty  Human-readable blocks on stdout (default)
+ *   --format=json    Newline-delimited JSON records on stdout, one per
+ *                    reading or event, for log pipelines and jq. Prose
+ *                    goes to stderr, so stdout stays machine-readable.
+ *
+ * Records:
+ *   { timestamp, type: 'memory', source, label, rss, heapTotal, heapUsed,
+ *     external, arrayBuffers, counters }       - raw byte counts
+ *   { timestamp, type: 'event', source, label, ...data }
+ *
+ * `timestamp` is an ISO 8601 string. `counters` holds the scenario's own
+ * numbers (array sizes, listeners, sessions...).
+ *
+ * Usage:
+ *   const reporter = new Reporter({ format: getFormat(), source: 'my-service' });
+ *   reporter.memory('After warmup', { sessions: sessions.size });
+ *   new MemoryMonitor({ reporter });  // Logs samples and leak events
+ *
+ *   node examples/leak-global.js --format=json | jq 'select(.type == "memory") | .heapUsed'
+ */
+
+import { Console } from 'console';
+import { parseArgs } from 'util';
+
+export const FORMATS = ['pretty', 'json'];
+
+const MEMORY_FIELDS = ['rss', 'heapTotal', 'heapUsed', 'external', 'arrayBuffers'];
+
+const toMB = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+// 'activeSessions' -> 'Active Sessions'
+function humanize(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/^./, (first) => first.toUpperCase());
+}
+
+/**
+ * Read --format (or the LOG_FORMAT env var) from the command line.
+ * Unknown formats print an error and exit with code 2, like getMode().
+ */
+export function getFormat(args = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args,
+    strict: false,
+    options: {
+      format: { type: 'string', default: process.env.LOG_FORMAT ?? 'pretty' }
+    }
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    console.error(`Unknown format "${values.format}". Use one of: ${FORMATS.join(', ')}`);
+    process.exit(2);
+  }
+  return values.format;
+}
+
+export class Reporter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.format] - 'pretty' or 'json'
+   * @param {string} [options.source] - Script or service name added to every record
+   * @param {boolean} [options.timestamps] - Prefix pretty labels with the time
+   * @param {object} [options.stream] - Where readings and events go (default stdout)
+   * @param {object} [options.logStream] - Where prose goes in json format (default stderr)
+   */
+  constructor({ format = 'pretty', source, timestamps = false, stream = process.stdout,
+                logStream = process.stderr } = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new TypeError(`Unknown format: ${format}`);
+    }
+
+    this.format = format;
+    this.source = source;
+    this.timestamps = timestamps;
+    // Formats log() arguments the same way console.log does
+    this.console = new Console({ stdout: stream, stderr: logStream });
+    this.monitor = null;
+
+    this.onSample = (measurement) => this.memory('sample', {}, measurement);
+    this.onGc = ({ kind, duration }) => {
+      this.event('gc', { kind, duration }, `GC (${kind}): ${duration.toFixed(2)} ms`);
+    };
+    this.onSuspected = (trend) => {
+      const oom = trend.timeToOOM === null ? '' : `, OOM in ~${Math.round(trend.timeToOOM / 60)} min`;
+      this.event('leak-suspected', trend,
+        `⚠️  Potential leak detected! Heap growing: ${Math.round(trend.bytesPerSecond / 1024)} KB/sec ` +
+        `(confidence ${trend.confidence.toFixed(2)}${oom})`);
+    };
+    this.onRecovered = (trend) => this.event('recovered', trend, '✓ Heap growth has stopped');
+    this.onSnapshot = ({ path, reason }) => {
+      this.event('snapshot', { path, reason }, `Heap snapshot written (${reason}): ${path}`);
+    };
+    this.onSnapshotFailed = (err) => {
+      this.event('snapshot-failed', { error: err.message }, `Heap snapshot failed: ${err.message}`);
+    };
+    this.onLingering = (report) => {
+      const lines = report.groups.map(({ type, api, count, stack }) =>
+        `⚠️  ${count} ${type}${api ? ` (${api})` : ''} handle${count === 1 ? '' : 's'} ` +
+        `alive for over ${report.maxAge / 1000}s, created at:\n${stack.map((frame) => `      ${frame}`).join('\n')}`);
+      this.event('lingering-handles', report, lines.join('\n'));
+    };
+    this.onListenerGrowth = (growth) => {
+      this.event('listener-growth', growth,
+        `⚠️  ${growth.emitter} '${growth.event}' listeners keep climbing (${growth.history.join(' → ')}), added at:\n` +
+        growth.stack.map((frame) => `      ${frame}`).join('\n'));
+    };
+    this.onPendingPromises = (report) => {
+      const lines = report.groups.map(({ count, stack }) =>
+        `⚠️  ${count} promise${count === 1 ? '' : 's'} pending for over ${report.maxAge / 1000}s, created at:\n` +
+        stack.map((frame) => `      ${frame}`).join('\n'));
+      this.event('pending-promises', report, lines.join('\n'));
+    };
+    this.onOffHeapSuspected = (report) => {
+      const name = report.metric === 'rss' ? 'RSS' : 'External memory';
+      this.event('off-heap-suspected', report,
+        `⚠️  ${name} growing outside the JS heap: ${Math.round(report.bytesPerSecond / 1024)} KB/sec ` +
+        `while the heap grows ${Math.round(Math.max(0, report.heap.bytesPerSecond) / 1024)} KB/sec ` +
+        '(Buffers, ArrayBuffers, streams or native memory)');
+    };
+    this.onOffHeapRecovered = (report) => this.event('off-heap-recovered', report, '✓ Off-heap growth has stopped');
+  }
+
+  get json() {
+    return this.format === 'json';
+  }
+
+  write(record) {
+    this.console.log(JSON.stringify({ timestamp: new Date().toISOString(), source: this.source, ...record }));
+  }
+
+  label(text) {
+    return this.timestamps ? `[${new Date().toISOString()}] ${text}` : text;
+  }
+
+  /**
+   * Report a memory reading.
+   *
+   * @param {string} label - What the reading is of, e.g. 'After 10 closures'
+   * @param {object} [counters] - Scenario counters, e.g. { closures: 10 }
+   * @param {object} [usage] - process.memoryUsage()-shaped values
+   */
+  memory(label, counters = {}, usage = process.memoryUsage()) {
+    if (this.json) {
+      const bytes = Object.fromEntries(MEMORY_FIELDS.map((field) => [field, usage[field]]));
+      this.write({ type: 'memory', label, ...bytes, counters });
+      return;
+    }
+
+    const lines = [
+      `${this.label(label)}:`,
+      `  Heap Used: ${toMB(usage.heapUsed)} | Heap Total: ${toMB(usage.heapTotal)} | ` +
+      `RSS: ${toMB(usage.rss)} | External: ${toMB(usage.external)}`
+    ];
+    const entries = Object.entries(counters);
+    if (entries.length > 0) {
+      lines.push(`  ${entries.map(([key, value]) => `${humanize(key)}: ${value}`).join(' | ')}`);
+    }
+    this.console.log(`${lines.join('\n')}\n`);
+  }
+
+  /**
+   * Report something that happened.
+   *
+   * @param {string} label - Event name, e.g. 'leak-suspected'
+   * @param {object} [data] - Fields added to the JSON record
+   * @param {string|null} [message] - Pretty text (default: the label); null prints nothing
+   */
+  event(label, data = {}, message = label) {
+    if (this.json) {
+      this.write({ type: 'event', label, ...data });
+    } else if (message !== null) {
+      this.console.log(this.label(message));
+    }
+  }
+
+  /**
+   * Print prose: stdout in pretty format, stderr in json format.
+   */
+  log(...args) {
+    if (this.json) {
+      this.console.error(...args);
+    } else {
+      this.console.log(...args);
+    }
+  }
+
+  /**
+   * Report a MemoryMonitor's samples, GC events, leak episodes and snapshots,
+   * and a HandleTracker's findings.
+   */
+  attach(monitor) {
+    this.detach();
+    this.monitor = monitor;
+    monitor.on('sample', this.onSample);
+    monitor.on('gc', this.onGc);
+    monitor.on('leak-suspected', this.onSuspected);
+    monitor.on('recovered', this.onRecovered);
+    monitor.on('snapshot', this.onSnapshot);
+    monitor.on('snapshot-failed', this.onSnapshotFailed);
+    monitor.on('lingering-handles', this.onLingering);
+    monitor.on('listener-growth', this.onListenerGrowth);
+    monitor.on('pending-promises', this.onPendingPromises);
+    monitor.on('off-heap-suspected', this.onOffHeapSuspected);
+    monitor.on('off-heap-recovered', this.onOffHeapRecovered);
+    return this;
+  }
+
+  detach() {
+    if (this.monitor) {
+      this.monitor.off('sample', this.onSample);
+      this.monitor.off('gc', this.onGc);
+      this.monitor.off('leak-suspected', this.onSuspected);
+      this.monitor.off('recovered', this.onRecovered);
+      this.monitor.off('snapshot', this.onSnapshot);
+      this.monitor.off('snapshot-failed', this.onSnapshotFailed);
+      this.monitor.off('lingering-handles', this.onLingering);
+      this.monitor.off('listener-growth', this.onListenerGrowth);
+      this.monitor.off('pending-promises', this.onPendingPromises);
+      this.monitor.off('off-heap-suspected', this.onOffHeapSuspected);
+      this.monitor.off('off-heap-recovered', this.onOffHeapRecovered);
+      this.monitor = null;
+    }
+    return this;
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Scenario Helpers
+ *
+ * Shared plumbing for the leak examples, which can all run in three modes:
+ *
+ *   --mode=leaky    Run the leaking implementation (default)
+ *   --mode=fixed    Run the fixed implementation
+ *   --mode=compare  Run both in isolated child processes with --expose-gc
+ *                   and report how much heap each one retains after GC
+ *
+ * Scenarios with more than one fix add modes of their own (leak-cache.js
+ * has weakmap and weakref), which compare runs too.
+ *
+ * Each child reports its result back over the IPC channel, so the parent
+ * gets measured numbers instead of having to parse console output.
+ */
+
+import { fork } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { lifetimes } from './lifetime-tracker.js';
+import { Reporter } from './reporter.js';
+
+export const MODES = ['leaky', 'fixed', 'compare'];
+
+/**
+ * True when the module with the given import.meta.url is the script that
+ * was started with `node <file>` (rather than imported).
+ */
+export function isMain(url) {
+  return Boolean(process.argv[1]) && fileURLToPath(url) === path.resolve(process.argv[1]);
+}
+
+/**
+ * Read --mode from the arguments. Scenarios with more than one fix pass
+ * their own list of modes (the first is the default).
+ */
+export function getMode(args = process.argv.slice(2), modes = MODES) {
+  const { values } = parseArgs({
+    args,
+    strict: false,
+    options: {
+      mode: { type: 'string', default: modes[0] }
+    }
+  });
+
+  if (!modes.includes(values.mode)) {
+    console.error(`Unknown mode "${values.mode}". Use one of: ${modes.join(', ')}`);
+    process.exit(2);
+  }
+  return values.mode;
+}
+
+/**
+ * Force a full collection (when --expose-gc is available) and read memory.
+ * Two passes give weak callbacks and finalizers a chance to release more.
+ */
+export function measureHeap() {
+  if (global.gc) {
+    global.gc();
+    global.gc();
+  }
+  return process.memoryUsage();
+}
+
+/**
+ * Force GCs and report which objects the scenario passed to track() are
+ * still alive (see lifetime-tracker.js): the proof of what leaked, rather
+ * than an inference from heap size. Needs --expose-gc; returns the survivors.
+ */
+export async function reportSurvivors(reporter, tracker = lifetimes) {
+  if (!global.gc) {
+    reporter.log('Run with --expose-gc to see which objects survive garbage collection.\n');
+    return [];
+  }
+
+  const survivors = await tracker.collect();
+  const { minGcs } = tracker.options;
+  const lines = Object.entries(tracker.stats()).map(([label, { tracked }]) => {
+    const alive = survivors.find((survivor) => survivor.label === label)?.count ?? 0;
+    return alive === 0 ? `  ${label}: all ${tracked} collected` : `  ${label}: ${alive} of ${tracked} still alive`;
+  });
+  reporter.event('survivors', { gcs: minGcs, survivors },
+    `Tracked objects after ${minGcs} forced GCs:\n${lines.join('\n')}\n`);
+  return survivors;
+}
+
+/**
+ * Send a scenario result to the parent process when running under
+ * compareModes(). Resolves once the message has been delivered.
+ */
+export function reportResult(result) {
+  return new Promise((resolve) => {
+    if (process.send && process.connected) {
+      process.send({ type: 'scenario-result', result }, () => resolve());
+    } else {
+      resolve();
+    }
+  });
+}
+
+function runChild(file, mode) {
+  return new Promise((resolve, reject) => {
+    const child = fork(file, [`--mode=${mode}`], {
+      execArgv: ['--expose-gc'],
+      stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+    });
+    let result = null;
+
+    child.on('message', (message) => {
+      if (message?.type === 'scenario-result') {
+        result = message.result;
+      }
+    });
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      if (result) {
+        resolve(result);
+      } else {
+        reject(new Error(`${mode} run exited with code ${code} without reporting a result`));
+      }
+    });
+  });
+}
+
+const toMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Run the leaky and fixed versions of a scenario side by side and print the
+ * heap each one retained after forced GC.
+ *
+ * Scenarios report { heapBefore, heapAfter, survivors, ... } through
+ * reportResult(). Off-heap scenarios also report { externalBefore,
+ * externalAfter }, which adds an External Retained column, and caches
+ * report { hitRate }, which adds a Hit Rate column.
+ * With a json Reporter, each mode's result is written as a 'scenario-result'
+ * record instead of the table.
+ *
+ * @param {string} url - import.meta.url of the scenario script
+ * @param {string} title - Heading to print
+ * @param {Reporter} [reporter] - Where to print (see reporter.js)
+ * @param {string[]} [modes] - Modes to run, including 'leaky' and 'fixed'
+ */
+export async function compareModes(url, title, reporter = new Reporter(), modes = ['leaky', 'fixed']) {
+  const file = fileURLToPath(url);
+
+  reporter.log(`=== ${title}: ${modes.join(' vs ')} ===\n`);
+  reporter.log('Running each mode in its own process with --expose-gc...\n');
+
+  const results = {};
+  for (const mode of modes) {
+    results[mode] = await runChild(file, mode);
+  }
+
+  const external = (result) => result.externalAfter === undefined ? 0 : result.externalAfter - result.externalBefore;
+  if (reporter.json) {
+    for (const [mode, result] of Object.entries(results)) {
+      const record = { ...result, mode, retained: result.heapAfter - result.heapBefore };
+      if (result.externalAfter !== undefined) {
+        record.externalRetained = external(result);
+      }
+      reporter.event('scenario-result', record);
+    }
+    return results;
+  }
+
+  const offHeap = results.leaky.externalAfter !== undefined;
+  const hitRates = results.leaky.hitRate !== undefined;
+  const width = Math.max(6, ...modes.map((mode) => mode.length));
+  reporter.log(`${'Mode'.padEnd(width)}  Heap Before   Heap After    Retained      ` +
+               `${offHeap ? 'External Retained  ' : ''}${hitRates ? 'Hit Rate  ' : ''}Still Alive`);
+  reporter.log(`${'─'.repeat(width)}  ────────────  ────────────  ────────────  ` +
+               `${offHeap ? '─────────────────  ' : ''}${hitRates ? '────────  ' : ''}────────────`);
+  for (const [mode, result] of Object.entries(results)) {
+    const { heapBefore, heapAfter, survivors = [] } = result;
+    const alive = survivors.map(({ label, count }) => `${count} ${label}`).join(', ') || 'none';
+    reporter.log(`${mode.padEnd(width)}  ${toMB(heapBefore).padStart(12)}  ` +
+                 `${toMB(heapAfter).padStart(12)}  ${toMB(heapAfter - heapBefore).padStart(12)}  ` +
+                 `${offHeap ? `${toMB(external(result)).padStart(17)}  ` : ''}` +
+                 `${hitRates ? `${(result.hitRate * 100).toFixed(1).padStart(7)}%  ` : ''}${alive}`);
+  }
+
+  const leaked = results.leaky.heapAfter - results.leaky.heapBefore + external(results.leaky);
+  const fixed = results.fixed.heapAfter - results.fixed.heapBefore + external(results.fixed);
+  reporter.log();
+  reporter.log(`The fix releases ${toMB(leaked - fixed)} that the leaky version keeps alive` +
+               `${offHeap ? ', on and off the heap' : ''}.`);
+
+  return results;
+}
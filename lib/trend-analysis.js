@@ -0,0 +1,214 @@
+/**
+ * Heap Trend Analysis
+ *
+ * Strategies that decide whether a series of heap measurements is leaking.
+ * Comparing the first and last sample is fooled by the normal GC "sawtooth"
+ * (allocate, collect, allocate, collect) and misses slow leaks, so each
+ * strategy here looks at the whole window instead:
+ *
+ *   linear - least-squares slope of heapUsed over time, R² as confidence
+ *   floor  - slope of the sawtooth's minimums (the heap left after GC)
+ *   ewma   - exponentially weighted moving average of the growth rate
+ *
+ * They analyse heapUsed unless the `metric` option names another field,
+ * e.g. 'external' or 'rss' (see analyzeOffHeap()).
+ *
+ * Every strategy returns the same report shape:
+ *   {
+ *     strategy,         // Name of the strategy
+ *     metric,           // The field analysed ('heapUsed' by default)
+ *     bytesPerSecond,   // Estimated heap growth
+ *     confidence,       // 0..1, how consistent the growth is
+ *     timeToOOM,        // Seconds until heap_size_limit, or null if not growing
+ *                       // (always null for metrics other than heapUsed)
+ *     heapUsed,         // Latest heapUsed value
+ *     heapLimit,        // v8 heap_size_limit used for timeToOOM
+ *     isGrowing         // bytesPerSecond and confidence exceed the thresholds
+ *   }
+ */
+
+import v8 from 'v8';
+
+export const DEFAULT_TREND_OPTIONS = {
+  strategy: 'linear',     // 'linear', 'floor', 'ewma' or a custom function
+  minGrowthRate: 1024,    // Bytes per second below which growth is ignored
+  minConfidence: 0.8,     // Confidence required before reporting a leak
+  segments: 3,            // 'floor': number of buckets to take minimums from
+  alpha: 0.3,             // 'ewma': smoothing factor (higher = more reactive)
+  heapLimit: null,        // Defaults to v8.getHeapStatistics().heap_size_limit
+  metric: 'heapUsed',     // Measurement field to analyse
+  maxHeapShare: 0.1       // analyzeOffHeap(): share of the growth the heap may explain
+};
+
+// Fields analyzeOffHeap() checks for growth the heap doesn't explain, most specific first
+export const OFF_HEAP_METRICS = ['external', 'rss'];
+
+// Least-squares fit of y = intercept + slope * x
+export function leastSquares(points) {
+  const n = points.length;
+  let sumX = 0;
+  let sumY = 0;
+
+  for (const { x, y } of points) {
+    sumX += x;
+    sumY += y;
+  }
+
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (const { x, y } of points) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+
+  const slope = varianceX === 0 ? 0 : covariance / varianceX;
+  // A perfectly flat series is perfectly explained by a flat line
+  const r2 = varianceY === 0 ? 1 : (covariance * covariance) / (varianceX * varianceY);
+
+  return { slope, intercept: meanY - slope * meanX, r2 };
+}
+
+// Convert measurements into { x: seconds since first sample, y: the metric }
+function toPoints(samples, field = 'heapUsed') {
+  const start = samples[0].timestamp;
+  return samples.map((sample) => ({
+    x: (sample.timestamp - start) / 1000,
+    y: sample[field]
+  }));
+}
+
+export function linear(samples, { metric } = {}) {
+  const { slope, r2 } = leastSquares(toPoints(samples, metric));
+
+  return {
+    bytesPerSecond: slope,
+    confidence: slope > 0 ? r2 : 0
+  };
+}
+
+export function floor(samples, options) {
+  const { metric = 'heapUsed' } = options;
+  const segments = Math.max(2, Math.min(options.segments, Math.floor(samples.length / 2)));
+  const size = samples.length / segments;
+  const minimums = [];
+
+  // The lowest point of each bucket approximates the heap left after a GC
+  for (let i = 0; i < segments; i++) {
+    const bucket = samples.slice(Math.round(i * size), Math.round((i + 1) * size));
+    minimums.push(bucket.reduce((min, sample) => (sample[metric] < min[metric] ? sample : min)));
+  }
+
+  const { slope, r2 } = leastSquares(toPoints(minimums, metric));
+
+  return {
+    bytesPerSecond: slope,
+    confidence: slope > 0 ? r2 : 0,
+    floors: minimums.map((sample) => sample[metric])
+  };
+}
+
+export function ewma(samples, options) {
+  const { alpha, metric = 'heapUsed' } = options;
+  let rate = null;
+  let magnitude = null;
+
+  for (let i = 1; i < samples.length; i++) {
+    const elapsed = (samples[i].timestamp - samples[i - 1].timestamp) / 1000;
+    if (elapsed <= 0) {
+      continue;
+    }
+
+    const current = (samples[i][metric] - samples[i - 1][metric]) / elapsed;
+    rate = rate === null ? current : alpha * current + (1 - alpha) * rate;
+    magnitude = magnitude === null
+      ? Math.abs(current)
+      : alpha * Math.abs(current) + (1 - alpha) * magnitude;
+  }
+
+  // Growth that is always in the same direction gives rate === magnitude
+  const confidence = rate > 0 && magnitude > 0 ? rate / magnitude : 0;
+
+  return {
+    bytesPerSecond: rate ?? 0,
+    confidence
+  };
+}
+
+export const strategies = { linear, floor, ewma };
+
+/**
+ * Analyse a series of measurements ({ timestamp, heapUsed, ... }).
+ *
+ * @param {Array<object>} samples - At least two measurements, oldest first
+ * @param {object} [options] - See DEFAULT_TREND_OPTIONS
+ */
+export function analyzeTrend(samples, options = {}) {
+  const opts = { ...DEFAULT_TREND_OPTIONS, ...options };
+
+  if (samples.length < 2) {
+    throw new RangeError('At least two samples are required to analyse a trend');
+  }
+
+  const strategy = typeof opts.strategy === 'function'
+    ? opts.strategy
+    : strategies[opts.strategy];
+
+  if (!strategy) {
+    throw new TypeError(`Unknown trend strategy: ${opts.strategy}`);
+  }
+
+  const heapLimit = opts.heapLimit ?? v8.getHeapStatistics().heap_size_limit;
+  const heapUsed = samples[samples.length - 1].heapUsed;
+  const result = strategy(samples, opts);
+  const growing = result.bytesPerSecond > 0 && opts.metric === 'heapUsed';
+
+  return {
+    strategy: typeof opts.strategy === 'function' ? (opts.strategy.name || 'custom') : opts.strategy,
+    metric: opts.metric,
+    ...result,
+    timeToOOM: growing ? Math.max(0, (heapLimit - heapUsed) / result.bytesPerSecond) : null,
+    heapUsed,
+    heapLimit,
+    isGrowing: result.bytesPerSecond > opts.minGrowthRate && result.confidence >= opts.minConfidence
+  };
+}
+
+/**
+ * Look for memory growth outside the JS heap: Buffers, ArrayBuffers and
+ * native allocations show up in `external` and `rss`, while a heap-only
+ * analysis sees a flat heapUsed.
+ *
+ * Reports growth in an off-heap metric that the heap's own growth explains
+ * less than `maxHeapShare` of:
+ *   {
+ *     metric,           // 'external' (Buffers, ArrayBuffers), else 'rss'
+ *                       // (native memory), or null
+ *     bytesPerSecond,   // Its growth, or 0
+ *     isGrowing,        // An off-heap metric grows while the heap doesn't
+ *     heap,             // analyzeTrend() of heapUsed
+ *     external, rss     // analyzeTrend() of each off-heap metric
+ *   }
+ *
+ * @param {Array<object>} samples - process.memoryUsage()-shaped measurements, oldest first
+ * @param {object} [options] - See DEFAULT_TREND_OPTIONS
+ */
+export function analyzeOffHeap(samples, options = {}) {
+  const opts = { ...DEFAULT_TREND_OPTIONS, ...options };
+  const heap = analyzeTrend(samples, { ...opts, metric: 'heapUsed' });
+  const report = { metric: null, bytesPerSecond: 0, isGrowing: false, heap };
+
+  for (const metric of OFF_HEAP_METRICS) {
+    const trend = analyzeTrend(samples, { ...opts, metric });
+    report[metric] = trend;
+    const explained = heap.isGrowing && heap.bytesPerSecond >= trend.bytesPerSecond * opts.maxHeapShare;
+    if (trend.isGrowing && !explained && !report.isGrowing) {
+      Object.assign(report, { metric, bytesPerSecond: trend.bytesPerSecond, isGrowing: true });
+    }
+  }
+  return report;
+}
@@ -0,0 +1,347 @@
+/**
+ * WorkerMonitor
+ *
+ * Every worker_threads Worker has its own V8 isolate, so its heap never
+ * shows up in the main thread's process.memoryUsage(). WorkerMonitor is a
+ * MemoryMonitor for the main thread that also follows registered workers:
+ *
+ *   Main thread:
+ *     const monitor = new WorkerMonitor({ interval: 1000 }).start();
+ *     monitor.add(new Worker('./resize.js'), 'resize');
+ *
+ *   In the worker (./resize.js):
+ *     import { reportWorkerHeap } from 'node-memory-leak';
+ *     reportWorkerHeap();
+ *
+ * reportWorkerHeap() sends the worker's heap statistics over a MessagePort
+ * of its own, so the application's messages are untouched apart from one
+ * { type: WORKER_STATS_MESSAGE } announcement. Each worker's samples run
+ * through their own trend analysis, against the worker's heap limit
+ * (resourceLimits.maxOldGenerationSizeMb when set).
+ *
+ * A worker that is still running but hasn't sent a message for
+ * `idleTimeout` ms is reported as idle: the usual sign of a worker that was
+ * never terminated. Worker heap snapshots come from worker.getHeapSnapshot().
+ *
+ * Child processes are followed the same way. A child forked with
+ * childMonitorOptions() runs lib/register.js, whose samples arrive over the
+ * child's IPC channel (see preload-monitor.js):
+ *
+ *   const child = fork('./job.js', childMonitorOptions());
+ *   monitor.addChild(child, 'job');
+ *
+ * Events (besides MemoryMonitor's, which are about the main thread):
+ *   'worker-sample'         ({ worker, threadId, ...measurement, heapLimit })
+ *   'worker-leak-suspected' ({ worker, threadId, ...trend })
+ *   'worker-recovered'      ({ worker, threadId, ...trend })
+ *   'worker-idle'           ({ worker, threadId, idle, age })
+ *   'worker-exit'           ({ worker, threadId, code, age, heapUsed })
+ *   'child-sample'          ({ child, pid, ...measurement })
+ *   'child-leak-suspected'  ({ child, pid, ...trend })
+ *   'child-recovered'       ({ child, pid, ...trend })
+ *   'child-idle'            ({ child, pid, idle, age })
+ *   'child-exit'            ({ child, pid, code, signal, age, heapUsed })
+ *   'snapshot'              ({ path, reason, heapUsed, timestamp }) - with snapshotDirectory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import v8 from 'v8';
+import { isMainThread, MessageChannel, parentPort } from 'worker_threads';
+import { MemoryMonitor } from './memory-monitor.js';
+import { MONITOR_MESSAGE } from './preload-monitor.js';
+
+export const WORKER_STATS_MESSAGE = 'memory-leak-monitor:worker-stats';
+
+const REGISTER = new URL('./register.js', import.meta.url).href;
+
+const DEFAULT_WORKER_OPTIONS = {
+  idleTimeout: 30 * 1000,   // Report a running worker that has been silent this long
+  snapshotDirectory: null   // Write a worker heap snapshot on its first leak suspicion
+};
+
+/**
+ * Call inside a worker to send its heap statistics to a WorkerMonitor in
+ * the parent thread every `interval` ms, and whenever the monitor asks for
+ * a measurement (after a forced GC when --expose-gc is available).
+ * Doesn't keep the worker alive.
+ */
+export function reportWorkerHeap({ interval = 1000 } = {}) {
+  if (isMainThread) {
+    throw new Error('reportWorkerHeap() must be called inside a worker thread');
+  }
+
+  const { port1, port2 } = new MessageChannel();
+  parentPort.postMessage({ type: WORKER_STATS_MESSAGE, port: port2 }, [port2]);
+
+  const send = (requested = false) => {
+    const { heapUsed, heapTotal, rss, external, arrayBuffers } = process.memoryUsage();
+    const heapLimit = v8.getHeapStatistics().heap_size_limit;
+    port1.postMessage({ timestamp: Date.now(), heapUsed, heapTotal, rss, external, arrayBuffers, heapLimit, requested });
+  };
+  port1.on('message', () => {
+    global.gc?.();
+    send(true);
+  });
+  port1.unref();
+  send();
+  const timer = setInterval(send, interval);
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    port1.close();
+  };
+}
+
+/**
+ * Options for child_process.fork() that start the child with lib/register.js
+ * sending its memory samples over IPC, for WorkerMonitor.addChild(). Merge
+ * in your own options: fork(file, args, { ...childMonitorOptions(), cwd }).
+ *
+ * @param {object} [options]
+ * @param {number} [options.interval=1000] - Milliseconds between the child's samples
+ * @param {string[]} [options.execArgv] - Node options for the child (default: the parent's)
+ * @param {object} [options.env] - The child's environment (default: the parent's)
+ */
+export function childMonitorOptions({ interval = 1000, execArgv = process.execArgv, env = process.env } = {}) {
+  return {
+    execArgv: [...execArgv, '--import', REGISTER],
+    env: { ...env, MEMORY_LEAK_OUTPUT: 'ipc', MEMORY_LEAK_INTERVAL: String(interval) }
+  };
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+export class WorkerMonitor extends MemoryMonitor {
+  constructor(options = {}) {
+    super({ ...DEFAULT_WORKER_OPTIONS, ...options });
+    this.workers = new Map();  // threadId -> record (see add())
+    this.children = new Map(); // pid -> record (see addChild())
+  }
+
+  /**
+   * Follow a worker until it exits.
+   *
+   * @param {Worker} worker
+   * @param {string} [name] - Label for reports (default: "worker <threadId>")
+   */
+  add(worker, name = `worker ${worker.threadId}`) {
+    const { threadId } = worker;
+    const now = Date.now();
+    const record = {
+      worker,
+      name,
+      threadId,
+      created: now,
+      lastActive: now,
+      idleReported: false,
+      snapshotTaken: false,
+      latest: null,
+      port: null,
+      // Not started: fed by the worker's own samples
+      monitor: new MemoryMonitor({ ...this.options, heapSnapshots: false, reporter: null })
+    };
+    this.workers.set(threadId, record);
+
+    const info = () => ({ worker: name, threadId });
+    record.monitor.on('leak-suspected', (trend) => {
+      this.emit('worker-leak-suspected', { ...info(), ...trend });
+      this.captureWorker(record);
+    });
+    record.monitor.on('recovered', (trend) => this.emit('worker-recovered', { ...info(), ...trend }));
+
+    worker.on('message', (message) => {
+      if (message?.type === WORKER_STATS_MESSAGE) {
+        record.port = message.port;
+        record.port.on('message', (stats) => this.recordWorker(record, stats));
+        record.port.unref();
+        return;
+      }
+      record.lastActive = Date.now();
+      record.idleReported = false;
+    });
+    worker.once('exit', (code) => {
+      this.workers.delete(threadId);
+      record.port?.close();
+      this.emit('worker-exit', { ...info(), code, age: Date.now() - record.created, heapUsed: record.latest?.heapUsed ?? null });
+    });
+    return worker;
+  }
+
+  /**
+   * Follow a child process until it exits. The child must be forked with
+   * childMonitorOptions(), or otherwise run lib/register.js with
+   * MEMORY_LEAK_OUTPUT=ipc.
+   *
+   * @param {ChildProcess} child
+   * @param {string} [name] - Label for reports (default: "child <pid>")
+   */
+  addChild(child, name = `child ${child.pid}`) {
+    const { pid } = child;
+    const now = Date.now();
+    const record = {
+      child,
+      name,
+      pid,
+      created: now,
+      lastActive: now,
+      idleReported: false,
+      latest: null,
+      // Not started: fed by the child's own samples
+      monitor: new MemoryMonitor({ ...this.options, heapSnapshots: false, reporter: null })
+    };
+    this.children.set(pid, record);
+
+    const info = () => ({ child: name, pid });
+    record.monitor.on('leak-suspected', (trend) => this.emit('child-leak-suspected', { ...info(), ...trend }));
+    record.monitor.on('recovered', (trend) => this.emit('child-recovered', { ...info(), ...trend }));
+
+    child.on('message', (message) => {
+      // The monitor's messages share the channel, but aren't the child being busy
+      if (message?.type === MONITOR_MESSAGE) {
+        if (message.event === 'sample') {
+          this.recordChild(record, message.data);
+        }
+        return;
+      }
+      record.lastActive = Date.now();
+      record.idleReported = false;
+    });
+    child.once('exit', (code, signal) => {
+      this.children.delete(pid);
+      this.emit('child-exit', { ...info(), code, signal, age: Date.now() - record.created, heapUsed: record.latest?.heapUsed ?? null });
+    });
+    return child;
+  }
+
+  recordChild(record, sample) {
+    record.latest = sample;
+    const measurement = record.monitor.sample(sample);
+    this.emit('child-sample', { child: record.name, pid: record.pid, ...measurement });
+  }
+
+  recordWorker(record, stats) {
+    record.latest = stats;
+    record.monitor.options.heapLimit = stats.heapLimit;
+    const measurement = record.monitor.sample(stats);
+    this.emit('worker-sample', { worker: record.name, threadId: record.threadId, ...measurement, heapLimit: stats.heapLimit });
+  }
+
+  /**
+   * Sample the main thread and check for idle workers and children.
+   */
+  sample(usage) {
+    const measurement = super.sample(usage);
+    for (const idle of this.idle()) {
+      const record = idle.worker !== undefined ? this.workers.get(idle.threadId) : this.children.get(idle.pid);
+      if (!record.idleReported) {
+        record.idleReported = true;
+        this.emit(idle.worker !== undefined ? 'worker-idle' : 'child-idle', idle);
+      }
+    }
+    return measurement;
+  }
+
+  /**
+   * Running workers and children that haven't sent a message for
+   * `idleTimeout` ms: { worker, threadId, idle, age } or { child, pid, idle, age }.
+   */
+  idle(idleTimeout = this.options.idleTimeout) {
+    const now = Date.now();
+    const since = (record) => ({ idle: now - record.lastActive, age: now - record.created });
+    return [
+      ...[...this.workers.values()].map((record) => ({ worker: record.name, threadId: record.threadId, ...since(record) })),
+      ...[...this.children.values()].map((record) => ({ child: record.name, pid: record.pid, ...since(record) }))
+    ].filter(({ idle }) => idle >= idleTimeout);
+  }
+
+  /**
+   * The main thread's memory and every running worker's latest heap stats.
+   */
+  threads() {
+    const now = Date.now();
+    const usage = process.memoryUsage();
+    return [
+      { name: 'main', threadId: 0, heapUsed: usage.heapUsed, heapTotal: usage.heapTotal, heapLimit: v8.getHeapStatistics().heap_size_limit, age: null },
+      ...[...this.workers.values()].map((record) => ({
+        name: record.name,
+        threadId: record.threadId,
+        heapUsed: record.latest?.heapUsed ?? null,
+        heapTotal: record.latest?.heapTotal ?? null,
+        heapLimit: record.latest?.heapLimit ?? null,
+        resourceLimits: record.worker.resourceLimits,
+        age: now - record.created,
+        idle: now - record.lastActive
+      }))
+    ];
+  }
+
+  /**
+   * The main process's memory and every running child's latest sample.
+   */
+  processes() {
+    const now = Date.now();
+    const { heapUsed, heapTotal, rss } = process.memoryUsage();
+    return [
+      { name: 'main', pid: process.pid, heapUsed, heapTotal, rss, age: null },
+      ...[...this.children.values()].map((record) => ({
+        name: record.name,
+        pid: record.pid,
+        heapUsed: record.latest?.heapUsed ?? null,
+        heapTotal: record.latest?.heapTotal ?? null,
+        rss: record.latest?.rss ?? null,
+        age: now - record.created,
+        idle: now - record.lastActive
+      }))
+    ];
+  }
+
+  /**
+   * Ask every worker for fresh heap stats and collect garbage in each thread
+   * first when --expose-gc is available, then return threads().
+   */
+  async measureWorkers() {
+    global.gc?.();
+    await Promise.all([...this.workers.values()].filter((record) => record.port).map((record) => new Promise((resolve) => {
+      const onStats = (stats) => stats.requested && done();
+      const done = () => {
+        record.port.off('message', onStats);
+        record.port.unref();
+        record.worker.off('exit', done);
+        resolve();
+      };
+      record.port.on('message', onStats);
+      record.worker.once('exit', done);
+      record.port.postMessage('measure');
+    })));
+    return this.threads();
+  }
+
+  /**
+   * Write a worker's heap snapshot with worker.getHeapSnapshot().
+   *
+   * @returns {Promise<string>} The file written
+   */
+  async writeWorkerSnapshot(worker, directory = this.options.snapshotDirectory ?? '.') {
+    fs.mkdirSync(directory, { recursive: true });
+    const file = path.join(directory, `heap-${timestamp()}-${process.pid}-worker${worker.threadId}.heapsnapshot`);
+    await pipeline(await worker.getHeapSnapshot(), fs.createWriteStream(file));
+    return file;
+  }
+
+  async captureWorker(record) {
+    if (!this.options.snapshotDirectory || record.snapshotTaken) {
+      return;
+    }
+    record.snapshotTaken = true;
+    try {
+      const file = await this.writeWorkerSnapshot(record.worker);
+      this.emit('snapshot', { path: file, reason: `worker-${record.threadId}`, heapUsed: record.latest.heapUsed, timestamp: Date.now() });
+    } catch (err) {
+      this.emit('snapshot-failed', err);
+    }
+  }
+}
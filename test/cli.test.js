@@ -0,0 +1,155 @@
+import assert from 'assert';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import { promisify } from 'util';
+
+const CLI = new URL('../bin/node-memory-leak.js', import.meta.url).pathname;
+
+async function node(file, ...args) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [file, ...args], { timeout: 60 * 1000 });
+    return { code: 0, stdout, stderr };
+  } catch (err) {
+    if (err.code === undefined || typeof err.code === 'string') throw err;
+    return { code: err.code, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+const cli = (...args) => node(CLI, ...args);
+
+const records = (stdout) => stdout.trimEnd().split('\n').map((line) => JSON.parse(line));
+
+describe('node-memory-leak cli', () => {
+  test('prints help for the CLI and each command, and exits 2 on usage errors', async () => {
+    const help = await cli('--help');
+    assert.strictEqual(help.code, 0);
+    assert.match(help.stdout, /^ {2}monitor {4}Run any script and watch its memory$/m);
+
+    const runHelp = await cli('help', 'run');
+    assert.match(runHelp.stdout, /^Usage: node-memory-leak run <scenario>/);
+    assert.match(runHelp.stdout, /--expose-gc/);
+
+    assert.strictEqual((await cli('bogus')).code, 2);
+    assert.strictEqual((await cli('run', 'nope')).code, 2);
+    assert.strictEqual((await cli('playground', 'server')).code, 2);
+    for (const args of [['toString'], ['help', 'constructor'], ['run', 'constructor'], ['playground', 'toString']]) {
+      const { code, stderr } = await cli(...args);
+      assert.strictEqual(code, 2, stderr);
+      assert.match(stderr, /^Unknown (command|scenario|playground scenario) "/, args.join(' '));
+    }
+    const badFormat = await cli('list', '--format=xml');
+    assert.strictEqual(badFormat.code, 2);
+    assert.match(badFormat.stderr, /Unknown format "xml"/);
+  });
+
+  test('the load test and reproduce scripts print their own --help', async () => {
+    for (const [file, usage] of [['examples/load-test.js', 'node examples/load-test.js'], ['bin/reproduce.js', 'reproduce']]) {
+      const { code, stdout, stderr } = await node(new URL(`../${file}`, import.meta.url).pathname, '--help');
+      assert.strictEqual(code, 0, stderr);
+      assert.ok(stdout.startsWith(`Usage: ${usage} `), stdout);
+    }
+  });
+
+  test('reproduce reads the memory of a server without /metrics', async () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-reproduce-'));
+    const server = path.join(out, 'server.mjs');
+    fs.writeFileSync(server, `
+      import http from 'http';
+      http.createServer((req, res) => res.end('OK')).listen(process.env.PORT);
+    `);
+
+    try {
+      const { code, stderr } = await node(new URL('../bin/reproduce.js', import.meta.url).pathname,
+        server, '--health=/', '-d', '1', '--cooldown', '0', '--out', out);
+      assert.strictEqual(code, 0, stderr);
+      const { verdict, samples } = JSON.parse(fs.readFileSync(path.join(out, 'run.json'), 'utf8'));
+      assert.strictEqual(verdict, 'PASS');
+      assert.ok(samples.every((sample) => sample.heapUsed > 0 && sample.rss > 0));
+    } finally {
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  });
+
+  test('loadtest starts the bundled server from outside the package', async () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-loadtest-'));
+    try {
+      // The leaky server gets a LEAK verdict, which exits with code 1
+      const { stdout } = await promisify(execFile)(process.execPath, [CLI, 'loadtest', '-d', '1', '--cooldown', '0', '--out', out],
+        { cwd: out, timeout: 60 * 1000 }).catch((err) => err);
+      assert.match(stdout, /^Server: node .*examples\/leaky-server\.js$/m);
+      assert.ok(fs.existsSync(path.join(out, 'run.json')), stdout);
+    } finally {
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  });
+
+  test('list --format json writes a record per scenario and profile', async () => {
+    const { stdout } = await cli('list', '--format', 'json');
+    const names = records(stdout).map(({ label, name }) => `${label}:${name}`);
+    assert.ok(names.includes('scenario:closure'));
+    assert.ok(names.includes('load-profile:soak'));
+  });
+
+  test('diff compares two snapshots, saves the diff with --out and exits 2 on a bad number', async () => {
+    const before = new URL('fixtures/before.heapsnapshot.json', import.meta.url).pathname;
+    const after = new URL('fixtures/after.heapsnapshot.json', import.meta.url).pathname;
+
+    const { code, stdout } = await cli('diff', before, after, '--format', 'json', '--top', '1');
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout).classes.map((row) => row.className), ['Leak']);
+
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-diff-'));
+    try {
+      const saved = await cli('diff', before, after, '--top', '1', '--out', out);
+      assert.strictEqual(saved.code, 0);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(out, 'diff.json'), 'utf8')), JSON.parse(stdout));
+    } finally {
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+
+    const badTop = await cli('diff', before, after, '--top', 'abc');
+    assert.strictEqual(badTop.code, 2);
+    assert.match(badTop.stderr, /--top must be a whole number above 0, got "abc"/);
+    assert.strictEqual((await cli('diff', before, after, '--depth=0')).code, 2);
+  });
+
+  test('run passes scenario options through and saves the output with --out', async () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-run-'));
+    try {
+      const { code, stdout } = await cli('run', 'events', '--mode', 'fixed', '--expose-gc', '--format=json', '--out', out);
+      assert.strictEqual(code, 0);
+      const last = records(stdout).at(-1);
+      assert.strictEqual(last.source, 'leak-events');
+      assert.strictEqual(last.counters.eventListeners, 0);
+      assert.strictEqual(fs.readFileSync(path.join(out, 'events.ndjson'), 'utf8'), stdout);
+    } finally {
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  });
+
+  test('monitor samples an unmodified script and writes a report', async () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-monitor-'));
+    const script = path.join(out, 'app.js');
+    fs.writeFileSync(script, `
+      const keep = [];
+      const timer = setInterval(() => keep.push(new Array(10000).fill(process.argv[2])), 20);
+      setTimeout(() => { clearInterval(timer); console.log('done'); }, 600);
+    `);
+
+    try {
+      const { code, stdout, stderr } = await cli('monitor', script, '--interval=100', '--format=json', '--out', out, '--', 'arg');
+      assert.strictEqual(code, 0);
+      assert.match(stderr, /^done$/m);  // The script's own output is kept off stdout
+
+      const samples = records(stdout).filter(({ type }) => type === 'memory');
+      assert.ok(samples.length >= 3, `expected at least 3 samples, got ${samples.length}`);
+      assert.strictEqual(records(stdout).at(-1).label, 'exit');
+      assert.match(fs.readFileSync(path.join(out, 'report.html'), 'utf8'), /<h2>Memory<\/h2>/);
+    } finally {
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  });
+});
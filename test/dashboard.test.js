@@ -0,0 +1,67 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { Dashboard, sparkline, SPARK_CHARS } from '../lib/dashboard.js';
+import { createLeakyServer } from '../examples/leaky-server.js';
+
+const MB = 1024 * 1024;
+
+describe('dashboard', () => {
+  test('renders sparklines, the leak status and in-process counters', async () => {
+    assert.strictEqual(sparkline([1, 2, 3, 4, 5, 6, 7, 8]), SPARK_CHARS);
+    assert.strictEqual(sparkline([5, 5, 5, 0, 10], 2), '▁█', 'only the last width values');
+
+    let sessions = 0;
+    const dashboard = new Dashboard({ counters: () => ({ activeSessions: sessions }) });
+    assert.match(dashboard.render(80), /Heap used  waiting for the first reading/);
+
+    // Feed a steadily growing heap instead of this process's
+    let heapUsed = 10 * MB;
+    dashboard.read = async () => {
+      heapUsed += MB;
+      sessions += 10;
+      return {
+        usage: { timestamp: Date.now() + sessions * 100, heapUsed, heapTotal: 2 * heapUsed, rss: 3 * heapUsed, external: MB, arrayBuffers: 0 },
+        gcPause: 1.5,
+        counters: { activeSessions: sessions }
+      };
+    };
+    for (let i = 0; i < 10; i++) {
+      await dashboard.update();
+    }
+
+    const screen = dashboard.render(80);
+    assert.match(screen, /Potential leak: heap growing 1024 KB\/sec/);
+    assert.match(screen, /Heap used  ▁▂▃▃▄▅▆▆▇█\s+20\.0 MB  max 20\.0 MB/);
+    assert.match(screen, /GC pause   ▁{10}\s+1\.5 ms/);
+    assert.match(screen, /Active sessions  100/);
+    assert.doesNotMatch(screen, /\x1b\[/, 'no colors when the output is not a TTY');
+  });
+
+  test('reads memory, GC time and counters from a /metrics endpoint', async () => {
+    const { server, state } = createLeakyServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://localhost:${server.address().port}/metrics`;
+
+    try {
+      const dashboard = new Dashboard({ url });
+      const reading = await dashboard.update();
+      assert.ok(reading.usage.heapUsed > 0 && reading.usage.rss > reading.usage.heapUsed);
+      assert.strictEqual(reading.gcPause, 0, 'no pause before there is a previous reading');
+      assert.strictEqual(reading.counters.leaky_server_active_sessions, state.counters().activeSessions);
+      assert.match(dashboard.render(80), /Counters\n {2}Requests total\s+\d+\n {2}Cached requests/);
+
+      server.close();
+      server.closeAllConnections();
+      const failed = new Dashboard({ url });
+      assert.strictEqual(await failed.update(), null, 'no error listener, and nothing thrown');
+      assert.match(failed.render(80), /^✗ .+\n… Collecting samples \(0\/5\)$/m);
+      const errors = [];
+      failed.on('error', (err) => errors.push(err.code));
+      await failed.update();
+      assert.deepStrictEqual(errors, ['ECONNREFUSED']);
+    } finally {
+      server.close();
+      server.closeAllConnections();
+    }
+  });
+});
@@ -0,0 +1,196 @@
+import assert from 'assert';
+import { getEventListeners, once } from 'events';
+import { after, describe, test } from 'node:test';
+import { assertLeaks, assertNoLeak, collectGarbage } from '../lib/leak-test.js';
+import { createLeak, leakyData, processWithoutLeak } from '../examples/leak-global.js';
+import { createLeakyClosure, createNonLeakyClosure } from '../examples/leak-closure.js';
+import { createLeakyProcessor, createNonLeakyProcessor, globalEmitter } from '../examples/leak-events.js';
+import { DataCache, FixedDataCache } from '../examples/leak-timer.js';
+import {
+  abortDownload, abortDownloadLeaky, BufferPool, downloads, encode, encodeLeaky, headers, logHeader, logHeaderLeaky, startDownload
+} from '../examples/leak-buffers.js';
+import {
+  firstRow, firstRowLeaky, inflight, openCursors, runJob, runJobLeaky, sendRequest, sendRequestLeaky, shutdown
+} from '../examples/leak-async.js';
+import { activeUsers, createCache, getProfile, userFor } from '../examples/leak-cache.js';
+
+describe('global variable leak', () => {
+  after(() => {
+    leakyData.length = 0;
+  });
+
+  test('createLeak() retains every record', async () => {
+    await assertLeaks(() => createLeak(), { iterations: 2, warmup: 0 });
+  });
+
+  test('processWithoutLeak() releases every record', async () => {
+    await assertNoLeak(() => processWithoutLeak(), { iterations: 2 });
+  });
+});
+
+describe('closure leak', () => {
+  // Both versions keep their closures; only the leaky one keeps the arrays
+  test('createLeakyClosure() retains the captured array', async () => {
+    const closures = [];
+    await assertLeaks(() => {
+      closures.push(createLeakyClosure());
+    }, { iterations: 5 });
+  });
+
+  test('createNonLeakyClosure() only retains the length', async () => {
+    const closures = [];
+    await assertNoLeak(() => {
+      closures.push(createNonLeakyClosure());
+    }, { iterations: 5 });
+    assert.strictEqual(closures[0](), 1000000);
+  });
+});
+
+describe('event listener leak', () => {
+  after(() => {
+    globalEmitter.removeAllListeners('process');
+  });
+
+  test('createLeakyProcessor() keeps processors alive through the listener', async () => {
+    const result = await assertLeaks((i) => createLeakyProcessor(i), { iterations: 10 });
+    assert.strictEqual(result.retained, 10);
+  });
+
+  test('createNonLeakyProcessor() processors are collected after cleanup()', async () => {
+    globalEmitter.removeAllListeners('process');
+    await assertNoLeak((i) => {
+      const processor = createNonLeakyProcessor(i);
+      processor.cleanup();
+      return processor;
+    }, { iterations: 10 });
+    assert.strictEqual(globalEmitter.listenerCount('process'), 0);
+  });
+});
+
+describe('timer leak', () => {
+  test('startLeakyTimer() keeps caches alive through the interval', async () => {
+    const result = await assertLeaks((i) => {
+      const cache = new DataCache(i);
+      cache.startLeakyTimer();
+      return cache;
+    }, { iterations: 5, warmup: 0 });
+
+    assert.strictEqual(result.retained, 5);
+    result.survivors.forEach((cache) => clearInterval(cache.interval));
+  });
+
+  test('FixedDataCache is collected after cleanup()', async () => {
+    await assertNoLeak((i) => {
+      const cache = new FixedDataCache(i);
+      cache.startTimer();
+      cache.cleanup();
+      return cache;
+    }, { iterations: 5 });
+  });
+});
+
+describe('off-heap leak', () => {
+  after(() => {
+    headers.length = 0;
+    downloads.forEach((stream) => stream.destroy());
+  });
+
+  test('encodeLeaky() keeps pooled Buffers that encode() returns for reuse', () => {
+    const pool = new BufferPool(1024);
+    encodeLeaky(pool, 'a');
+    encodeLeaky(pool, 'b');
+    assert.strictEqual(pool.inUse.size, 2);
+
+    const fixed = new BufferPool(1024);
+    assert.strictEqual(encode(fixed, 'a'), encode(fixed, 'a'));
+    assert.strictEqual(fixed.inUse.size, 0);
+    assert.strictEqual(fixed.free.length, 1, 'one Buffer, reused');
+  });
+
+  test('logHeaderLeaky() pins the whole message, logHeader() copies 16 bytes', () => {
+    const message = Buffer.alloc(256 * 1024);
+    logHeaderLeaky(message);
+    logHeader(message);
+    assert.strictEqual(headers[0].buffer, message.buffer);
+    assert.notStrictEqual(headers[1].buffer, message.buffer);
+    assert.ok(headers[1].buffer.byteLength < message.length);
+  });
+
+  test('abortDownloadLeaky() leaves the stream open, abortDownload() closes it', async () => {
+    const leaked = startDownload('leaky');
+    abortDownloadLeaky('leaky');
+    const stream = startDownload('fixed');
+    abortDownload('fixed');
+    await once(stream, 'close');
+
+    assert.deepStrictEqual([...downloads.keys()], ['leaky']);
+    assert.strictEqual(leaked.destroyed, false);
+    assert.ok(leaked.writableLength > 0, 'the chunk is still buffered');
+  });
+});
+
+describe('async leak', () => {
+  test('sendRequestLeaky() waits forever, sendRequest() times out', async () => {
+    const leaky = sendRequestLeaky('leaky');
+    assert.strictEqual(await sendRequest('fixed'), null);
+    assert.deepStrictEqual([...inflight.keys()], ['leaky']);
+
+    inflight.get('leaky')('late reply');  // Settle it so the test ends cleanly
+    assert.ok(await leaky > 0);
+  });
+
+  test('runJobLeaky() leaves its abort listener, runJob() removes it', async () => {
+    await runJob(1);
+    assert.strictEqual(getEventListeners(shutdown.signal, 'abort').length, 0);
+    await runJobLeaky(2);
+    assert.strictEqual(getEventListeners(shutdown.signal, 'abort').length, 1);
+  });
+
+  test('firstRowLeaky() leaves its cursor open, firstRow() closes it', async () => {
+    assert.strictEqual(await firstRow(1), 1);
+    assert.strictEqual(openCursors.size, 0);
+    assert.strictEqual(await firstRowLeaky(2), 2);
+    assert.strictEqual(openCursors.size, 1);
+  });
+});
+
+describe('cache leak', () => {
+  after(() => {
+    activeUsers.clear();
+  });
+
+  test('the Map cache keeps profiles after their users sign out, the WeakMap cache frees them', async () => {
+    const map = createCache('leaky');
+    const weak = createCache('weakmap');
+    const stats = { hits: 0, misses: 0 };
+    for (let request = 1; request <= 100; request++) {
+      const user = userFor(request);
+      getProfile(map, user, stats);
+      getProfile(weak, user, stats);
+    }
+    assert.deepStrictEqual(stats, { hits: 80, misses: 120 }, 'each signed-in user misses once, guests always');
+
+    const profile = new WeakRef(weak.get(activeUsers.get('user-1')));
+    activeUsers.clear();
+    await collectGarbage();
+    assert.strictEqual(map.size, 60, '40 users and 20 guests');
+    assert.strictEqual(profile.deref(), undefined);
+  });
+
+  test('a full GC empties the WeakRef cache, the LRU cache stays bounded and keeps hot entries', async () => {
+    const weakref = createCache('weakref');
+    const lru = createCache('fixed');
+    const stats = { hits: 0, misses: 0 };
+    for (let request = 1; request <= 300; request++) {
+      const user = userFor(request);
+      getProfile(weakref, user, stats);
+      getProfile(lru, user, stats);
+    }
+    assert.strictEqual(lru.size, 100);
+
+    await collectGarbage();
+    assert.strictEqual(weakref.get(userFor(1)), undefined);
+    assert.strictEqual(weakref.size, 0, 'the registry removed the collected entries');
+    assert.notStrictEqual(lru.get(userFor(1)), undefined);
+  });
+});
@@ -0,0 +1,55 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { GcObserver, summarizeGc } from '../lib/gc-observer.js';
+import { MemoryMonitor } from '../lib/memory-monitor.js';
+
+// perf_hooks delivers gc entries asynchronously, in batches
+const delivered = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+describe('GC observer', () => {
+  test('timestamps each collection when it ended, not when it was delivered', async () => {
+    const observer = new GcObserver().start();
+    const events = [];
+    observer.on('gc', (event) => events.push(event));
+
+    const before = Date.now();
+    global.gc();
+    const collected = Date.now();
+    // Keep the entry from being delivered for a while
+    while (Date.now() < collected + 100);
+    await delivered();
+    observer.stop();
+
+    const major = events.find((event) => event.kind === 'major');
+    assert.ok(major, 'global.gc() runs a major collection');
+    assert.ok(major.timestamp >= before - 1 && major.timestamp <= collected + 1,
+      `${major.timestamp} is within the global.gc() call (${before}..${collected})`);
+    assert.ok(major.duration > 0);
+    assert.ok(major.heapUsed > 0);
+    assert.strictEqual(summarizeGc(events).count, events.length);
+  });
+
+  test('MemoryMonitor in gc mode samples after each major collection', async () => {
+    const monitor = new MemoryMonitor({ mode: 'gc', minSamples: 2, windowSize: 5 });
+    const gcEvents = [];
+    monitor.on('gc', (event) => gcEvents.push(event));
+    monitor.start();
+    assert.strictEqual(monitor.timerId, null, 'no timer in gc mode');
+
+    for (let i = 0; i < 3; i++) {
+      global.gc();
+      await delivered();
+    }
+    monitor.stop();
+
+    const majors = gcEvents.filter((event) => event.kind === 'major');
+    assert.ok(majors.length >= 3);
+    assert.strictEqual(monitor.measurements.length, majors.length);
+    for (const measurement of monitor.measurements) {
+      assert.strictEqual(measurement.gc.kind, 'major');
+      assert.strictEqual(typeof measurement.gc.duration, 'number');
+    }
+    assert.deepStrictEqual(monitor.measurements.map((m) => m.timestamp), majors.map((event) => event.timestamp));
+    assert.strictEqual(monitor.analyzeTrend().gc.count, gcEvents.length);
+  });
+});
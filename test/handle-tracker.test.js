@@ -0,0 +1,80 @@
+import assert from 'assert';
+import { execFile } from 'child_process';
+import { EventEmitter } from 'events';
+import { describe, test } from 'node:test';
+import { promisify } from 'util';
+import { HandleTracker } from '../lib/handle-tracker.js';
+
+const CLI = new URL('../bin/node-memory-leak.js', import.meta.url).pathname;
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('handle tracker', () => {
+  test('groups intervals older than maxAge by creation stack and forgets cleared ones', async () => {
+    const tracker = new HandleTracker({ maxAge: 0 }).start();
+    function startPolling() {
+      return setInterval(() => {}, 1000);
+    }
+    const intervals = [];
+    for (let i = 0; i < 3; i++) {
+      intervals.push(startPolling());
+    }
+    const timeout = setTimeout(() => {}, 1000);  // One-shot timers end on their own
+
+    try {
+      const [group, ...others] = tracker.lingering();
+      assert.deepStrictEqual(others, []);
+      assert.strictEqual(group.type, 'Timeout');
+      assert.strictEqual(group.api, 'setInterval');
+      assert.strictEqual(group.count, 3);
+      assert.match(group.stack[0], /^startPolling \(test\/handle-tracker\.test\.js:\d+:\d+\)$/);
+    } finally {
+      intervals.forEach(clearInterval);
+      clearTimeout(timeout);
+    }
+
+    await tick();  // destroy hooks run asynchronously
+    assert.deepStrictEqual(tracker.lingering(), []);
+    tracker.stop();
+  });
+
+  test('reports listener counts that keep climbing, once per new high', () => {
+    const on = EventEmitter.prototype.on;
+    const tracker = new HandleTracker({ listenerThreshold: 5 }).start();
+    const reports = [];
+    tracker.on('listener-growth', (growth) => reports.push(growth));
+
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    function subscribe(count) {
+      for (let i = 0; i < count; i++) {
+        emitter.on('tick', () => {});
+      }
+    }
+    subscribe(6);
+    tracker.check();
+    tracker.check();
+    subscribe(2);
+    tracker.check();
+    tracker.stop();
+
+    assert.deepStrictEqual(reports.map(({ emitter, event, history }) => ({ emitter, event, history })), [
+      { emitter: 'EventEmitter', event: 'tick', history: [0, 6] },
+      { emitter: 'EventEmitter', event: 'tick', history: [0, 6, 6, 8] }
+    ]);
+    assert.match(reports[0].stack[0], /^subscribe /);
+    assert.strictEqual(EventEmitter.prototype.on, on);
+  });
+
+  test('node-memory-leak monitor --handles points at the intervals leak-timer.js leaks', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, [
+      CLI, 'monitor', 'examples/leak-timer.js', '--handles', '2500', '--interval', '500', '--format', 'json'
+    ], { cwd: new URL('..', import.meta.url), timeout: 60 * 1000 });
+
+    const report = stdout.trimEnd().split('\n').map((line) => JSON.parse(line))
+      .find(({ label }) => label === 'lingering-handles');
+    assert.ok(report, 'expected a lingering-handles record');
+    assert.strictEqual(report.groups[0].count, 20);
+    assert.strictEqual(report.groups[0].api, 'setInterval');
+    assert.match(report.groups[0].stack[0], /^DataCache\.startLeakyTimer \(examples\/leak-timer\.js:\d+:\d+\)$/);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import v8 from 'v8';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { HeapSnapshotTrigger } from '../lib/heap-snapshot-trigger.js';
+import { MemoryMonitor } from '../lib/memory-monitor.js';
+
+const MB = 1024 * 1024;
+
+describe('heap snapshot trigger', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    // Writing real snapshots would pause the test run for every capture
+    mock.method(v8, 'writeHeapSnapshot', (file) => {
+      fs.writeFileSync(file, '{}');
+      return file;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('rate limits captures by cooldown and stops at maxFiles', () => {
+    const nested = path.join(directory, 'nested');
+    const limited = new HeapSnapshotTrigger({ directory: nested, cooldown: 60 * 1000 });
+    assert.match(limited.capture('manual'), /heap-.+-manual\.heapsnapshot$/);
+    assert.strictEqual(limited.capture('manual'), null, 'within the cooldown');
+
+    const capped = new HeapSnapshotTrigger({ directory: nested, cooldown: 0, maxFiles: 2 });
+    const snapshots = [];
+    capped.on('snapshot', (info) => snapshots.push(info));
+    assert.notStrictEqual(capped.capture('one'), null);
+    assert.notStrictEqual(capped.capture('two'), null);
+    assert.strictEqual(capped.capture('three'), null, 'maxFiles reached');
+
+    assert.deepStrictEqual(snapshots.map((info) => info.reason), ['one', 'two']);
+    assert.deepStrictEqual(capped.files, snapshots.map((info) => info.path));
+    assert.strictEqual(fs.readdirSync(nested).length, 3);
+    assert.strictEqual(v8.writeHeapSnapshot.mock.callCount(), 3);
+  });
+
+  test('reports a failed write without counting it against maxFiles', () => {
+    const trigger = new HeapSnapshotTrigger({ directory, cooldown: 0, maxFiles: 1 });
+    const failures = [];
+    trigger.on('snapshot-failed', (err) => failures.push(err.message));
+
+    v8.writeHeapSnapshot.mock.mockImplementationOnce(() => {
+      throw new Error('ENOSPC: no space left on device');
+    });
+    assert.strictEqual(trigger.capture('manual'), null);
+    assert.deepStrictEqual(failures, ['ENOSPC: no space left on device']);
+    assert.deepStrictEqual(trigger.files, []);
+
+    assert.notStrictEqual(trigger.capture('manual'), null, 'the failure used up neither the cooldown nor a file');
+  });
+
+  test('captures on leak suspicion, then every growthStep while the leak lasts', () => {
+    const monitor = new MemoryMonitor({ minSamples: 3, windowSize: 3 });
+    const trigger = new HeapSnapshotTrigger({ directory, cooldown: 0, growthStep: 10 * MB }).attach(monitor);
+    const reasons = [];
+    trigger.on('snapshot', ({ reason, heapUsed }) => reasons.push(`${reason} ${heapUsed / MB}`));
+
+    let timestamp = 0;
+    const sample = (heapUsed) => monitor.sample({ timestamp: timestamp += 1000, heapUsed: heapUsed * MB });
+    [20, 24, 28].forEach(sample);      // Growing: suspected at 28 MB
+    [32, 36].forEach(sample);          // Less than 10 MB more
+    [38, 40].forEach(sample);          // 10 MB more than the last capture, and 2 more
+    [40, 40, 40].forEach(sample);      // Recovered
+    assert.strictEqual(monitor.suspected, false);
+    sample(60);                        // Grown, but no longer suspected
+
+    assert.deepStrictEqual(reasons, ['suspected 28', 'growth 38']);
+
+    trigger.detach();
+    [80, 100, 120].forEach(sample);
+    assert.deepStrictEqual(reasons, ['suspected 28', 'growth 38'], 'detached');
+  });
+});
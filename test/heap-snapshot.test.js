@@ -0,0 +1,91 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { HeapSnapshot } from '../lib/heap-snapshot.js';
+import { diffSnapshots } from '../lib/snapshot-diff.js';
+
+// Handcrafted snapshots of the same process. Before:
+//
+//   (root) -[1]-> Global -cache-> Array -elements-> (array) -[0]-> Leak#9 -data-> "aaa"
+//                 Global -config-> Config -shared-> "aaa"
+//                 Global ~weak~> Cached (unreachable: weak edges don't retain)
+//
+// After, a second Leak#11 at (array)[1], holding "bbb".
+const BEFORE = new URL('fixtures/before.heapsnapshot.json', import.meta.url).pathname;
+const AFTER = new URL('fixtures/after.heapsnapshot.json', import.meta.url).pathname;
+
+// The fixture's node index for each id, so tests read by id
+function nodesById(snapshot) {
+  return new Map(Array.from({ length: snapshot.nodeCount }, (_, n) => [snapshot.nodeId(n), n]));
+}
+
+describe('heap snapshot', () => {
+  test('computes dominators and retained sizes, ignoring weak edges', () => {
+    const snapshot = HeapSnapshot.fromFile(AFTER);
+    const node = nodesById(snapshot);
+    const retained = snapshot.computeRetainedSizes();
+    const dominatorId = (id) => snapshot.nodeId(snapshot.dominators[node.get(id)]);
+
+    // "aaa" (17) is reached through Leak#9 and through Config, so only Global dominates it
+    assert.strictEqual(dominatorId(17), 3);
+    assert.strictEqual(dominatorId(19), 11, '"bbb" only through Leak#11');
+    assert.strictEqual(dominatorId(9), 7);
+    assert.strictEqual(dominatorId(11), 7);
+    assert.strictEqual(dominatorId(7), 5);
+
+    const retainedSize = (id) => retained[node.get(id)];
+    assert.strictEqual(retainedSize(9), 50, 'the shared string is not Leak#9\'s alone');
+    assert.strictEqual(retainedSize(11), 350);
+    assert.strictEqual(retainedSize(7), 80 + 50 + 350);
+    assert.strictEqual(retainedSize(3), 100 + 32 + 480 + 40 + 200);
+    assert.strictEqual(snapshot.reachable[node.get(15)], 0, 'only weakly held');
+
+    assert.deepStrictEqual(Object.fromEntries(snapshot.aggregateByClass()), {
+      Global: { count: 1, selfSize: 100, retainedSize: 852 },
+      Array: { count: 1, selfSize: 32, retainedSize: 512 },
+      '(array)': { count: 1, selfSize: 80, retainedSize: 480 },
+      Leak: { count: 2, selfSize: 100, retainedSize: 400 },
+      Config: { count: 1, selfSize: 40, retainedSize: 40 },
+      '(string)': { count: 2, selfSize: 500, retainedSize: 500 }
+    });
+  });
+
+  test('finds the shortest retainer path to a node', () => {
+    const snapshot = HeapSnapshot.fromFile(AFTER);
+    const node = nodesById(snapshot);
+    const hops = (id) => snapshot.retainerPath(node.get(id)).map(({ className, edge }) => `${edge}:${className}`);
+
+    assert.deepStrictEqual(hops(11), ['null:(root)', '[1]:Global', 'cache:Array', 'elements:(array)', '[1]:Leak']);
+    // Global -config-> Config -shared-> is shorter than the path through the array
+    assert.deepStrictEqual(hops(17), ['null:(root)', '[1]:Global', 'config:Config', 'shared:(string)']);
+    assert.deepStrictEqual(snapshot.retainerPath(node.get(15)), [], 'unreachable');
+  });
+
+  test('diffs classes by retained size and groups the retainers of new objects', () => {
+    const diff = diffSnapshots(BEFORE, AFTER);
+    assert.strictEqual(diff.nodesBefore, 8);
+    assert.strictEqual(diff.nodesAfter, 10);
+    assert.deepStrictEqual(diff.classes.map((row) => [row.className, row.countDelta, row.retainedSizeDelta]), [
+      ['Leak', 1, 350],
+      ['Global', 0, 350],
+      ['Array', 0, 350],
+      ['(array)', 0, 350],
+      ['(string)', 1, 300],
+      ['Config', 0, 0]
+    ]);
+    assert.deepStrictEqual(diff.retainers, [
+      {
+        className: 'Leak',
+        paths: [{ path: '(root) -[]-> Global -cache-> Array -elements-> (array) -[]-> Leak', count: 1 }]
+      },
+      {
+        className: '(string)',
+        paths: [{ path: '(root) -[]-> Global -cache-> Array -elements-> (array) -[]-> Leak -data-> (string)', count: 1 }]
+      }
+    ]);
+
+    const short = diffSnapshots(BEFORE, AFTER, { top: 2, depth: 2, sort: 'count' });
+    assert.deepStrictEqual(short.classes.map((row) => row.className), ['Leak', '(string)']);
+    assert.strictEqual(short.retainers[0].paths[0].path, '... Array -elements-> (array) -[]-> Leak');
+    assert.throws(() => diffSnapshots(BEFORE, AFTER, { sort: 'size' }), TypeError);
+  });
+});
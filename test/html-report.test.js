@@ -0,0 +1,84 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { renderReport } from '../lib/html-report.js';
+import { analyzeLoadTest } from '../lib/load-analysis.js';
+
+const MB = 1024 * 1024;
+
+function samples() {
+  const phases = ['baseline', 'load', 'load', 'load', 'cooldown', 'cooldown'];
+  return phases.map((phase, i) => ({
+    timestamp: 1_700_000_000_000 + i * 1000,
+    phase,
+    requests: i * 1000,
+    heapUsed: (10 + i * 20) * MB,
+    heapTotal: (20 + i * 20) * MB,
+    rss: (60 + i * 20) * MB,
+    external: 2 * MB,
+    arrayBuffers: MB,
+    gc: { major: { count: i, pause: i * 5 }, minor: { count: i * 3, pause: i } }
+  }));
+}
+
+describe('html report', () => {
+  test('renders a self-contained report with charts, verdict and diff', () => {
+    const data = samples();
+    const html = renderReport({
+      title: 'Checkout <leak>',
+      meta: { Command: 'npm run reproduce' },
+      samples: data,
+      analysis: analyzeLoadTest(data),
+      stages: [{ stage: 'steady', duration: 30, connections: 10, rate: null, requests: 5000, errors: 0, latencyP99: 12 }],
+      diff: {
+        nodesBefore: 100,
+        nodesAfter: 200,
+        classes: [{ className: 'Session', countBefore: 1, countAfter: 101, countDelta: 100, selfSizeDelta: 3200, retainedSizeDelta: 5 * MB }],
+        retainers: [{ className: 'Session', paths: [{ count: 100, path: '(root) -userSessions-> Map -[]-> Session' }] }]
+      }
+    });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Checkout &lt;leak&gt;<\/title>/);
+    assert.match(html, /class="verdict leak">LEAK: 80\.0 MB of heap used is still retained/);
+    assert.strictEqual(html.match(/<svg /g).length, 3); // Memory, requests, GC
+    assert.strictEqual(html.match(/<polyline /g).length, 6); // 5 memory series + requests
+    assert.match(html, /<td>Session<\/td><td class="num">1<\/td><td class="num">101<\/td><td class="num">\+100<\/td>/);
+    assert.match(html, /-userSessions-&gt; Map/);
+    assert.match(html, /<td>major<\/td><td class="num">5<\/td><td class="num">25 ms<\/td>/);
+    assert.doesNotMatch(html, /<script|<link|src=|https?:/);
+  });
+
+  test('draws individual GC events from GcObserver as bars', () => {
+    const gcEvents = [
+      { timestamp: 1000, kind: 'minor', duration: 1.5 },
+      { timestamp: 2000, kind: 'major', duration: 12 }
+    ];
+    const html = renderReport({ gcEvents, generatedAt: new Date(0) });
+    assert.match(html, /Generated 1970-01-01T00:00:00\.000Z/);
+    assert.match(html, /<title>major GC pause: 12 ms at 1s<\/title>/);
+    assert.match(html, /<td>minor<\/td><td class="num">1<\/td><td class="num">1\.50 ms<\/td>/);
+  });
+
+  test('keeps long runs small, merging GC bars and keeping the longest pause', () => {
+    // A day-long soak run: a sample and a couple of GCs every second or so
+    const count = 200_000;
+    const data = Array.from({ length: count }, (_, i) => ({ timestamp: i * 500, heapUsed: (10 + (i % 100)) * MB }));
+    const gcEvents = Array.from({ length: count }, (_, i) => ({
+      timestamp: i * 500,
+      kind: 'minor',
+      duration: i === 123_456 ? 250 : 1
+    }));
+
+    const html = renderReport({ samples: data, gcEvents });
+    assert.ok(html.length < 1024 * 1024, `${Math.round(html.length / 1024)} KB`);
+    assert.ok((html.match(/<line [^>]*stroke-width="2"/g) ?? []).length <= 400);
+    assert.match(html, /<title>minor GC pause: longest of \d+, 250 ms at /);
+    assert.match(html, /<td>Heap used<\/td><td class="num">10\.0 MB<\/td><td class="num">109\.0 MB<\/td>/);
+  });
+
+  test('renders an empty report without data', () => {
+    const html = renderReport();
+    assert.match(html, /<h1>Memory Leak Report<\/h1>/);
+    assert.doesNotMatch(html, /<svg/);
+  });
+});
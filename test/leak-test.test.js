@@ -0,0 +1,58 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { assertLeaks, assertNoLeak, measureLeak } from '../lib/leak-test.js';
+
+describe('leak test harness', () => {
+  test('measureLeak counts tracked objects that survive GC', async () => {
+    const kept = [];
+    const result = await measureLeak((i) => {
+      const obj = { i };
+      if (i % 2 === 0) kept.push(obj);
+      return obj;
+    }, { iterations: 10 });
+
+    assert.strictEqual(result.tracked, 10);
+    assert.strictEqual(result.retained, 5);
+    assert.strictEqual(result.survivors.length, 5);
+  });
+
+  test('objects passed to track() are tracked too', async () => {
+    const kept = [];
+    const result = await measureLeak((i, track) => {
+      kept.push(track({ i }));
+    }, { iterations: 3 });
+
+    assert.strictEqual(result.tracked, 3);
+    assert.strictEqual(result.retained, 3);
+  });
+
+  test('assertNoLeak passes when everything is released', async () => {
+    await assertNoLeak(() => ({ data: new Array(10000).fill('x') }), { iterations: 20 });
+  });
+
+  test('assertNoLeak fails on retained objects', async () => {
+    const kept = [];
+    await assert.rejects(
+      assertNoLeak(() => {
+        const obj = {};
+        kept.push(obj);
+        return obj;
+      }, { iterations: 5 }),
+      /5 of 5 tracked objects are still alive/
+    );
+  });
+
+  test('assertNoLeak fails on heap growth', async () => {
+    const kept = [];
+    await assert.rejects(
+      assertNoLeak(() => {
+        kept.push(new Array(100000).fill('x'));
+      }, { iterations: 5 }),
+      /heap grew/
+    );
+  });
+
+  test('assertLeaks fails when nothing leaks', async () => {
+    await assert.rejects(assertLeaks(() => ({}), { iterations: 5 }), /Expected a memory leak/);
+  });
+});
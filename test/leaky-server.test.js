@@ -0,0 +1,315 @@
+import assert from 'assert';
+import http from 'http';
+import net from 'net';
+import { after, before, describe, test } from 'node:test';
+import { assertLeaks, assertNoLeak } from '../lib/leak-test.js';
+import { LifetimeTracker } from '../lib/lifetime-tracker.js';
+import { BoundedConnectionPool, createLeakyServer, parseLeaks, SessionStore } from '../examples/leaky-server.js';
+
+function request(port, path, { method = 'GET', headers } = {}) {
+  return new Promise((resolve, reject) => {
+    http.request({ port, path, method, headers, agent: false }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => body += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject).end();
+  });
+}
+
+async function get(port, path) {
+  return (await request(port, path)).status;
+}
+
+function startServer(options) {
+  const context = createLeakyServer(options);
+  return new Promise((resolve) => {
+    context.server.listen(0, () => resolve({ ...context, port: context.server.address().port }));
+  });
+}
+
+function stopServer(server) {
+  server.closeAllConnections();
+  server.close();
+}
+
+describe('leaky server', () => {
+  let server;
+  let state;
+  let port;
+
+  before(async () => {
+    ({ server, state, port } = await startServer());
+  });
+
+  after(() => stopServer(server));
+
+  test('leak 1: requestCache retains every request', async () => {
+    const result = await assertLeaks(async (i, track) => {
+      assert.strictEqual(await get(port, '/'), 200);
+      track(state.requestCache.at(-1));
+    }, { iterations: 20 });
+    assert.strictEqual(result.retained, 20);
+  });
+
+  test('leak 2: userSessions never expire', async () => {
+    const result = await assertLeaks(async (i, track) => {
+      await get(port, '/health');
+      track(state.userSessions.get(`session-${state.requestCount}`));
+    }, { iterations: 20 });
+    assert.strictEqual(result.retained, 20);
+  });
+
+  test('GET /metrics exposes the leak structures in Prometheus format', async () => {
+    const { status, headers, body } = await request(port, '/metrics');
+    assert.strictEqual(status, 200);
+    assert.match(headers['content-type'], /^text\/plain; version=0\.0\.4/);
+    assert.match(body, /^leaky_server_cached_requests \d+$/m);
+    assert.match(body, /^leaky_server_active_sessions \d+$/m);
+    assert.match(body, /^leaky_server_pool_connections \d+$/m);
+    assert.match(body, /^leaky_server_leak_enabled\{leak="cache"\} 1$/m);
+    assert.match(body, /^process_resident_memory_bytes \d+$/m);
+  });
+
+  test('tracks object lifetimes only when asked to', async () => {
+    assert.strictEqual(state.lifetimes, null);
+    assert.strictEqual(JSON.parse((await request(port, '/stats')).body).objects, undefined);
+  });
+
+  test('leak 3: pool connections are never released', async () => {
+    const result = await assertLeaks(async (i, track) => {
+      await get(port, '/');
+      track(state.pool.connections.at(-1));
+    }, { iterations: 20 });
+    assert.strictEqual(result.retained, 20);
+  });
+});
+
+describe('fixed server', () => {
+  let server;
+  let state;
+  let port;
+
+  before(async () => {
+    ({ server, state, port } = await startServer({
+      leaks: parseLeaks('none'),
+      cacheSize: 5,
+      sessionTTL: 50,
+      poolSize: 2
+    }));
+  });
+
+  after(() => stopServer(server));
+
+  test('fix 1: the LRU cache keeps at most cacheSize requests', async () => {
+    const result = await assertNoLeak(async (i, track) => {
+      assert.strictEqual(await get(port, '/'), 200);
+      track(state.requestCache.get(state.requestCount));
+    }, { iterations: 20, maxRetained: 5 });
+    assert.strictEqual(result.retained, 5);
+    assert.strictEqual(state.requestCache.size, 5);
+  });
+
+  test('fix 2: sessions are removed once their TTL expires', async () => {
+    await assertNoLeak(async (i, track) => {
+      await get(port, '/health');
+      track(state.userSessions.get(`session-${state.requestCount}`));
+      if (i === 19) {
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        state.userSessions.sweep();
+      }
+    }, { iterations: 20 });
+    assert.strictEqual(state.userSessions.size, 0);
+  });
+
+  test('fix 3: the pool reuses at most poolSize connections', async () => {
+    await assertNoLeak(async (i) => {
+      await Promise.all([get(port, '/'), get(port, '/'), get(port, '/')]);
+      if (i === 9) {
+        // Expire this test's sessions so only the pool is measured
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        state.userSessions.sweep();
+      }
+    }, { iterations: 10 });
+    assert.ok(state.pool.connections.length <= 2);
+  });
+
+  test('stays bounded under load, when more sessions start than expire', async () => {
+    // A TTL longer than the test: only maxSessions bounds the store
+    const loaded = await startServer({ leaks: parseLeaks('none'), cacheSize: 20, sessionTTL: 60 * 1000, maxSessions: 50 });
+    try {
+      const burst = async (i, track) => {
+        const first = loaded.state.requestCount + 1;
+        await Promise.all(Array.from({ length: 25 }, () => get(loaded.port, '/')));
+        for (let n = first; n < first + 25; n++) {
+          track(loaded.state.userSessions.get(`session-${n}`));
+        }
+      };
+      // Warm up until every structure is full, then 500 more requests
+      const result = await assertNoLeak(burst, { warmup: 4, iterations: 20, maxRetained: 50 });
+      assert.strictEqual(result.tracked, 500);
+      const { requests, cachedRequests, activeSessions, connections } = loaded.state.counters();
+      assert.deepStrictEqual([requests, cachedRequests, activeSessions], [600, 20, 50]);
+      assert.ok(connections <= 10);
+      assert.strictEqual(loaded.state.userSessions.sessions.evictions, 550);
+    } finally {
+      stopServer(loaded.server);
+      loaded.state.userSessions.close();
+    }
+  });
+});
+
+describe('debug routes', () => {
+  const token = 'test-token';
+  const auth = { method: 'POST', headers: { authorization: `Bearer ${token}` } };
+  let server;
+  let state;
+  let port;
+
+  before(async () => {
+    ({ server, state, port } = await startServer({ debugToken: token }));
+  });
+
+  after(() => stopServer(server));
+
+  test('reject requests without the token', async () => {
+    assert.strictEqual((await request(port, '/debug/gc', { method: 'POST' })).status, 401);
+    const wrong = { method: 'POST', headers: { authorization: 'Bearer wrong-token' } };
+    assert.strictEqual((await request(port, '/debug/gc', wrong)).status, 401);
+    assert.strictEqual((await request(port, '/debug/gc', { headers: auth.headers })).status, 405);
+  });
+
+  test('answer unknown routes with 404, including Object.prototype names', async () => {
+    for (const name of ['nope', 'toString', 'constructor', '__proto__']) {
+      assert.strictEqual((await request(port, `/debug/${name}`, auth)).status, 404, name);
+    }
+  });
+
+  test('are disabled when no token is configured', async () => {
+    const disabled = await startServer();
+    try {
+      assert.strictEqual((await request(disabled.port, '/debug/gc', auth)).status, 404);
+    } finally {
+      stopServer(disabled.server);
+    }
+  });
+
+  test('POST /debug/gc forces a collection', async () => {
+    const { status, body } = await request(port, '/debug/gc', auth);
+    assert.strictEqual(status, 200);
+    const result = JSON.parse(body);
+    assert.strictEqual(typeof result.freed, 'number');
+    assert.ok(result.after.heapUsed > 0);
+  });
+
+  test('POST /debug/survivors lists the tracked requests and sessions that survive GC', async () => {
+    const leaky = await startServer({ debugToken: token, trackLifetimes: true });
+    try {
+      await get(leaky.port, '/');
+      await get(leaky.port, '/');
+      const { status, body } = await request(leaky.port, '/debug/survivors?gcs=2', auth);
+      assert.strictEqual(status, 200);
+      const { gcs, survivors, objects } = JSON.parse(body);
+      assert.strictEqual(gcs, 2);
+      assert.deepStrictEqual(survivors.map(({ label, count }) => [label, count]), [['request', 2], ['session', 2]]);
+      assert.deepStrictEqual(objects.session, { tracked: 2, collected: 0, alive: 2 });
+
+      assert.strictEqual((await request(leaky.port, '/debug/survivors?gcs=0', auth)).status, 400);
+      assert.strictEqual((await request(port, '/debug/survivors', auth)).status, 404, 'a token alone tracks nothing');
+    } finally {
+      stopServer(leaky.server);
+    }
+  });
+
+  test('POST /debug/heapsnapshot streams a snapshot', async () => {
+    const { status, headers, body } = await request(port, '/debug/heapsnapshot', auth);
+    assert.strictEqual(status, 200);
+    assert.match(headers['content-disposition'], /\.heapsnapshot"$/);
+    assert.ok(Array.isArray(JSON.parse(body).snapshot.meta.node_fields));
+  });
+
+  test('POST /debug/heap-profile returns a sampling heap profile', async () => {
+    const { status, headers, body } = await request(port, '/debug/heap-profile?seconds=0.2', auth);
+    assert.strictEqual(status, 200);
+    assert.match(headers['content-disposition'], /\.heapprofile"$/);
+    const profile = JSON.parse(body);
+    assert.ok(profile.head.callFrame);
+    assert.ok(Array.isArray(profile.samples));
+
+    assert.strictEqual((await request(port, '/debug/heap-profile?seconds=-1', auth)).status, 400);
+  });
+
+  test('are not counted as application requests', () => {
+    assert.strictEqual(state.requestCount, 0);
+  });
+});
+
+describe('request errors', () => {
+  // http.request() rejects a path like this one, so write the request by hand
+  function rawRequest(port, path) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, () => socket.end(`GET ${path} HTTP/1.1\r\nHost: localhost\r\n\r\n`));
+      let response = '';
+      socket.setEncoding('utf8');
+      socket.setTimeout(5000, () => socket.destroy(new Error(`No response to GET ${path}`)));
+      socket.on('data', (chunk) => response += chunk);
+      socket.on('end', () => resolve(response));
+      socket.on('error', reject);
+    });
+  }
+
+  test('a malformed URL gets a 400, and the server keeps serving', async () => {
+    const { server, port } = await startServer({ debugToken: 'test-token' });
+    try {
+      assert.match(await rawRequest(port, '//a:99999/'), /^HTTP\/1\.1 400 /);
+      assert.strictEqual(await get(port, '/health'), 200);
+    } finally {
+      stopServer(server);
+    }
+  });
+
+  test('a handler that throws gets a 500, and the server keeps serving', async () => {
+    let fail = true;
+    const lifetimes = new LifetimeTracker();
+    const track = lifetimes.track.bind(lifetimes);
+    lifetimes.track = (...args) => {
+      if (fail) throw new Error('tracking failed');
+      return track(...args);
+    };
+
+    const { server, port } = await startServer({ lifetimes });
+    try {
+      assert.strictEqual(await get(port, '/'), 500);
+      fail = false;
+      assert.strictEqual(await get(port, '/health'), 200);
+    } finally {
+      stopServer(server);
+    }
+  });
+});
+
+describe('fixed building blocks', () => {
+  test('parseLeaks() accepts all, none and lists', () => {
+    assert.deepStrictEqual(parseLeaks('all'), { cache: true, sessions: true, connections: true });
+    assert.deepStrictEqual(parseLeaks('none'), { cache: false, sessions: false, connections: false });
+    assert.deepStrictEqual(parseLeaks('cache,connections'), { cache: true, sessions: false, connections: true });
+    assert.throws(() => parseLeaks('timers'), /Unknown leak "timers"/);
+  });
+
+  test('BoundedConnectionPool hands released connections to waiters', async () => {
+    const pool = new BoundedConnectionPool({ maxSize: 1 });
+    const first = await pool.acquire();
+    const waiting = pool.acquire();
+    pool.release(first);
+    assert.strictEqual(await waiting, first);
+  });
+
+  test('SessionStore.get() ignores expired sessions', () => {
+    const store = new SessionStore({ ttl: 1000 });
+    store.set('a', {});
+    assert.ok(store.get('a'));
+    store.sweep(Date.now() + 1000);
+    assert.strictEqual(store.get('a'), undefined);
+    store.close();
+  });
+});
@@ -0,0 +1,41 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { LifetimeTracker } from '../lib/lifetime-tracker.js';
+
+describe('lifetime tracker', () => {
+  test('reports the labels still alive after N GCs, with counts and ages', async () => {
+    const tracker = new LifetimeTracker({ minGcs: 2 });
+    const sessions = [];
+    for (let i = 0; i < 3; i++) {
+      sessions.push(tracker.track({ id: i }, 'session'));
+    }
+    for (let i = 0; i < 4; i++) {
+      tracker.track({ id: i }, 'request');
+    }
+    assert.deepStrictEqual(tracker.survivors(), [], 'nothing has survived a GC yet');
+
+    const [survivor, ...others] = await tracker.collect();
+    assert.deepStrictEqual(others, []);
+    assert.strictEqual(survivor.label, 'session');
+    assert.strictEqual(survivor.count, 3);
+    assert.ok(survivor.gcs >= 2);
+    assert.ok(survivor.oldest >= 0);
+    assert.deepStrictEqual(tracker.stats(), {
+      session: { tracked: 3, collected: 0, alive: 3 },
+      request: { tracked: 4, collected: 4, alive: 0 }
+    });
+
+    sessions.length = 0;
+    assert.deepStrictEqual(await tracker.collect(), []);
+    assert.strictEqual(tracker.stats().session.collected, 3);
+    tracker.reset();
+  });
+
+  test('track() returns the object and rejects primitives', () => {
+    const tracker = new LifetimeTracker();
+    const ctx = {};
+    assert.strictEqual(tracker.track(ctx, 'ctx'), ctx);
+    assert.throws(() => tracker.track('id-1', 'ctx'), /Only objects and functions can be tracked, got string/);
+    tracker.reset();
+  });
+});
@@ -0,0 +1,56 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { analyzeLoadTest } from '../lib/load-analysis.js';
+
+const MB = 1024 * 1024;
+
+// One sample per second: 3 baseline, `load` under load, 3 cooldown
+function series({ load, cooldown }) {
+  const samples = [];
+  let t = 0;
+  const add = (phase, requests, heapUsed) => samples.push({ timestamp: t++ * 1000, phase, requests, heapUsed });
+
+  [10, 11, 10].forEach((mb) => add('baseline', 0, mb * MB));
+  load.forEach((mb, i) => add('load', (i + 1) * 1000, mb * MB));
+  cooldown.forEach((mb) => add('cooldown', load.length * 1000, mb * MB));
+  return samples;
+}
+
+describe('load test analysis', () => {
+  test('PASS when memory returns to baseline after load', () => {
+    const result = analyzeLoadTest(series({ load: [40, 60, 50, 70], cooldown: [60, 20, 15] }));
+    assert.strictEqual(result.verdict, 'PASS');
+    assert.strictEqual(result.baseline, 10 * MB);
+    assert.strictEqual(result.peak, 70 * MB);
+    assert.strictEqual(result.final, 15 * MB);
+    assert.strictEqual(result.requests, 4000);
+    assert.ok(result.returnedToBaseline);
+  });
+
+  test('LEAK when memory stays up, with growth per 1k requests', () => {
+    const result = analyzeLoadTest(series({ load: [60, 110, 160, 210], cooldown: [210, 205, 206] }));
+    assert.strictEqual(result.verdict, 'LEAK');
+    assert.strictEqual(result.retained, 195 * MB);
+    assert.strictEqual(result.growthPer1k, 50 * MB);
+    assert.strictEqual(result.retainedPer1k, (195 * MB) / 4);
+  });
+
+  test('tolerance and metric are configurable', () => {
+    const samples = series({ load: [40, 50], cooldown: [30] }).map((sample) => ({ ...sample, rss: sample.heapUsed * 2 }));
+    assert.strictEqual(analyzeLoadTest(samples).verdict, 'PASS');
+    assert.strictEqual(analyzeLoadTest(samples, { tolerance: 10 * MB }).verdict, 'LEAK');
+    assert.strictEqual(analyzeLoadTest(samples, { metric: 'rss' }).retained, 40 * MB);
+  });
+
+  test('handles soak runs with more samples than a call takes arguments', () => {
+    const load = Array.from({ length: 200_000 }, (_, i) => 20 + (i % 50));
+    const result = analyzeLoadTest(series({ load, cooldown: [15] }));
+    assert.strictEqual(result.peak, 69 * MB);
+    assert.strictEqual(result.final, 15 * MB);
+    assert.strictEqual(result.verdict, 'PASS');
+  });
+
+  test('needs baseline and cooldown samples', () => {
+    assert.throws(() => analyzeLoadTest([]), /baseline/);
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { DEFAULT_PROFILE, loadProfile, PROFILES, resolveProfile, weightedRequests } from '../lib/load-profile.js';
+
+describe('load profiles', () => {
+  test('a profile without stages is one steady stage, with overrides applied', () => {
+    const profile = resolveProfile(PROFILES.default, { connections: 4, duration: 5, rate: undefined });
+    assert.strictEqual(profile.url, DEFAULT_PROFILE.url);
+    assert.deepStrictEqual(
+      profile.stages.map(({ name, duration, connections, rate }) => ({ name, duration, connections, rate })),
+      [{ name: 'steady', duration: 5, connections: 4, rate: null }]
+    );
+  });
+
+  test('ramp stages climb from the previous stage in steps', () => {
+    const profile = resolveProfile({
+      connections: 10,
+      stages: [
+        { name: 'warm', duration: 10, rate: 20 },
+        { name: 'ramp-up', duration: 30, rate: 80, ramp: true, steps: 3 },
+        { name: 'spike', duration: 5, rate: null, connections: 50 }
+      ]
+    });
+
+    assert.deepStrictEqual(profile.stages.map(({ name, duration, rate }) => [name, duration, rate]), [
+      ['warm', 10, 20],
+      ['ramp-up', 10, 40],
+      ['ramp-up', 10, 60],
+      ['ramp-up', 10, 80],
+      ['spike', 5, null]
+    ]);
+    assert.strictEqual(profile.stages.at(-1).connections, 50);
+  });
+
+  test('weighted requests are interleaved, with headers and JSON bodies', () => {
+    const sequence = weightedRequests([
+      { path: '/a', weight: 30 },
+      { path: '/b', weight: 10, body: { id: 1 }, headers: { authorization: 'Bearer x' } }
+    ], { 'user-agent': 'test' });
+
+    assert.deepStrictEqual(sequence.map((request) => request.path), ['/a', '/a', '/b', '/a']);
+    const post = sequence[2];
+    assert.strictEqual(post.method, 'POST');
+    assert.strictEqual(post.body, '{"id":1}');
+    assert.deepStrictEqual(post.headers, {
+      'user-agent': 'test',
+      authorization: 'Bearer x',
+      'content-type': 'application/json'
+    });
+  });
+
+  test('invalid profiles are rejected', () => {
+    assert.throws(() => resolveProfile({ stages: [{ name: 'x', duration: 0 }] }), /duration/);
+    assert.throws(() => resolveProfile({ rate: -1 }), /rate/);
+    assert.throws(() => resolveProfile({ requests: [{ path: '/', weight: 0 }] }), /weight/);
+    assert.throws(() => resolveProfile({ requests: [{ path: '/', weight: 0.5 }] }), /whole numbers/);
+  });
+
+  test('loadProfile() reads built-in names, JSON files and JS modules', async () => {
+    assert.strictEqual(await loadProfile('soak'), PROFILES.soak);
+
+    const json = resolveProfile(await loadProfile('examples/load-profiles/mixed-traffic.json'));
+    assert.strictEqual(json.stages.at(-1).name, 'recovery');
+    assert.strictEqual(json.stages[0].requests.length, 10);
+
+    const js = resolveProfile(await loadProfile('examples/load-profiles/daily-cycle.js'));
+    assert.strictEqual(js.stages.length, 48);
+
+    await assert.rejects(loadProfile('nope'), /Unknown profile/);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'assert';
+import http from 'http';
+import { after, before, describe, test } from 'node:test';
+import { PassThrough } from 'stream';
+import { createLeakyServer, parseLeaks } from '../examples/leaky-server.js';
+import { runLoadTest } from '../examples/load-test.js';
+import { resolveProfile } from '../lib/load-profile.js';
+import { Reporter } from '../lib/reporter.js';
+
+describe('load test', () => {
+  let server;
+  let state;
+  let url;
+
+  before(async () => {
+    ({ server, state } = createLeakyServer({ leaks: parseLeaks('none') }));
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+    state.userSessions.close();
+  });
+
+  test('ends on a cooldown sample, even without a cooldown or a forced GC', async () => {
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', (chunk) => text += chunk);
+
+    const profile = resolveProfile({}, { url, connections: 2, duration: 1, rate: 50, cooldown: 0 });
+    const { verdict, reason, samples } = await runLoadTest(profile, { reporter: new Reporter({ stream: output }) });
+
+    assert.strictEqual(verdict, 'PASS', text);
+    assert.strictEqual(reason, 'retained');
+    assert.strictEqual(samples.at(-1).phase, 'cooldown');
+    assert.doesNotMatch(text, /stopped responding/);
+  });
+
+  test('fails with a clear error on a server without memory metrics', async () => {
+    const plain = http.createServer((req, res) => res.end('OK\n'));
+    await new Promise((resolve) => plain.listen(0, resolve));
+    try {
+      const profile = resolveProfile({}, { url: `http://localhost:${plain.address().port}`, duration: 1, cooldown: 0 });
+      await assert.rejects(runLoadTest(profile, { reporter: new Reporter({ stream: new PassThrough() }) }),
+        /does not expose memory metrics: GET \/metrics returned 200/);
+    } finally {
+      plain.close();
+    }
+  });
+});
@@ -0,0 +1,33 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { LRUCache } from '../lib/lru-cache.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('LRU cache', () => {
+  test('evicts the least recently used entry once full', () => {
+    const cache = new LRUCache({ maxSize: 2 });
+    cache.set('a', 1).set('b', 2);
+    assert.strictEqual(cache.get('a'), 1);  // b is now the least recently used
+    cache.set('c', 3);
+
+    assert.deepStrictEqual([...cache.keys()], ['a', 'c']);
+    assert.deepStrictEqual([...cache.values()], [1, 3]);
+    assert.strictEqual(cache.evictions, 1);
+    assert.throws(() => new LRUCache({ maxSize: 0 }), RangeError);
+  });
+
+  test('expires entries ttl ms after they were set', async () => {
+    const cache = new LRUCache({ maxSize: 10, ttl: 50 });
+    cache.set('old', 1).set('stale', 2);
+    await sleep(80);
+    cache.set('new', 3);
+
+    assert.strictEqual(cache.get('old'), undefined);
+    assert.strictEqual(cache.has('new'), true);
+    assert.strictEqual(cache.size, 2, 'stale still counts until it is read or pruned');
+    assert.strictEqual(cache.prune(), 1);
+    assert.deepStrictEqual([...cache.keys()], ['new']);
+    assert.strictEqual(cache.expirations, 2);
+  });
+});
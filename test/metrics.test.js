@@ -0,0 +1,55 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { formatMetric, MetricsCollector, parseMetrics } from '../lib/metrics.js';
+
+describe('prometheus metrics', () => {
+  test('formatMetric() renders a single value', () => {
+    assert.strictEqual(
+      formatMetric({ name: 'app_sessions', type: 'gauge', help: 'Active sessions.', value: 3 }),
+      '# HELP app_sessions Active sessions.\n# TYPE app_sessions gauge\napp_sessions 3'
+    );
+  });
+
+  test('formatMetric() renders and escapes labels', () => {
+    const text = formatMetric({
+      name: 'app_info',
+      type: 'gauge',
+      help: 'Info.',
+      samples: [{ labels: { path: 'a"b\\c' }, value: 1 }, { suffix: '_total', value: Infinity }]
+    });
+    assert.match(text, /^app_info\{path="a\\"b\\\\c"\} 1$/m);
+    assert.match(text, /^app_info_total \+Inf$/m);
+  });
+
+  test('render() includes memory, heap space, GC, event loop and extra metrics', async () => {
+    const metrics = new MetricsCollector({
+      metrics: () => [{ name: 'app_requests_total', type: 'counter', help: 'Requests.', value: 7 }]
+    }).start();
+
+    global.gc();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const text = metrics.render();
+    metrics.stop();
+
+    assert.match(text, /^nodejs_heap_size_used_bytes \d+$/m);
+    assert.match(text, /^nodejs_heap_space_size_used_bytes\{space="old"\} \d+$/m);
+    assert.match(text, /^nodejs_gc_duration_seconds_count\{kind="major"\} [1-9]\d*$/m);
+    assert.match(text, /^nodejs_eventloop_lag_p99_seconds [\d.e-]+$/m);
+    assert.match(text, /^app_requests_total 7$/m);
+    assert.ok(text.endsWith('\n'));
+  });
+
+  test('parseMetrics() reads render() output back', () => {
+    const text = new MetricsCollector({
+      metrics: () => [{
+        name: 'app_info', type: 'gauge', help: 'Info.',
+        samples: [{ labels: { leak: 'cache' }, value: 1 }, { suffix: '_max', value: Infinity }]
+      }]
+    }).render();
+    const values = parseMetrics(text);
+
+    assert.ok(values.get('nodejs_heap_size_used_bytes') > 0);
+    assert.strictEqual(values.get('app_info{leak="cache"}'), 1);
+    assert.strictEqual(values.get('app_info_max'), Infinity);
+  });
+});
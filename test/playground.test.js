@@ -0,0 +1,69 @@
+import assert from 'assert';
+import { PassThrough } from 'stream';
+import { describe, test } from 'node:test';
+import { Playground } from '../lib/playground.js';
+import { Reporter } from '../lib/reporter.js';
+import * as events from '../examples/leak-events.js';
+
+// A json Reporter whose memory records and prose are collected
+function collect() {
+  const records = [];
+  const lines = [];
+  const stream = new PassThrough();
+  const logStream = new PassThrough();
+  stream.on('data', (chunk) => records.push(...chunk.toString().trimEnd().split('\n').map((line) => JSON.parse(line))));
+  logStream.on('data', (chunk) => lines.push(chunk.toString()));
+  return { reporter: new Reporter({ format: 'json', stream, logStream }), records, lines };
+}
+
+describe('playground', () => {
+  test('runs leak, fix and stats against the scenario hooks, and rejects bad commands', async () => {
+    const retained = [];
+    const scenario = {
+      leak: (count) => retained.push(...Array.from({ length: count }, () => ({}))),
+      release: () => {
+        retained.length = 0;
+      },
+      stats: () => ({ retained: retained.length })
+    };
+    const { reporter, records, lines } = collect();
+    const playground = new Playground(scenario, { reporter, interval: null });
+
+    assert.strictEqual(await playground.execute('leak 3'), true);
+    assert.strictEqual(await playground.execute('  LEAK  '), true);
+    assert.strictEqual(await playground.execute('fix'), true);
+    await playground.execute('leak -1');
+    await playground.execute('dance');
+    assert.strictEqual(await playground.execute('exit'), false);
+    await new Promise(setImmediate);
+
+    assert.deepStrictEqual(records.map(({ label, counters }) => [label, counters]), [
+      ['After leak 3', { leaked: 3, retained: 3 }],
+      ['After leak 1', { leaked: 4, retained: 4 }],
+      ['After fix', { leaked: 4, retained: 0 }]
+    ]);
+    assert.match(lines.join(''), /Usage: leak \[count\]/);
+    assert.match(lines.join(''), /Unknown command "dance"/);
+    assert.throws(() => new Playground({ leak() {} }), /must export leak, release, stats\(\)/);
+  });
+
+  test('reads commands from its input until exit, one at a time', async () => {
+    const { reporter, records } = collect();
+    const input = new PassThrough();
+    const closed = new Playground(events, { name: 'events', reporter, interval: null })
+      .start({ input, output: new PassThrough() });
+    input.end('leak 2\nstats\nfix\ngc\nexit\nleak 5\n');
+    await closed;
+    await new Promise(setImmediate);
+
+    assert.deepStrictEqual(records.filter(({ type }) => type === 'memory').map(({ label, counters }) => [label, counters.eventListeners]), [
+      ['Initial state', 0],
+      ['After leak 2', 2],
+      ['Now', 2],
+      ['After fix', 0],
+      ['After gc', 0]
+    ]);
+    const survivors = records.find(({ label }) => label === 'survivors');
+    assert.deepStrictEqual(survivors.survivors.filter(({ label }) => label === 'DataProcessor'), []);
+  });
+});
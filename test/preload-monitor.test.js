@@ -0,0 +1,109 @@
+import assert from 'assert';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import { MONITOR_MESSAGE, readPreloadConfig } from '../lib/preload-monitor.js';
+
+const records = (file) => fs.readFileSync(file, 'utf8').trimEnd().split('\n').map((line) => JSON.parse(line));
+
+// Run a script under `node --import node-memory-leak/register`, signalling it once it is up
+function preload(script, env, signal, { ipc = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--import', 'node-memory-leak/register', '-e', script], {
+      cwd: new URL('..', import.meta.url),
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe', ...(ipc ? ['ipc'] : [])],
+      timeout: 60 * 1000
+    });
+    let stderr = '';
+    const messages = [];
+    child.stderr.on('data', (chunk) => stderr += chunk);
+    child.stdout.once('data', () => signal && child.kill(signal));
+    child.on('message', (message) => messages.push(message));
+    child.on('error', reject);
+    child.on('exit', (code) => resolve({ code, stderr, messages }));
+  });
+}
+
+describe('preload monitor', () => {
+  test('readPreloadConfig() applies defaults and rejects invalid values', () => {
+    assert.deepStrictEqual(readPreloadConfig({}), {
+      interval: 1000, strategy: 'linear', output: null, snapshots: [], snapshotDir: '.', handles: null, promises: null
+    });
+    assert.deepStrictEqual(readPreloadConfig({
+      MEMORY_LEAK_INTERVAL: '250',
+      MEMORY_LEAK_STRATEGY: 'floor',
+      MEMORY_LEAK_OUTPUT: 'ipc',
+      MEMORY_LEAK_SNAPSHOTS: 'suspected, signal',
+      MEMORY_LEAK_SNAPSHOT_DIR: 'snapshots',
+      MEMORY_LEAK_HANDLES: '5000',
+      MEMORY_LEAK_PROMISES: '2000'
+    }), {
+      interval: 250, strategy: 'floor', output: 'ipc', snapshots: ['suspected', 'signal'], snapshotDir: 'snapshots', handles: 5000, promises: 2000
+    });
+
+    assert.throws(() => readPreloadConfig({ MEMORY_LEAK_INTERVAL: 'soon' }), /MEMORY_LEAK_INTERVAL must be a positive number/);
+    assert.throws(() => readPreloadConfig({ MEMORY_LEAK_STRATEGY: 'guess' }), /Unknown MEMORY_LEAK_STRATEGY "guess"/);
+    assert.throws(() => readPreloadConfig({ MEMORY_LEAK_SNAPSHOTS: 'exit' }), /Unknown MEMORY_LEAK_SNAPSHOTS trigger "exit"/);
+    assert.throws(() => readPreloadConfig({ MEMORY_LEAK_PROMISES: 'never' }), /MEMORY_LEAK_PROMISES must be an age in ms, got "never"/);
+  });
+
+  test('writes samples to MEMORY_LEAK_OUTPUT and snapshots on SIGUSR2', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preload-'));
+    const output = path.join(dir, 'memory.ndjson');
+    try {
+      const { code, stderr } = await preload('console.log("ready"); setTimeout(() => {}, 1000);', {
+        MEMORY_LEAK_INTERVAL: '100',
+        MEMORY_LEAK_OUTPUT: output,
+        MEMORY_LEAK_SNAPSHOTS: 'signal',
+        MEMORY_LEAK_SNAPSHOT_DIR: dir
+      }, 'SIGUSR2');
+      assert.strictEqual(code, 0, stderr);
+
+      const written = records(output);
+      assert.ok(written.filter(({ label }) => label === 'sample').length >= 3);
+      const snapshot = written.find(({ label }) => label === 'snapshot');
+      assert.strictEqual(snapshot.reason, 'signal');
+      assert.ok(fs.existsSync(snapshot.path));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reports a failed SIGUSR2 snapshot once, as the write error', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preload-'));
+    const output = path.join(dir, 'memory.ndjson');
+    fs.writeFileSync(path.join(dir, 'file'), '');
+    try {
+      const { code, stderr } = await preload('console.log("ready"); setTimeout(() => {}, 500);', {
+        MEMORY_LEAK_OUTPUT: output,
+        MEMORY_LEAK_SNAPSHOTS: 'signal',
+        MEMORY_LEAK_SNAPSHOT_DIR: path.join(dir, 'file', 'snapshots')
+      }, 'SIGUSR2');
+      assert.strictEqual(code, 0, stderr);
+
+      const failures = records(output).filter(({ label }) => label === 'snapshot-failed');
+      assert.deepStrictEqual(failures.map(({ error }) => error.split(':')[0]), ['ENOTDIR']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('sends over IPC only when MEMORY_LEAK_OUTPUT=ipc asks for it', async () => {
+    const script = 'setTimeout(() => process.disconnect(), 300);';
+    const unasked = await preload(script, { MEMORY_LEAK_INTERVAL: '50' }, null, { ipc: true });
+    assert.strictEqual(unasked.code, 0, unasked.stderr);
+    assert.deepStrictEqual(unasked.messages, []);
+
+    const asked = await preload(script, { MEMORY_LEAK_INTERVAL: '50', MEMORY_LEAK_OUTPUT: 'ipc' }, null, { ipc: true });
+    assert.ok(asked.messages.some(({ type, event }) => type === MONITOR_MESSAGE && event === 'sample'));
+  });
+
+  test('a bad configuration is reported without stopping the process', async () => {
+    const { code, stderr } = await preload('console.log("ran")', { MEMORY_LEAK_SNAPSHOTS: 'exit' });
+    assert.strictEqual(code, 0);
+    assert.match(stderr, /Unknown MEMORY_LEAK_SNAPSHOTS trigger "exit"/);
+  });
+});
@@ -0,0 +1,77 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { PromiseTracker } from '../lib/promise-tracker.js';
+
+describe('promise tracker', () => {
+  test('groups never-settling promises by creation stack and forgets settled and chained ones', () => {
+    const tracker = new PromiseTracker({ maxAge: 0 }).start();
+    const resolvers = [];
+    function waitForever() {
+      return new Promise((resolve) => resolvers.push(resolve));
+    }
+    const pending = [];
+    for (let i = 0; i < 3; i++) {
+      pending.push(waitForever());
+    }
+    pending[0].then(() => {});  // Chained: settles with its parent
+
+    const [group, ...others] = tracker.pending();
+    assert.deepStrictEqual(others, []);
+    assert.strictEqual(group.count, 3);
+    assert.match(group.stack[0], /^waitForever \(test\/promise-tracker\.test\.js:\d+:\d+\)$/);
+
+    resolvers.forEach((resolve) => resolve());
+    assert.deepStrictEqual(tracker.pending(), []);
+    tracker.stop();
+  });
+
+  test('reports a group once, then again only when it grows', () => {
+    const tracker = new PromiseTracker({ maxAge: 0 }).start();
+    const reports = [];
+    tracker.on('pending-promises', (report) => reports.push(report));
+
+    function lostReply() {
+      return new Promise(() => {});
+    }
+    for (const count of [1, 0, 2]) {
+      for (let i = 0; i < count; i++) {
+        lostReply();
+      }
+      tracker.check();
+    }
+    tracker.stop();
+
+    assert.deepStrictEqual(reports.map(({ total, groups }) => [total, groups.map(({ count }) => count)]), [
+      [1, [1]],
+      [3, [3]]
+    ]);
+    assert.match(reports[0].groups[0].stack[0], /^lostReply /);
+  });
+
+  test('forgets everything on stop(), so a restart reports afresh', () => {
+    const tracker = new PromiseTracker({ maxAge: 0 }).start();
+    const reports = [];
+    tracker.on('pending-promises', (report) => reports.push(report.total));
+
+    let settle;
+    function settledWhileStopped() {
+      return new Promise((resolve) => settle = resolve);
+    }
+    function lostReply() {
+      return new Promise(() => {});
+    }
+    settledWhileStopped();
+    lostReply();
+    tracker.check();
+    tracker.stop();
+    assert.deepStrictEqual(tracker.pending(), []);
+
+    settle();  // Unseen by the disabled hook
+    tracker.start();
+    lostReply();
+    tracker.check();
+    tracker.stop();
+
+    assert.deepStrictEqual(reports, [2, 1]);
+  });
+});
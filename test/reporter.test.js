@@ -0,0 +1,94 @@
+import assert from 'assert';
+import { Writable } from 'stream';
+import { describe, test } from 'node:test';
+import { MemoryMonitor } from '../lib/memory-monitor.js';
+import { getFormat, Reporter } from '../lib/reporter.js';
+
+const MB = 1024 * 1024;
+const USAGE = { rss: 60 * MB, heapTotal: 20 * MB, heapUsed: 12 * MB, external: 2 * MB, arrayBuffers: MB };
+
+function capture() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    }
+  });
+  stream.text = () => chunks.join('');
+  return stream;
+}
+
+function createReporter(format) {
+  const stream = capture();
+  const logStream = capture();
+  const reporter = new Reporter({ format, source: 'test', stream, logStream });
+  return { reporter, stream, logStream };
+}
+
+describe('reporter', () => {
+  test('json format writes one record per line with raw byte counts', () => {
+    const { reporter, stream, logStream } = createReporter('json');
+    reporter.memory('After 10 closures', { closures: 10 }, USAGE);
+    reporter.event('leak-suspected', { bytesPerSecond: 1024 });
+    reporter.event('verdict', { verdict: 'PASS' }, null);
+    reporter.log('Prose goes to %s', 'stderr');
+
+    const records = stream.text().trimEnd().split('\n').map((line) => JSON.parse(line));
+    assert.strictEqual(records.length, 3);
+    assert.match(records[0].timestamp, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepStrictEqual({ ...records[0], timestamp: undefined }, {
+      timestamp: undefined,
+      source: 'test',
+      type: 'memory',
+      label: 'After 10 closures',
+      ...USAGE,
+      counters: { closures: 10 }
+    });
+    assert.deepStrictEqual(records[1], {
+      timestamp: records[1].timestamp, source: 'test', type: 'event', label: 'leak-suspected', bytesPerSecond: 1024
+    });
+    assert.strictEqual(records[2].verdict, 'PASS');
+    assert.strictEqual(logStream.text(), 'Prose goes to stderr\n');
+  });
+
+  test('pretty format prints readings in MB and counters by name', () => {
+    const { reporter, stream, logStream } = createReporter('pretty');
+    reporter.memory('Initial state', { activeSessions: 3 }, USAGE);
+    reporter.event('verdict', { verdict: 'PASS' }, null);
+    reporter.event('recovered', {}, '✓ Heap growth has stopped');
+    reporter.log('Done');
+
+    assert.strictEqual(stream.text(), [
+      'Initial state:',
+      '  Heap Used: 12 MB | Heap Total: 20 MB | RSS: 60 MB | External: 2 MB',
+      '  Active Sessions: 3',
+      '',
+      '✓ Heap growth has stopped',
+      'Done',
+      ''
+    ].join('\n'));
+    assert.strictEqual(logStream.text(), '');
+  });
+
+  test('reports MemoryMonitor samples and leak events', () => {
+    const { reporter, stream } = createReporter('json');
+    const monitor = new MemoryMonitor({ reporter });
+
+    monitor.sample(USAGE);
+    monitor.emit('leak-suspected', { strategy: 'linear', bytesPerSecond: MB, confidence: 0.9, timeToOOM: 60 });
+    reporter.detach();
+    monitor.sample(USAGE);
+
+    const records = stream.text().trimEnd().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(records.map(({ label }) => label), ['sample', 'leak-suspected']);
+    assert.strictEqual(records[0].heapUsed, USAGE.heapUsed);
+    assert.strictEqual(records[1].bytesPerSecond, MB);
+  });
+
+  test('getFormat() reads --format and rejects unknown formats', () => {
+    assert.strictEqual(getFormat(['--format=json']), 'json');
+    assert.strictEqual(getFormat(['--mode=fixed']), process.env.LOG_FORMAT ?? 'pretty');
+    assert.throws(() => new Reporter({ format: 'xml' }), /Unknown format: xml/);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from 'assert';
+import { describe, test } from 'node:test';
+import { MemoryMonitor } from '../lib/memory-monitor.js';
+import { analyzeOffHeap, analyzeTrend } from '../lib/trend-analysis.js';
+
+const MB = 1024 * 1024;
+
+// One sample per second: a flat heap, with external/rss growing by the given MB per second
+function samples({ heap = 0, external = 0, rss = 0 }, count = 10) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: i * 1000,
+    heapUsed: 20 * MB + i * heap * MB,
+    heapTotal: 30 * MB,
+    external: 2 * MB + i * external * MB,
+    arrayBuffers: MB + i * external * MB,
+    rss: 60 * MB + i * (rss + external + heap) * MB
+  }));
+}
+
+// One heapUsed sample per second from heap(i), in MB
+function series(heap, count = 30) {
+  return Array.from({ length: count }, (_, i) => ({ timestamp: i * 1000, heapUsed: heap(i) * MB }));
+}
+
+// Deterministic noise in [-1, 1), so a failure reproduces
+function noise(seed = 1) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed / 2147483647) * 2 - 1;
+  };
+}
+
+const STRATEGIES = ['linear', 'floor', 'ewma'];
+
+describe('trend analysis', () => {
+  test('no strategy reports a flat heap, or noise around one, as growing', () => {
+    const random = noise();
+    for (const strategy of STRATEGIES) {
+      const flat = analyzeTrend(series(() => 50), { strategy });
+      assert.strictEqual(flat.bytesPerSecond, 0, strategy);
+      assert.strictEqual(flat.isGrowing, false, strategy);
+      assert.strictEqual(flat.timeToOOM, null, strategy);
+
+      const noisy = analyzeTrend(series(() => 50 + random() * 5), { strategy });
+      assert.strictEqual(noisy.isGrowing, false, `${strategy} on noise`);
+    }
+  });
+
+  test('every strategy measures steady growth and the time until the heap limit', () => {
+    for (const strategy of STRATEGIES) {
+      const trend = analyzeTrend(series((i) => 20 + i * 2), { strategy, heapLimit: 200 * MB });
+      assert.strictEqual(trend.strategy, strategy);
+      assert.strictEqual(trend.isGrowing, true, strategy);
+      assert.strictEqual(Math.round(trend.bytesPerSecond / MB), 2, strategy);
+      assert.ok(trend.confidence > 0.99, strategy);
+      // 78 MB used of 200 MB, growing 2 MB/s
+      assert.strictEqual(trend.heapUsed, 78 * MB);
+      assert.strictEqual(Math.round(trend.timeToOOM), 61, strategy);
+    }
+  });
+
+  test('floor sees a leak under the GC sawtooth, and no leak in a sawtooth that returns to the same floor', () => {
+    // Allocate 10 MB/s for 5 seconds, then a GC; the leak raises the floor by 1 MB per cycle
+    const sawtooth = (leak) => series((i) => 20 + (i % 5) * 10 + Math.floor(i / 5) * leak);
+
+    const healthy = analyzeTrend(sawtooth(0), { strategy: 'floor' });
+    assert.strictEqual(healthy.isGrowing, false);
+    assert.deepStrictEqual(healthy.floors.map((bytes) => bytes / MB), [20, 20, 20]);
+
+    const leaking = analyzeTrend(sawtooth(1), { strategy: 'floor' });
+    assert.strictEqual(leaking.isGrowing, true);
+    assert.strictEqual(Math.round(leaking.bytesPerSecond / 1024), 205, '1 MB per 5 seconds');
+    assert.strictEqual(analyzeTrend(sawtooth(1), { strategy: 'linear' }).isGrowing, false,
+      'the sawtooth hides the leak from a straight line fit');
+  });
+
+  test('ewma follows the recent rate, and custom strategies and bad input are handled', () => {
+    // Flat for 20 seconds, then growing 4 MB/s
+    const recent = series((i) => (i < 20 ? 50 : 50 + (i - 19) * 4));
+    assert.strictEqual(analyzeTrend(recent, { strategy: 'ewma' }).isGrowing, true);
+    assert.strictEqual(analyzeTrend(recent, { strategy: 'linear' }).confidence < 0.8, true);
+
+    const custom = analyzeTrend(series(() => 50), {
+      strategy: function alwaysLeaking() {
+        return { bytesPerSecond: MB, confidence: 1 };
+      }
+    });
+    assert.strictEqual(custom.strategy, 'alwaysLeaking');
+    assert.strictEqual(custom.isGrowing, true);
+
+    assert.throws(() => analyzeTrend(series(() => 50, 1)), RangeError);
+    assert.throws(() => analyzeTrend(series(() => 50), { strategy: 'median' }), TypeError);
+  });
+
+  test('analyzeOffHeap() flags external and RSS growth that the heap doesn\'t explain', () => {
+    const buffers = analyzeOffHeap(samples({ external: 4 }));
+    assert.strictEqual(buffers.isGrowing, true);
+    assert.strictEqual(buffers.metric, 'external');
+    assert.strictEqual(buffers.rss.isGrowing, true, 'RSS includes the external growth');
+    assert.strictEqual(Math.round(buffers.external.bytesPerSecond / MB), 4);
+    assert.strictEqual(buffers.heap.isGrowing, false);
+    assert.strictEqual(buffers.external.timeToOOM, null);
+
+    const native = analyzeOffHeap(samples({ rss: 2 }));
+    assert.strictEqual(native.metric, 'rss');
+    assert.strictEqual(native.external.isGrowing, false);
+
+    const heapLeak = analyzeOffHeap(samples({ heap: 4 }));
+    assert.strictEqual(heapLeak.isGrowing, false, 'RSS growth from the heap is a heap leak');
+    assert.strictEqual(analyzeTrend(samples({ heap: 4 })).isGrowing, true);
+    assert.strictEqual(analyzeOffHeap(samples({})).metric, null);
+  });
+
+  test('MemoryMonitor with offHeap emits off-heap-suspected and off-heap-recovered', () => {
+    const monitor = new MemoryMonitor({ offHeap: true });
+    const events = [];
+    for (const event of ['leak-suspected', 'off-heap-suspected', 'off-heap-recovered']) {
+      monitor.on(event, (report) => events.push({ event, metric: report.metric }));
+    }
+
+    const growing = samples({ external: 4 });
+    growing.forEach((sample) => monitor.sample(sample));
+    const last = growing.at(-1);
+    for (let i = 1; i <= 10; i++) {
+      monitor.sample({ ...last, timestamp: last.timestamp + i * 1000 });
+    }
+
+    assert.deepStrictEqual(events, [
+      { event: 'off-heap-suspected', metric: 'external' },
+      { event: 'off-heap-recovered', metric: null }
+    ]);
+    assert.strictEqual(monitor.offHeapSuspected, false);
+  });
+});
@@ -0,0 +1,112 @@
+import assert from 'assert';
+import { fork } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import { childMonitorOptions, reportWorkerHeap, WorkerMonitor } from '../lib/worker-monitor.js';
+import { LeakyReportPool, ReportPool } from '../examples/leak-worker.js';
+
+const tasks = (from) => Array.from({ length: 5 }, (_, i) => ({ id: from + i }));
+
+describe('worker monitor', () => {
+  test('reports each worker\'s heap next to the main thread and the ones never terminated', async () => {
+    const monitor = new WorkerMonitor({ idleTimeout: 0 });
+    const idle = [];
+    const exits = [];
+    monitor.on('worker-idle', ({ worker }) => idle.push(worker));
+    monitor.on('worker-exit', ({ worker, code }) => exits.push({ worker, code }));
+
+    const leaky = new LeakyReportPool(monitor);
+    await leaky.runBatch(tasks(0));
+    await leaky.runBatch(tasks(5));
+    const workers = [...monitor.workers.values()].map(({ worker }) => worker);
+    try {
+      const [main, ...threads] = await monitor.measureWorkers();
+      assert.strictEqual(main.name, 'main');
+      assert.deepStrictEqual(threads.map(({ name }) => name), ['batch-1', 'batch-2']);
+      for (const thread of threads) {
+        assert.ok(thread.heapUsed > 0);
+        assert.ok(thread.heapLimit < main.heapLimit, 'resourceLimits apply to the worker heap');
+        assert.strictEqual(thread.resourceLimits.maxOldGenerationSizeMb, 64);
+      }
+
+      monitor.sample();
+      monitor.sample();
+      assert.deepStrictEqual(idle, ['batch-1', 'batch-2'], 'each idle worker is reported once');
+    } finally {
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    }
+    // Terminated together, they can exit in either order
+    assert.deepStrictEqual(exits.map(({ worker }) => worker).sort(), ['batch-1', 'batch-2']);
+    assert.strictEqual(monitor.workers.size, 0);
+
+    const fixed = new ReportPool(monitor);
+    await fixed.runBatch(tasks(10));
+    await fixed.runBatch(tasks(15));
+    await fixed.close();
+    assert.deepStrictEqual(exits.map(({ worker }) => worker).slice(2), ['reports']);
+    assert.deepStrictEqual(monitor.idle(), []);
+  });
+
+  test('writes a worker heap snapshot, and reportWorkerHeap() only runs in workers', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-monitor-'));
+    const monitor = new WorkerMonitor({ snapshotDirectory: dir });
+    const pool = new ReportPool(monitor);
+    try {
+      await pool.runBatch(tasks(0));
+      const file = await monitor.writeWorkerSnapshot(pool.worker);
+      assert.match(path.basename(file), new RegExp(`-worker${pool.worker.threadId}\\.heapsnapshot$`));
+      assert.ok(JSON.parse(fs.readFileSync(file, 'utf8')).snapshot.node_count > 0);
+    } finally {
+      await pool.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    assert.throws(() => reportWorkerHeap(), /must be called inside a worker thread/);
+  });
+
+  test('follows a forked child\'s memory from its own samples, and reports it idle and exited', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-monitor-'));
+    const script = path.join(dir, 'job.js');
+    // Answers one task, then keeps growing without ever being told to exit
+    fs.writeFileSync(script, `
+      const kept = [];
+      process.on('message', (task) => process.send({ done: task.id }));
+      setInterval(() => kept.push(new Array(100000).fill(kept.length)), 10);
+    `);
+
+    const monitor = new WorkerMonitor({ idleTimeout: 0, minSamples: 3, windowSize: 5 });
+    const samples = [];
+    const idle = [];
+    monitor.on('child-sample', ({ child, heapUsed }) => samples.push({ child, heapUsed }));
+    monitor.on('child-idle', ({ child }) => idle.push(child));
+
+    const child = monitor.addChild(fork(script, childMonitorOptions({ interval: 50 })), 'job');
+    try {
+      child.send({ id: 1 });
+      const [suspected] = await once(monitor, 'child-leak-suspected', { signal: AbortSignal.timeout(10 * 1000) });
+      assert.strictEqual(suspected.child, 'job');
+      assert.strictEqual(suspected.pid, child.pid);
+      assert.ok(samples.length >= 3 && samples.every((sample) => sample.child === 'job' && sample.heapUsed > 0));
+
+      const [main, job] = monitor.processes();
+      assert.strictEqual(main.pid, process.pid);
+      assert.deepStrictEqual([job.name, job.pid], ['job', child.pid]);
+      assert.ok(job.heapUsed > 0 && job.rss > 0);
+
+      monitor.sample();
+      monitor.sample();
+      assert.deepStrictEqual(idle, ['job'], 'reported once; its own samples don\'t count as activity');
+    } finally {
+      child.kill();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const [exit] = await once(monitor, 'child-exit');
+    assert.deepStrictEqual([exit.child, exit.signal], ['job', 'SIGTERM']);
+    assert.ok(exit.heapUsed > 0);
+    assert.strictEqual(monitor.children.size, 0);
+  });
+});